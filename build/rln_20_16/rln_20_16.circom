@@ -0,0 +1,5 @@
+pragma circom 2.1.0;
+
+include "../../circuits/rln.circom";
+
+component main { public [x, externalNullifier] } = RLN(20, 16);
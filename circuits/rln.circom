@@ -108,5 +108,3 @@ template RLN(DEPTH, LIMIT_BIT_SIZE) {
     nullifierHasher.inputs[0] <== a1;
     nullifier <== nullifierHasher.out;
 }
-
-component main { public [x, externalNullifier] } = RLN(20, 16);
\ No newline at end of file
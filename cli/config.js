@@ -0,0 +1,104 @@
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_ARTIFACTS_DIR } = require('../packages/sdk/platform');
+
+const CONFIG_FILE = 'rln.config.json';
+
+// Settings each CLI run resolves, with the global flag and environment variable that
+// set them. Paths are relative to the working directory, or to the config file when
+// they come from one.
+const SETTINGS = {
+    dataDir: { flag: '--data-dir', env: 'RLN_DATA_DIR', path: true },
+    appId: { flag: '--app-id', env: 'RLN_APP_ID' },
+    epochLength: { flag: '--epoch-length', env: 'RLN_EPOCH_LENGTH', parse: parseEpochLength },
+    artifacts: { flag: '--artifacts', env: 'RLN_ARTIFACTS', path: true },
+    rpcUrl: { flag: '--rpc-url', env: 'RLN_RPC_URL' }
+};
+
+const DEFAULTS = {
+    dataDir: path.join(__dirname, '../data'),
+    appId: 'rln-demo',
+    epochLength: 3600, // 1 hour
+    artifacts: DEFAULT_ARTIFACTS_DIR,
+    // npx hardhat node
+    rpcUrl: 'http://127.0.0.1:8545'
+};
+
+function parseEpochLength(value) {
+    const epochLength = Number(value);
+    if (!Number.isInteger(epochLength) || epochLength < 1) {
+        throw new Error('must be a positive number of seconds');
+    }
+    return epochLength;
+}
+
+// Settings in a config file; only required to exist when named explicitly
+function readConfigFile(file, required) {
+    if (!fs.existsSync(file)) {
+        if (required) throw new Error(`Config file not found: ${file}`);
+        return null;
+    }
+
+    let values;
+    try {
+        values = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Invalid config file ${file}: ${error.message}`);
+    }
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+        throw new Error(`Invalid config file ${file}: expected a JSON object`);
+    }
+    for (const key of Object.keys(values)) {
+        if (!SETTINGS[key]) {
+            throw new Error(`Unknown setting "${key}" in ${file} (expected ${Object.keys(SETTINGS).join(', ')})`);
+        }
+    }
+    return values;
+}
+
+// CLI settings, each from the first of: global flag, environment variable, config
+// file (--config, RLN_CONFIG, or rln.config.json in the working directory), default.
+// `sources` records where every value came from.
+function resolveConfig({ options = {}, env = process.env, cwd = process.cwd() } = {}) {
+    const explicitFile = options.config || env.RLN_CONFIG;
+    const configFile = path.resolve(cwd, explicitFile || CONFIG_FILE);
+    const file = readConfigFile(configFile, Boolean(explicitFile)) || {};
+
+    const config = { configFile: fs.existsSync(configFile) ? configFile : null, sources: {} };
+    for (const [key, setting] of Object.entries(SETTINGS)) {
+        const candidates = [
+            [options[key], setting.flag, cwd],
+            // An empty variable counts as unset
+            [env[setting.env] || undefined, setting.env, cwd],
+            [file[key], configFile, path.dirname(configFile)]
+        ];
+        const [value, source, base] = candidates.find(([candidate]) => candidate !== undefined)
+            || [DEFAULTS[key], 'default', null];
+
+        let resolved = value;
+        try {
+            if (setting.parse) {
+                resolved = setting.parse(value);
+            } else if (typeof value !== 'string' || value.trim() === '') {
+                throw new Error('must be a non-empty string');
+            }
+        } catch (error) {
+            throw new Error(`Invalid ${setting.flag.slice(2)} ${JSON.stringify(value)} from ${source}: ${error.message}`);
+        }
+        config[key] = setting.path && base ? path.resolve(base, resolved) : resolved;
+        config.sources[key] = source;
+    }
+
+    config.identitiesFile = path.join(config.dataDir, 'identities.json');
+    config.messagesFile = path.join(config.dataDir, 'messages.json');
+    config.slotsFile = path.join(config.dataDir, 'slots.json');
+    config.deploymentFile = path.join(config.dataDir, 'deployment.json');
+    return config;
+}
+
+module.exports = {
+    CONFIG_FILE,
+    SETTINGS,
+    DEFAULTS,
+    resolveConfig
+};
@@ -1,46 +1,151 @@
 #!/usr/bin/env node
 
 const { Command } = require('commander');
-const { RLN, RLNIdentity } = require('../packages/sdk');
+const {
+    RLN,
+    RLNIdentity,
+    RLNProof,
+    RLNSpamDetector,
+    RLNVerifier,
+    PublicSignalLayout,
+    loadVariants,
+    selectVariant
+} = require('../packages/sdk');
+const { resolveConfig } = require('./config');
+const { MessageSlots } = require('./slots');
+const { DEFAULT_MESSAGE_LIMIT, IdentityStore } = require('./identities');
+const {
+    connect,
+    deployContracts,
+    saveDeployment,
+    loadDeployment,
+    attach,
+    registerOnchain,
+    postMessageOnchain,
+    slashOnchain
+} = require('./onchain');
+const { ethers } = require('ethers');
 const fs = require('fs');
 const path = require('path');
+const readline = require('readline');
 
 const program = new Command();
 
-// Configuration
+// Configuration; dataDir, identitiesFile, messagesFile, slotsFile, deploymentFile, appId,
+// epochLength, artifacts and rpcUrl are filled in from the global options before each
+// command (see config.js)
 const CONFIG = {
-    identitiesFile: path.join(__dirname, '../data/identities.json'),
-    messagesFile: path.join(__dirname, '../data/messages.json'),
-    epochLength: 3600, // 1 hour
-    appId: 'rln-demo'
+    // Tree depth; picks the circuit variant from build/variants.json
+    merkleTreeHeight: 20,
+    // Set RLN_BACKEND=mock to try the demo before the circuit has a zkey
+    backend: process.env.RLN_BACKEND || 'snarkjs'
 };
 
 // Helper functions
+let keystorePassword = null;
+
+// Password for the identity keystore, from RLN_PASSWORD or an interactive prompt
+async function getPassword() {
+    if (keystorePassword) {
+        return keystorePassword;
+    }
+    
+    if (process.env.RLN_PASSWORD) {
+        keystorePassword = process.env.RLN_PASSWORD;
+    } else if (process.stdin.isTTY) {
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+        keystorePassword = await new Promise(resolve => rl.question('🔑 Keystore password: ', resolve));
+        rl.close();
+    }
+    
+    if (!keystorePassword) {
+        throw new Error('Set RLN_PASSWORD to unlock the identity keystore');
+    }
+    return keystorePassword;
+}
+
+// Stored identities; plaintext ones from before the keystore are re-encrypted on load
 async function loadIdentities() {
-    if (!fs.existsSync(CONFIG.identitiesFile)) {
-        return [];
+    const store = await IdentityStore.load(CONFIG.identitiesFile, getPassword);
+    
+    if (store.migrated) {
+        await saveIdentities(store);
+        console.log('🔒 Migrated plaintext identities to the encrypted keystore\n');
     }
-    const data = JSON.parse(fs.readFileSync(CONFIG.identitiesFile, 'utf8'));
-    return data.map(item => ({
-        name: item.name,
-        identity: RLNIdentity.deserialize(item.identity),
-        index: item.index
-    }));
+    return store;
 }
 
-async function saveIdentities(identities) {
-    const dir = path.dirname(CONFIG.identitiesFile);
-    if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
+async function saveIdentities(store) {
+    store.save(await getPassword());
+}
+
+// Register stored identities in tree order, each with its own message limit,
+// recording every root on the way
+async function registerIdentities(rln, identities) {
+    for (const item of identities) {
+        await rln.registerIdentity(item.identity, { messageLimit: item.messageLimit });
     }
-    
-    const data = identities.map(item => ({
-        name: item.name,
-        identity: item.identity.serialize(),
-        index: item.index
-    }));
-    
-    fs.writeFileSync(CONFIG.identitiesFile, JSON.stringify(data, null, 2));
+}
+
+// A stored identity by tree index or name
+function selectIdentity(store, value) {
+    const identity = /^\d+$/.test(value) ? store.list()[Number(value)] : store.find(value);
+    if (!identity) {
+        throw new Error(`No identity with index or name "${value}"`);
+    }
+    return identity;
+}
+
+// A per-identity message limit the configured circuit can enforce
+function parseMessageLimit(value) {
+    const maxMessageLimit = 2 ** selectVariant(loadVariants(CONFIG.artifacts), CONFIG.merkleTreeHeight).limitBits;
+    const messageLimit = Number(value);
+    if (!Number.isInteger(messageLimit) || messageLimit < 1 || messageLimit > maxMessageLimit) {
+        throw new Error(`The message limit must be an integer between 1 and ${maxMessageLimit}`);
+    }
+    return messageLimit;
+}
+
+// A message slot given on the command line; its range is checked against the
+// identity's limit when the slot is assigned
+function parseMessageId(value) {
+    if (!/^\d+$/.test(value)) {
+        throw new Error(`The message ID must be a non-negative integer: ${value}`);
+    }
+    return Number(value);
+}
+
+// RLN for the configured circuit; the SDK is silent, so the CLI says when proofs are mock
+function createRLN(options = {}) {
+    const rln = new RLN({
+        merkleTreeHeight: CONFIG.merkleTreeHeight,
+        artifactsDir: CONFIG.artifacts,
+        backend: CONFIG.backend,
+        // No appId: stored messages from earlier epochs must still verify
+        epochLength: CONFIG.epochLength,
+        ...options
+    });
+    rln.on('mock', () => {
+        console.warn('⚠️  Using the mock prover backend - proofs are placeholders, for testing only\n');
+    });
+    return rln;
+}
+
+async function loadLayout() {
+    return PublicSignalLayout.load(selectVariant(loadVariants(CONFIG.artifacts), CONFIG.merkleTreeHeight).layoutPath);
+}
+
+// Proof of a stored message; messages saved before versioned proofs hold raw snarkjs output
+function loadProof(message, layout) {
+    if (message.proof && message.proof.type === 'RLNProof') {
+        return RLNProof.fromJSON(message.proof, layout);
+    }
+    return new RLNProof(message.proof, message.publicSignals, layout);
+}
+
+// Public signals of a stored message, keyed by name
+function getPublicSignals(message, layout) {
+    return loadProof(message, layout).getPublicSignals();
 }
 
 async function loadMessages() {
@@ -58,47 +163,93 @@ async function saveMessages(messages) {
     fs.writeFileSync(CONFIG.messagesFile, JSON.stringify(messages, null, 2));
 }
 
+// Signer on the configured node; RLN_PRIVATE_KEY picks the account, else the node's first
+async function connectSigner() {
+    return connect(CONFIG.rpcUrl, process.env.RLN_PRIVATE_KEY);
+}
+
+// The RLN contract from the data directory's deployment file
+async function connectContract() {
+    const deployment = loadDeployment(CONFIG.deploymentFile);
+    const contract = await attach(deployment, await connectSigner());
+    return { deployment, contract };
+}
+
+// Let the process exit once a command is done with the node
+function disconnect(contract) {
+    contract.runner.provider.destroy();
+}
+
+// Slash a double signaler on-chain: the contract holds the first message of the
+// nullifier, and takes the proof of the other one
+async function slashMessages({ deployment, contract }, evidence, pair, layout) {
+    const posted = pair.find(message => message.onchain && message.onchain.rln === deployment.rln);
+    if (!posted) {
+        console.log('   ⛓️  Neither message was posted to the RLN contract; nothing to slash on-chain');
+        return;
+    }
+    
+    try {
+        const second = pair.find(message => message !== posted);
+        const slashed = await slashOnchain(contract, evidence.identityCommitment, loadProof(second, layout));
+        console.log(`   ⛓️  Slashed on-chain, ${ethers.formatEther(slashed.reward)} ETH deposit paid to the slasher`);
+        console.log(`   Transaction: ${slashed.txHash}`);
+    } catch (error) {
+        console.log(`   ❌ ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
 // Commands
 program
     .name('rln-demo')
     .description('CLI for RLN Anti-Spam demonstration')
-    .version('1.0.0');
+    .version('1.0.0')
+    .option('--data-dir <dir>', 'Directory for identities and messages (env RLN_DATA_DIR)')
+    .option('--app-id <id>', 'Application identifier for external nullifiers (env RLN_APP_ID)')
+    .option('--epoch-length <seconds>', 'Epoch length in seconds (env RLN_EPOCH_LENGTH)')
+    .option('--artifacts <dir>', 'Circuit artifacts directory with variants.json (env RLN_ARTIFACTS)')
+    .option('--rpc-url <url>', 'JSON-RPC node for deploy and --onchain (env RLN_RPC_URL, default http://127.0.0.1:8545)')
+    .option('--config <file>', 'Config file (env RLN_CONFIG, default ./rln.config.json)')
+    .hook('preAction', () => {
+        Object.assign(CONFIG, resolveConfig({ options: program.opts() }));
+    });
 
 program
     .command('setup')
     .description('Initialize RLN system and create sample identities')
-    .action(async () => {
+    .option('--force', 'Replace the identities already in the data directory')
+    .action(async (options) => {
+        const existing = IdentityStore.read(CONFIG.identitiesFile);
+        if (existing.length > 0 && !options.force) {
+            throw new Error(
+                `${CONFIG.identitiesFile} already holds ${existing.length} identities; ` +
+                'add more with rln-demo identity create, or pass --force to start over'
+            );
+        }
+        
         console.log('🚀 Setting up RLN demo...\n');
         
         // Initialize RLN
-        const rln = new RLN({
-            wasmPath: path.join(__dirname, '../build/rln_js/rln.wasm'),
-            zkeyPath: path.join(__dirname, '../build/rln.zkey'),
-            vkeyPath: path.join(__dirname, '../build/verification_key.json')
-        });
+        const rln = createRLN();
         
         await rln.init();
         
         // Create sample identities
-        const identities = [];
+        const store = new IdentityStore(CONFIG.identitiesFile);
         const names = ['Alice', 'Bob', 'Charlie', 'Diana'];
         
-        for (let i = 0; i < names.length; i++) {
+        for (const name of names) {
             const identity = new RLNIdentity();
+            await store.add(name, identity);
             const registration = await rln.registerIdentity(identity);
             
-            identities.push({
-                name: names[i],
-                identity,
-                index: registration.index
-            });
-            
-            console.log(`✅ Created identity: ${names[i]}`);
+            console.log(`✅ Created identity: ${name}`);
             console.log(`   Index: ${registration.index}`);
             console.log(`   Commitment: ${registration.commitment}`);
         }
         
-        await saveIdentities(identities);
+        await saveIdentities(store);
         
         console.log(`\\n🌳 Merkle tree root: ${rln.getRoot()}`);
         console.log('📁 Identities saved to:', CONFIG.identitiesFile);
@@ -109,10 +260,10 @@ program
     .command('list-identities')
     .description('List all registered identities')
     .action(async () => {
-        const identities = await loadIdentities();
+        const identities = (await loadIdentities()).list();
         
         if (identities.length === 0) {
-            console.log('No identities found. Run: rln-demo setup');
+            console.log('No identities found. Run: rln-demo setup, or rln-demo identity create');
             return;
         }
         
@@ -121,46 +272,254 @@ program
             const commitment = await item.identity.getCommitment();
             console.log(`[${item.index}] ${item.name}`);
             console.log(`    Commitment: ${commitment}`);
+            console.log(`    Message limit: ${item.messageLimit}`);
+        }
+    });
+
+const identityCommand = program
+    .command('identity')
+    .description('Create, import, export, remove and show named identities');
+
+identityCommand
+    .command('create')
+    .description('Create a named identity and append it to the group')
+    .requiredOption('-n, --name <name>', 'Unique name')
+    .option('-l, --limit <messages>', `Messages per epoch (default: ${DEFAULT_MESSAGE_LIMIT})`)
+    .option('--seed <phrase>', 'Derive the identity from a seed phrase, so it can be recreated')
+    .action(async (options) => {
+        const store = await loadIdentities();
+        const messageLimit = options.limit === undefined ? DEFAULT_MESSAGE_LIMIT : parseMessageLimit(options.limit);
+        const identity = options.seed === undefined ? new RLNIdentity() : RLNIdentity.fromSeed(options.seed);
+        
+        const item = await store.add(options.name, identity, messageLimit);
+        await saveIdentities(store);
+        
+        console.log(`✅ Created identity: ${item.name}`);
+        console.log(`   Index: ${item.index}`);
+        console.log(`   Message limit: ${item.messageLimit}`);
+        console.log(`   Commitment: ${await identity.getCommitment()}`);
+    });
+
+identityCommand
+    .command('import [file]')
+    .description('Import an identity from an export file, or a raw secret')
+    .option('-n, --name <name>', 'Name to store it under (default: the name in the file)')
+    .option('-l, --limit <messages>', 'Messages per epoch (default: the limit in the file, or 1)')
+    .option('--secret <secret>', 'Identity secret to import instead of a file')
+    .action(async (file, options) => {
+        if (Boolean(file) === Boolean(options.secret)) {
+            throw new Error('Give either an export file or --secret');
+        }
+        
+        let imported = { name: undefined, messageLimit: DEFAULT_MESSAGE_LIMIT, identity: null };
+        if (file) {
+            const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+            // Encrypted exports open with the keystore password
+            imported = await IdentityStore.parseExport(data, data.identity ? await getPassword() : null);
+        } else {
+            imported.identity = new RLNIdentity(options.secret);
+        }
+        
+        const store = await loadIdentities();
+        const item = await store.add(
+            options.name || imported.name,
+            imported.identity,
+            parseMessageLimit(options.limit === undefined ? imported.messageLimit : options.limit)
+        );
+        await saveIdentities(store);
+        
+        console.log(`✅ Imported identity: ${item.name}`);
+        console.log(`   Index: ${item.index}`);
+        console.log(`   Message limit: ${item.messageLimit}`);
+        console.log(`   Commitment: ${await item.identity.getCommitment()}`);
+    });
+
+identityCommand
+    .command('export <name>')
+    .description('Export an identity, encrypted with the keystore password')
+    .option('-o, --out <file>', 'Write to a file instead of standard output')
+    .option('--plaintext', 'Export the raw secret instead; anyone holding it can post as this identity')
+    .action(async (name, options) => {
+        const store = await loadIdentities();
+        const data = await store.export(name, options.plaintext ? null : await getPassword());
+        const json = JSON.stringify(data, null, 2);
+        
+        if (options.plaintext) {
+            console.warn('⚠️  This export holds the identity secret in plain text');
+        }
+        if (options.out) {
+            fs.writeFileSync(options.out, json + '\n', { mode: 0o600 });
+            console.log(`📄 Exported ${name} to: ${path.resolve(options.out)}`);
+        } else {
+            console.log(json);
+        }
+    });
+
+identityCommand
+    .command('remove <name>')
+    .description('Remove an identity; the identities after it move down one tree index')
+    .option('--force', 'Remove it even though stored messages were proven against roots that would change')
+    .action(async (name, options) => {
+        const store = await loadIdentities();
+        const item = store.get(name);
+        
+        // Removing leaf k changes the roots from k's registration on, while the earlier ones
+        // stay in the history verify-message rebuilds: refuse while stored messages need
+        // one of the changed roots
+        const identities = store.list();
+        const rln = createRLN({ rootHistorySize: identities.length + 1 });
+        await rln.init();
+        await registerIdentities(rln, identities);
+        
+        const changed = new Set(rln.getRootHistory().slice(item.index + 1));
+        const affected = (await loadMessages())
+            .filter(message => changed.has(loadProof(message, rln.layout).getPublicSignals().root));
+        if (affected.length > 0 && !options.force) {
+            throw new Error(`${affected.length} stored message(s) were proven after ${name} joined and would no longer verify; use --force to remove ${name} anyway`);
+        }
+        
+        const removed = store.remove(name);
+        await saveIdentities(store);
+        
+        console.log(`🗑️  Removed identity: ${removed.name}`);
+        const moved = store.list().filter(entry => entry.index >= removed.index);
+        if (moved.length > 0) {
+            console.log(`   Re-indexed: ${moved.map(entry => `${entry.name} → ${entry.index}`).join(', ')}`);
+        }
+        if (affected.length > 0) {
+            console.log(`   ${affected.length} stored message(s) no longer pass verify-message (slash still checks them)`);
+        }
+    });
+
+identityCommand
+    .command('show <name>')
+    .description('Show an identity\'s index, message limit and commitments')
+    .action(async (name) => {
+        const item = (await loadIdentities()).get(name);
+        
+        console.log(`👤 ${item.name}`);
+        console.log(`   Index: ${item.index}`);
+        console.log(`   Message limit: ${item.messageLimit}`);
+        console.log(`   Commitment: ${await item.identity.getCommitment()}`);
+        console.log(`   Rate commitment: ${await item.identity.getRateCommitment(item.messageLimit)}`);
+    });
+
+program
+    .command('deploy')
+    .description('Deploy a verifier and the RLN contract to the JSON-RPC node')
+    .option('--verifier <kind>', 'groth16 or mock (default: mock with RLN_BACKEND=mock, else groth16)')
+    .option('--deposit <eth>', 'Membership deposit in ETH', '0.01')
+    .action(async (options) => {
+        console.log('🚀 Deploying RLN contracts...\n');
+        
+        // The contract starts from the empty group; register --onchain moves its root along
+        const rln = createRLN();
+        await rln.init();
+        
+        const signer = await connectSigner();
+        const deployment = await deployContracts(signer, {
+            verifier: options.verifier || (CONFIG.backend === 'mock' ? 'mock' : 'groth16'),
+            membershipDeposit: ethers.parseEther(options.deposit),
+            epochLength: CONFIG.epochLength,
+            initialRoot: rln.getRoot()
+        });
+        signer.provider.destroy();
+        
+        deployment.rpcUrl = CONFIG.rpcUrl;
+        saveDeployment(CONFIG.deploymentFile, deployment);
+        
+        console.log(`✅ ${deployment.verifier.contract}: ${deployment.verifier.address}`);
+        console.log(`✅ Poseidon hasher: ${deployment.hasher}`);
+        console.log(`✅ RLN: ${deployment.rln}`);
+        console.log(`   Chain ID: ${deployment.chainId}`);
+        console.log(`   Membership deposit: ${options.deposit} ETH`);
+        console.log(`   Epoch length: ${deployment.epochLength} seconds`);
+        if (deployment.verifier.contract === 'MockVerifier') {
+            console.warn('⚠️  MockVerifier accepts any proof - for testing only');
+        }
+        console.log(`\n📄 Deployment saved to: ${CONFIG.deploymentFile}`);
+    });
+
+program
+    .command('register')
+    .description('Register a stored identity with the deployed RLN contract')
+    .requiredOption('-i, --identity <index|name>', 'Identity index or name')
+    .option('--onchain', 'Send the commitment and membership deposit to the contract')
+    .action(async (options) => {
+        const store = await loadIdentities();
+        const identity = selectIdentity(store, options.identity);
+        const commitment = await identity.identity.getCommitment();
+        
+        // Stored identities are members of the local group already
+        if (!options.onchain) {
+            console.log(`👤 ${identity.name} is leaf ${identity.index} of the local group (commitment ${commitment})`);
+            console.log('   Pass --onchain to register it with the deployed RLN contract');
+            return;
+        }
+        
+        const rln = createRLN();
+        await rln.init();
+        await registerIdentities(rln, store.list());
+        
+        const { deployment, contract } = await connectContract();
+        console.log(`⛓️  Registering ${identity.name} with RLN at ${deployment.rln}...\n`);
+        try {
+            const registered = await registerOnchain(contract, commitment, rln.getRoot());
+            
+            console.log(`✅ Registered with a deposit of ${ethers.formatEther(registered.deposit)} ETH`);
+            console.log(`   Commitment: ${commitment}`);
+            console.log(`   Transaction: ${registered.txHash}`);
+            if (registered.rootTxHash) {
+                console.log(`   Root updated to ${rln.getRoot()}`);
+                console.log(`   Transaction: ${registered.rootTxHash}`);
+            }
+        } finally {
+            disconnect(contract);
         }
     });
 
 program
     .command('post-message')
     .description('Post a message using RLN proof')
-    .requiredOption('-i, --identity <index>', 'Identity index', parseInt)
+    .requiredOption('-i, --identity <index|name>', 'Identity index or name')
     .requiredOption('-m, --message <text>', 'Message text')
     .option('-e, --epoch <epoch>', 'Epoch (default: current)', parseInt)
+    .option('--message-id <id>', 'Message slot to use (default: the next free one this epoch)')
+    .option('--allow-double-signal', 'Reuse a slot already used this epoch, exposing the identity (spam demo)')
+    .option('--onchain', 'Also send the proof to the deployed RLN contract')
     .action(async (options) => {
         console.log('📝 Posting message with RLN proof...\\n');
         
-        const identities = await loadIdentities();
-        if (options.identity >= identities.length) {
-            console.error('❌ Invalid identity index');
-            process.exit(1);
-        }
+        const requestedMessageId = options.messageId === undefined ? undefined : parseMessageId(options.messageId);
+        const store = await loadIdentities();
+        const identities = store.list();
+        const identity = selectIdentity(store, options.identity);
         
-        const identity = identities[options.identity];
+        // Find the contract before spending time on a proof
+        const onchain = options.onchain ? await connectContract() : null;
         
         // Initialize RLN
-        const rln = new RLN({
-            wasmPath: path.join(__dirname, '../build/rln_js/rln.wasm'),
-            zkeyPath: path.join(__dirname, '../build/rln.zkey'),
-            vkeyPath: path.join(__dirname, '../build/verification_key.json')
-        });
+        const rln = createRLN();
         
         await rln.init();
         
         // Re-register all identities to rebuild the tree
-        for (const item of identities) {
-            await rln.registerIdentity(item.identity);
-        }
+        await registerIdentities(rln, identities);
+        const commitment = await identity.identity.getCommitment();
         
         // Calculate epoch and external nullifier
-        const epoch = options.epoch || rln.getCurrentEpoch(CONFIG.epochLength);
+        const epoch = options.epoch || rln.getCurrentEpoch();
         const externalNullifier = await rln.calculateExternalNullifier(epoch, CONFIG.appId);
         
-        // Generate unique message ID
-        const messageId = Date.now();
+        // Next free message slot of this identity in this epoch
+        const slots = MessageSlots.load(CONFIG.slotsFile);
+        const { messageId, doubleSignal } = slots.assign({
+            externalNullifier,
+            identity: commitment,
+            messageLimit: identity.messageLimit,
+            messageId: requestedMessageId,
+            allowDoubleSignal: options.allowDoubleSignal
+        });
         
         console.log('📋 Message details:');
         console.log(`   Identity: ${identity.name}`);
@@ -168,11 +527,17 @@ program
         console.log(`   Epoch: ${epoch}`);
         console.log(`   External Nullifier: ${externalNullifier}`);
         console.log(`   Message ID: ${messageId}`);
+        if (doubleSignal) {
+            console.warn(`\n⚠️  Slot ${messageId} was already used this epoch: this message double-signals and exposes ${identity.name}`);
+        }
         
         // Generate proof
         console.log('\\n🔐 Generating RLN proof...');
+        let proof;
+        let messages;
+        let messageData;
         try {
-            const proof = await rln.generateProof(
+            proof = await rln.generateProof(
                 identity.index,
                 options.message,
                 externalNullifier,
@@ -186,21 +551,23 @@ program
             console.log(`🔍 Proof verification: ${isValid ? '✅ VALID' : '❌ INVALID'}`);
             
             // Save message
-            const messages = await loadMessages();
-            const messageData = {
-                id: messageId,
+            messages = await loadMessages();
+            messageData = {
+                id: Date.now(),
                 identity: identity.name,
                 identityIndex: identity.index,
                 text: options.message,
                 epoch: epoch,
                 externalNullifier: externalNullifier,
-                proof: proof.proof,
-                publicSignals: proof.publicSignals,
+                messageId,
+                proof: proof.toJSON(),
                 timestamp: new Date().toISOString()
             };
             
             messages.push(messageData);
             await saveMessages(messages);
+            slots.use(externalNullifier, commitment, messageId, { epoch, appId: CONFIG.appId });
+            slots.save();
             
             console.log('\\n📄 Message saved to:', CONFIG.messagesFile);
             console.log('🎉 Message posted successfully!');
@@ -209,6 +576,31 @@ program
             console.error('❌ Failed to generate proof:', error.message);
             process.exit(1);
         }
+        
+        if (!onchain) {
+            return;
+        }
+        
+        // The message stays stored locally even if the contract rejects it, so a
+        // double signal can still be slashed from it
+        console.log('\n⛓️  Sending the proof to the RLN contract...');
+        try {
+            const posted = await postMessageOnchain(onchain.contract, proof);
+            messageData.onchain = {
+                rln: onchain.deployment.rln,
+                chainId: onchain.deployment.chainId,
+                ...posted
+            };
+            await saveMessages(messages);
+            
+            console.log(`✅ Posted on-chain as message ${posted.messageId} (contract epoch ${posted.epoch})`);
+            console.log(`   Transaction: ${posted.txHash}`);
+        } catch (error) {
+            console.error(`❌ Rejected on-chain: ${error.message}`);
+            process.exitCode = 1;
+        } finally {
+            disconnect(onchain.contract);
+        }
     });
 
 program
@@ -227,11 +619,13 @@ program
             ? messages.filter(m => m.epoch === options.epoch)
             : messages;
             
+        const layout = await loadLayout();
+        
         console.log('📨 Posted Messages:\\n');
         filteredMessages.forEach((msg, index) => {
             console.log(`[${index}] ${msg.identity} (Epoch ${msg.epoch})`);
             console.log(`    "${msg.text}"`);
-            console.log(`    Nullifier: ${msg.publicSignals[2]}`);
+            console.log(`    Nullifier: ${getPublicSignals(msg, layout).nullifier}`);
             console.log(`    Timestamp: ${msg.timestamp}\\n`);
         });
         
@@ -255,6 +649,8 @@ program
         
         console.log('🔍 Analyzing messages for spam...\\n');
         
+        const layout = await loadLayout();
+        
         const epochGroups = {};
         messages.forEach(msg => {
             if (!epochGroups[msg.epoch]) {
@@ -269,14 +665,14 @@ program
             const nullifiers = {};
             
             epochMessages.forEach(msg => {
-                const nullifier = msg.publicSignals[2];
+                const nullifier = getPublicSignals(msg, layout).nullifier;
                 if (nullifiers[nullifier]) {
                     console.log(`🚨 SPAM DETECTED in epoch ${epoch}!`);
                     console.log(`   Duplicate nullifier: ${nullifier}`);
                     console.log(`   Messages:`);
                     console.log(`     1. "${nullifiers[nullifier].text}" by ${nullifiers[nullifier].identity}`);
                     console.log(`     2. "${msg.text}" by ${msg.identity}`);
-                    console.log(`   🔥 Identity can be slashed!\\n`);
+                    console.log(`   🔥 Identity can be slashed: run rln-demo slash\\n`);
                     spamFound = true;
                 } else {
                     nullifiers[nullifier] = msg;
@@ -289,6 +685,149 @@ program
         }
     });
 
+program
+    .command('slash')
+    .description('Recover the secrets of double signalers and write slashing evidence files')
+    .option('-o, --out <dir>', 'Directory for evidence files (default: <data-dir>/evidence)')
+    .option('--onchain', 'Also slash the identities on the deployed RLN contract')
+    .action(async (options) => {
+        const messages = await loadMessages();
+        if (messages.length === 0) {
+            console.log('No messages to analyze');
+            return;
+        }
+        
+        // The current group attributes recovered secrets; proofs are checked against the
+        // verification key alone, since the roots they were made for may be gone after
+        // identities were removed
+        const identities = (await loadIdentities()).list();
+        const rln = createRLN();
+        await rln.init();
+        await registerIdentities(rln, identities);
+        
+        // Feed every stored proof to the spam detector, remembering the message behind
+        // the first share of each nullifier
+        const detector = new RLNSpamDetector(rln, {
+            verifier: new RLNVerifier({ backend: rln.backend, layout: rln.layout })
+        });
+        const firstMessages = new Map();
+        const cases = [];
+        let unverifiable = 0;
+        
+        for (const message of messages) {
+            const proof = loadProof(message, rln.layout);
+            const { externalNullifier, nullifier } = proof.getPublicSignals();
+            const key = RLNSpamDetector.key(externalNullifier, nullifier);
+            const result = await detector.ingest(proof);
+            
+            if (result.status === 'invalid') {
+                console.log(`⚠️  Skipping message "${message.text}": its proof does not verify`);
+                unverifiable++;
+            } else if (result.status === 'new') {
+                firstMessages.set(key, message);
+            } else if (result.status === 'spam' && !cases.some(item => item.evidence === result.evidence)) {
+                cases.push({ evidence: result.evidence, messages: [firstMessages.get(key), message] });
+            }
+        }
+        
+        if (cases.length === 0) {
+            if (unverifiable > 0) {
+                console.log(`❌ ${unverifiable} of ${messages.length} messages could not be verified; double signals among them would go unnoticed`);
+                process.exitCode = 1;
+            } else {
+                console.log('✅ No double signaling found. Nothing to slash.');
+            }
+            return;
+        }
+        
+        const outDir = options.out ? path.resolve(options.out) : path.join(CONFIG.dataDir, 'evidence');
+        fs.mkdirSync(outDir, { recursive: true });
+        
+        const onchain = options.onchain ? await connectContract() : null;
+        for (const { evidence, messages: pair } of cases) {
+            const epoch = pair[1].epoch;
+            console.log(`🚨 Double signaling in epoch ${epoch}: "${pair[0].text}" and "${pair[1].text}"`);
+            console.log(`   Recovered identity commitment: ${evidence.identityCommitment}`);
+            
+            // Only a secret that opens a registered identity is worth handing over
+            if (evidence.index === null) {
+                console.log('   ❌ Not a registered identity; no evidence written\n');
+                continue;
+            }
+            
+            const file = path.join(outDir, `evidence-${epoch}-${evidence.nullifier.slice(0, 16)}.json`);
+            fs.writeFileSync(file, JSON.stringify({
+                ...evidence,
+                appId: CONFIG.appId,
+                epoch,
+                signalHashMode: rln.signalHashMode,
+                messages: pair.map(message => ({ text: message.text, timestamp: message.timestamp }))
+            }, null, 2));
+            
+            const name = identities.find(item => item.index === evidence.index);
+            console.log(`   ✅ Matches registered identity [${evidence.index}]${name ? ` ${name.name}` : ''}`);
+            console.log(`   📄 Evidence written to: ${file}`);
+            
+            if (onchain) {
+                await slashMessages(onchain, evidence, pair, rln.layout);
+            }
+            console.log('');
+        }
+        
+        if (onchain) {
+            disconnect(onchain.contract);
+        }
+    });
+
+program
+    .command('verify-evidence <file>')
+    .description('Independently re-check a slashing evidence file')
+    .action(async (file) => {
+        const evidence = JSON.parse(fs.readFileSync(file, 'utf8'));
+        
+        // Nothing from the data directory is needed: only the circuit's verification
+        // key and layout, and what the file itself contains
+        const rln = createRLN({ signalHashMode: evidence.signalHashMode });
+        await rln.init();
+        
+        const problems = [];
+        const result = await rln.verifyEvidence(evidence);
+        if (!result.valid) {
+            problems.push(`${result.reason}: ${result.message}`);
+        }
+        
+        // The labels the slash command adds must agree with the proofs too
+        if (result.valid && evidence.epoch !== undefined && evidence.appId !== undefined) {
+            const externalNullifier = await rln.calculateExternalNullifier(evidence.epoch, evidence.appId);
+            if (externalNullifier.toString() !== evidence.externalNullifier.toString()) {
+                problems.push(`The proofs are not for epoch ${evidence.epoch} of ${evidence.appId}`);
+            }
+        }
+        for (const [i, message] of (result.valid && evidence.messages || []).entries()) {
+            const x = (await rln.hashSignal(message.text)).toString();
+            if (x !== rln.layout.name(evidence.proofs[i].publicSignals).x) {
+                problems.push(`Message ${i + 1} ("${message.text}") is not what proof ${i + 1} signals`);
+            }
+        }
+        
+        if (problems.length > 0) {
+            console.log('❌ Evidence rejected');
+            problems.forEach(problem => console.log(`   ${problem}`));
+            process.exitCode = 1;
+            return;
+        }
+        
+        console.log('✅ Evidence verified');
+        console.log(`   Both proofs are valid and share nullifier ${evidence.nullifier}`);
+        console.log(`   The recovered secret opens identity commitment ${result.identityCommitment}`);
+        if (result.rateCommitment) {
+            console.log(`   and rate commitment ${result.rateCommitment} (message limit ${evidence.messageLimit})`);
+        }
+        if (evidence.epoch !== undefined) {
+            console.log(`   Epoch ${evidence.epoch} of ${evidence.appId}`);
+        }
+    });
+
 program
     .command('verify-message')
     .description('Verify a specific message proof')
@@ -309,19 +848,19 @@ program
         console.log(`Epoch: ${message.epoch}`);
         
         // Initialize RLN for verification
-        const rln = new RLN({
-            wasmPath: path.join(__dirname, '../build/rln_js/rln.wasm'),
-            zkeyPath: path.join(__dirname, '../build/rln.zkey'),
-            vkeyPath: path.join(__dirname, '../build/verification_key.json')
+        const identities = (await loadIdentities()).list();
+        const rln = createRLN({
+            // Keep every root the group has had, so older messages still verify
+            rootHistorySize: identities.length + 1
         });
         
         await rln.init();
         
+        // Replay registrations one at a time to rebuild the root history
+        await registerIdentities(rln, identities);
+        
         try {
-            const proof = {
-                proof: message.proof,
-                publicSignals: message.publicSignals
-            };
+            const proof = loadProof(message, rln.layout);
             
             const isValid = await rln.verifyProof(proof);
             console.log(`\\n🔐 Proof verification: ${isValid ? '✅ VALID' : '❌ INVALID'}`);
@@ -344,7 +883,7 @@ program
     .command('stats')
     .description('Show RLN system statistics')
     .action(async () => {
-        const identities = await loadIdentities();
+        const identities = IdentityStore.read(CONFIG.identitiesFile);
         const messages = await loadMessages();
         
         console.log('📊 RLN System Statistics\\n');
@@ -377,9 +916,19 @@ program
         }
         
         console.log(`\\n⚙️  Configuration:`);
-        console.log(`   Epoch Length: ${CONFIG.epochLength} seconds`);
-        console.log(`   App ID: ${CONFIG.appId}`);
-        console.log(`   Data Directory: ${path.dirname(CONFIG.identitiesFile)}`);
+        console.log(`   Epoch Length: ${CONFIG.epochLength} seconds (${CONFIG.sources.epochLength})`);
+        console.log(`   App ID: ${CONFIG.appId} (${CONFIG.sources.appId})`);
+        console.log(`   Data Directory: ${CONFIG.dataDir} (${CONFIG.sources.dataDir})`);
+        console.log(`   Artifacts: ${CONFIG.artifacts} (${CONFIG.sources.artifacts})`);
+        console.log(`   Config File: ${CONFIG.configFile || 'none'}`);
+        console.log(`   RPC URL: ${CONFIG.rpcUrl} (${CONFIG.sources.rpcUrl})`);
+        if (fs.existsSync(CONFIG.deploymentFile)) {
+            const deployment = loadDeployment(CONFIG.deploymentFile);
+            console.log(`   RLN Contract: ${deployment.rln} on chain ${deployment.chainId} (${deployment.verifier.contract})`);
+        }
     });
 
-program.parse();
\ No newline at end of file
+program.parseAsync().catch((error) => {
+    console.error('❌', error.message);
+    process.exit(1);
+});
\ No newline at end of file
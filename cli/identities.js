@@ -0,0 +1,146 @@
+const fs = require('fs');
+const path = require('path');
+const { RLNIdentity } = require('../packages/sdk');
+
+// Messages per epoch for identities stored before limits were kept per identity
+const DEFAULT_MESSAGE_LIMIT = 1;
+
+const EXPORT_TYPE = 'RLNIdentityExport';
+
+// The CLI's named identities, stored as [{ name, index, messageLimit, identity }]
+// with `identity` a password-encrypted keystore. The file order is the registration
+// order, so `index` is always the identity's leaf in the Merkle tree and is
+// recomputed whenever an identity is removed.
+class IdentityStore {
+    constructor(file, entries = []) {
+        this.file = file;
+        this.entries = entries;
+        // Set when the file held plaintext identities from before the keystore
+        this.migrated = false;
+    }
+
+    static read(file) {
+        return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : [];
+    }
+
+    // Load and decrypt every identity; getPassword() is only called when there are any
+    static async load(file, getPassword) {
+        const data = IdentityStore.read(file);
+        const password = data.length > 0 ? await getPassword() : null;
+
+        const store = new IdentityStore(file, data.map(item => ({
+            name: item.name,
+            messageLimit: item.messageLimit || DEFAULT_MESSAGE_LIMIT,
+            identity: RLNIdentity.deserialize(item.identity, password)
+        })));
+        store.reindex();
+        store.migrated = data.some(item => RLNIdentity.isLegacy(item.identity));
+        return store;
+    }
+
+    save(password) {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.writeFileSync(this.file, JSON.stringify(this.entries.map(item => ({
+            name: item.name,
+            index: item.index,
+            messageLimit: item.messageLimit,
+            identity: item.identity.serialize(password)
+        })), null, 2));
+    }
+
+    reindex() {
+        this.entries.forEach((item, index) => {
+            item.index = index;
+        });
+    }
+
+    list() {
+        return [...this.entries];
+    }
+
+    find(name) {
+        return this.entries.find(item => item.name === name) || null;
+    }
+
+    get(name) {
+        const item = this.find(name);
+        if (!item) {
+            throw new Error(`No identity named "${name}"`);
+        }
+        return item;
+    }
+
+    // Append an identity under a new name; the same secret cannot be stored twice
+    async add(name, identity, messageLimit = DEFAULT_MESSAGE_LIMIT) {
+        if (typeof name !== 'string' || name.trim() === '') {
+            throw new Error('An identity needs a name');
+        }
+        if (this.find(name)) {
+            throw new Error(`An identity named "${name}" already exists`);
+        }
+        if (!Number.isInteger(messageLimit) || messageLimit < 1) {
+            throw new Error('messageLimit must be a positive integer');
+        }
+
+        const commitment = await identity.getCommitment();
+        for (const item of this.entries) {
+            if (await item.identity.getCommitment() === commitment) {
+                throw new Error(`This identity is already stored as "${item.name}"`);
+            }
+        }
+
+        const item = { name, index: this.entries.length, messageLimit, identity };
+        this.entries.push(item);
+        return item;
+    }
+
+    // Drop an identity; every identity after it moves down one leaf
+    remove(name) {
+        const item = this.get(name);
+        this.entries.splice(this.entries.indexOf(item), 1);
+        this.reindex();
+        return item;
+    }
+
+    // Portable copy of an identity, encrypted with `password`, or with the raw
+    // secret when `password` is null
+    async export(name, password) {
+        const item = this.get(name);
+        const data = {
+            type: EXPORT_TYPE,
+            name: item.name,
+            messageLimit: item.messageLimit,
+            commitment: await item.identity.getCommitment()
+        };
+
+        if (password === null) {
+            data.secret = item.identity.secret;
+        } else {
+            data.identity = item.identity.serialize(password);
+        }
+        return data;
+    }
+
+    // { name, messageLimit, identity } from an export, checking it opens the
+    // commitment it was exported with
+    static async parseExport(data, password) {
+        if (!data || data.type !== EXPORT_TYPE) {
+            throw new Error(`Not an ${EXPORT_TYPE} file`);
+        }
+
+        const identity = data.secret !== undefined
+            ? new RLNIdentity(data.secret)
+            : RLNIdentity.deserialize(data.identity, password);
+
+        if (data.commitment !== undefined && await identity.getCommitment() !== data.commitment) {
+            throw new Error('The exported identity does not match its commitment');
+        }
+        return { name: data.name, messageLimit: data.messageLimit || DEFAULT_MESSAGE_LIMIT, identity };
+    }
+}
+
+module.exports = {
+    DEFAULT_MESSAGE_LIMIT,
+    EXPORT_TYPE,
+    IdentityStore
+};
@@ -0,0 +1,241 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { poseidonContract } = require('circomlibjs');
+
+const DEPLOYMENT_TYPE = 'RLNDeployment';
+
+// Compiled contracts (npx hardhat compile), tracked in the repository
+const ARTIFACTS_DIR = path.join(__dirname, '../artifacts/contracts');
+
+// Verifier contracts the RLN contract can be deployed with
+const VERIFIERS = {
+    groth16: 'RLNVerifier.sol/Groth16Verifier',
+    mock: 'RLN.sol/MockVerifier'
+};
+
+function loadArtifact(name) {
+    const file = path.join(ARTIFACTS_DIR, `${name}.json`);
+    if (!fs.existsSync(file)) {
+        throw new Error(`Contract artifact not found: ${file} (run npx hardhat compile)`);
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+const RLN_ABI = loadArtifact('RLN.sol/RLN').abi;
+
+// Signer on a JSON-RPC node: a wallet for `privateKey`, or else the node's first
+// unlocked account (npx hardhat node unlocks twenty)
+async function connect(rpcUrl, privateKey) {
+    const provider = new ethers.JsonRpcProvider(rpcUrl, undefined, { staticNetwork: true });
+    try {
+        await provider.getNetwork();
+    } catch (error) {
+        provider.destroy();
+        throw new Error(`No JSON-RPC node at ${rpcUrl} (start one with npx hardhat node): ${error.shortMessage || error.message}`);
+    }
+    return privateKey ? new ethers.Wallet(privateKey, provider) : provider.getSigner(0);
+}
+
+// Name of the contract's custom error behind a revert. Reverts found while a node
+// signer estimates gas come without the ABI, so the data is decoded here.
+function revertName(contract, error) {
+    if (error.revert) {
+        return error.revert.name;
+    }
+    if (typeof error.data === 'string' && error.data.length >= 10) {
+        const parsed = contract.interface.parseError(error.data);
+        if (parsed) {
+            return parsed.name;
+        }
+    }
+    return null;
+}
+
+// Call `method` of `contract` and wait for the transaction, naming the contract
+// error on a revert
+async function send(contract, method, ...args) {
+    try {
+        const tx = await contract[method](...args);
+        return await tx.wait();
+    } catch (error) {
+        const name = revertName(contract, error);
+        const wrapped = new Error(`${method} failed: ${name || error.shortMessage || error.message}`);
+        wrapped.code = name || error.code;
+        throw wrapped;
+    }
+}
+
+// Arguments from `receipt`'s first `name` event of `contract`
+function eventArgs(contract, receipt, name) {
+    for (const log of receipt.logs) {
+        const parsed = contract.interface.parseLog(log);
+        if (parsed && parsed.name === name) {
+            return parsed.args;
+        }
+    }
+    return null;
+}
+
+// Deploy circomlibjs's one-input Poseidon contract, which the RLN contract hashes
+// recovered secrets with when slashing
+async function deployPoseidon(signer) {
+    const factory = new ethers.ContractFactory(poseidonContract.generateABI(1), poseidonContract.createCode(1), signer);
+    const hasher = await factory.deploy();
+    await hasher.waitForDeployment();
+    return hasher;
+}
+
+// Deploy a verifier (`groth16` or `mock`), the Poseidon hasher and an RLN contract
+// using them, returning the deployment record to keep for later runs
+async function deployContracts(signer, { verifier = 'groth16', membershipDeposit, epochLength, initialRoot }) {
+    if (!VERIFIERS[verifier]) {
+        throw new Error(`Unknown verifier "${verifier}" (expected ${Object.keys(VERIFIERS).join(' or ')})`);
+    }
+
+    const verifierArtifact = loadArtifact(VERIFIERS[verifier]);
+    const verifierContract = await new ethers.ContractFactory(verifierArtifact.abi, verifierArtifact.bytecode, signer).deploy();
+    await verifierContract.waitForDeployment();
+    const hasher = await deployPoseidon(signer);
+
+    const rlnArtifact = loadArtifact('RLN.sol/RLN');
+    const rln = await new ethers.ContractFactory(rlnArtifact.abi, rlnArtifact.bytecode, signer).deploy(
+        await verifierContract.getAddress(),
+        await hasher.getAddress(),
+        membershipDeposit,
+        epochLength,
+        initialRoot
+    );
+    const receipt = await rln.deploymentTransaction().wait();
+
+    const network = await signer.provider.getNetwork();
+    return {
+        type: DEPLOYMENT_TYPE,
+        chainId: network.chainId.toString(),
+        deployer: await signer.getAddress(),
+        verifier: { contract: verifierArtifact.contractName, address: await verifierContract.getAddress() },
+        hasher: await hasher.getAddress(),
+        rln: await rln.getAddress(),
+        membershipDeposit: membershipDeposit.toString(),
+        epochLength,
+        blockNumber: receipt.blockNumber,
+        deployedAt: new Date().toISOString()
+    };
+}
+
+function saveDeployment(file, deployment) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(deployment, null, 2));
+}
+
+function loadDeployment(file) {
+    if (!fs.existsSync(file)) {
+        throw new Error(`No deployment at ${file}; run the deploy command first`);
+    }
+    const deployment = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (deployment.type !== DEPLOYMENT_TYPE) {
+        throw new Error(`Not an ${DEPLOYMENT_TYPE} file: ${file}`);
+    }
+    return deployment;
+}
+
+// The deployed RLN contract, checking it is still there: a restarted hardhat node
+// starts from an empty chain
+async function attach(deployment, signer) {
+    const network = await signer.provider.getNetwork();
+    if (network.chainId.toString() !== deployment.chainId) {
+        throw new Error(`The node runs chain ${network.chainId}, but the RLN contract was deployed on chain ${deployment.chainId}`);
+    }
+    if (await signer.provider.getCode(deployment.rln) === '0x') {
+        throw new Error(`No RLN contract at ${deployment.rln}; was the node restarted? Run deploy again`);
+    }
+    return new ethers.Contract(deployment.rln, RLN_ABI, signer);
+}
+
+// postMessage/slash arguments of a proof: signalHash, nullifier, y, externalNullifier,
+// root, then the Groth16 points
+function messageArgs(proof) {
+    const solidity = proof.toSolidityProof();
+    if (solidity.proof) {
+        throw new Error(`The RLN contract verifies Groth16 proofs, not ${proof.protocol}`);
+    }
+    const { x, nullifier, y, externalNullifier, root } = proof.getPublicSignals();
+    return [x, nullifier, y, externalNullifier, root, solidity.a, solidity.b, solidity.c];
+}
+
+// Register an identity commitment with the membership deposit, then bring the
+// contract's root up to the local group's `root`
+async function registerOnchain(contract, commitment, root) {
+    // A slashed identity's secret is public, so it cannot come back
+    const registered = await contract.identities(commitment);
+    if (registered.deposit > 0n) {
+        const error = new Error(registered.slashed
+            ? 'This identity was slashed on-chain'
+            : 'This identity is already registered on-chain');
+        error.code = registered.slashed ? 'SLASHED' : 'ALREADY_REGISTERED';
+        throw error;
+    }
+
+    const deposit = await contract.membershipDeposit();
+    const receipt = await send(contract, 'registerIdentity', commitment, { value: deposit });
+
+    let rootReceipt = null;
+    if ((await contract.merkleRoot()).toString() !== root.toString()) {
+        rootReceipt = await send(contract, 'updateRoot', root);
+    }
+    return {
+        txHash: receipt.hash,
+        rootTxHash: rootReceipt ? rootReceipt.hash : null,
+        deposit: deposit.toString()
+    };
+}
+
+// Post a message's proof; it must be against one of the contract's recent roots
+async function postMessageOnchain(contract, proof) {
+    const args = messageArgs(proof);
+    const { root } = proof.getPublicSignals();
+    if (!await contract.isKnownRoot(root)) {
+        const contractRoot = (await contract.merkleRoot()).toString();
+        const error = new Error(`The proof is for root ${root}, which is not among the contract's recent roots (it holds ${contractRoot}); register --onchain updates it`);
+        error.code = 'ROOT_MISMATCH';
+        throw error;
+    }
+
+    const receipt = await send(contract, 'postMessage', ...args);
+    const event = eventArgs(contract, receipt, 'MessagePosted');
+    return {
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        messageId: event.messageId.toString(),
+        epoch: event.epoch.toString()
+    };
+}
+
+// Slash `identityCommitment` with the proof of a message that reuses the nullifier
+// of one already on-chain under a different signal
+async function slashOnchain(contract, identityCommitment, proof) {
+    const args = messageArgs(proof);
+    const receipt = await send(contract, 'slash', identityCommitment, ...args);
+    const event = eventArgs(contract, receipt, 'IdentitySlashed');
+    const identity = await contract.identities(identityCommitment);
+    return {
+        txHash: receipt.hash,
+        recoveredSecret: event.recoveredSecret.toString(),
+        reward: identity.deposit.toString()
+    };
+}
+
+module.exports = {
+    DEPLOYMENT_TYPE,
+    VERIFIERS,
+    loadArtifact,
+    connect,
+    deployPoseidon,
+    deployContracts,
+    saveDeployment,
+    loadDeployment,
+    attach,
+    registerOnchain,
+    postMessageOnchain,
+    slashOnchain
+};
@@ -0,0 +1,82 @@
+const fs = require('fs');
+const path = require('path');
+
+// Message slots (messageIds) each identity has used per external nullifier, that is
+// per epoch of an app. Identities are keyed by their commitment, which unlike the
+// tree index survives other identities being removed. Two messages in the same slot
+// share a nullifier and reveal the identity's secret, so the CLI hands out free slots
+// and refuses once they run out. Stored as
+// { "<externalNullifier>": { epoch, appId, used: { "<identityCommitment>": [messageId, ...] } } }
+class MessageSlots {
+    constructor(file, records = {}) {
+        this.file = file;
+        this.records = records;
+    }
+
+    static load(file) {
+        return new MessageSlots(file, fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {});
+    }
+
+    save() {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.writeFileSync(this.file, JSON.stringify(this.records, null, 2));
+    }
+
+    // Slots an identity has used under an external nullifier, in the order used
+    used(externalNullifier, identity) {
+        const record = this.records[externalNullifier.toString()];
+        return record ? [...(record.used[identity] || [])] : [];
+    }
+
+    // The messageId for the next message: `messageId` when given, else the lowest
+    // free slot below messageLimit. A used slot is refused unless allowDoubleSignal is
+    // set, in which case running out of slots reuses slot 0. Returns
+    // { messageId, doubleSignal }.
+    assign({ externalNullifier, identity, messageLimit, messageId, allowDoubleSignal = false }) {
+        const used = this.used(externalNullifier, identity);
+
+        if (messageId === undefined) {
+            messageId = Array.from({ length: messageLimit }, (_, slot) => slot).find(slot => !used.includes(slot));
+            if (messageId === undefined) {
+                if (!allowDoubleSignal) {
+                    throw new Error(
+                        `All ${messageLimit} message slot(s) of this identity are used this epoch; ` +
+                        'wait for the next epoch, or pass --allow-double-signal to post anyway and expose the identity'
+                    );
+                }
+                messageId = 0;
+            }
+        }
+
+        if (!Number.isInteger(messageId) || messageId < 0 || messageId >= messageLimit) {
+            throw new Error(`messageId must be an integer between 0 and ${messageLimit - 1}`);
+        }
+
+        const doubleSignal = used.includes(messageId);
+        if (doubleSignal && !allowDoubleSignal) {
+            throw new Error(
+                `Message slot ${messageId} of this identity is already used this epoch; ` +
+                'pass --allow-double-signal to reuse it on purpose and expose the identity'
+            );
+        }
+        return { messageId, doubleSignal };
+    }
+
+    // Record a slot as used; `details` ({ epoch, appId }) label the external nullifier
+    use(externalNullifier, identity, messageId, details = {}) {
+        const key = externalNullifier.toString();
+        if (!this.records[key]) {
+            this.records[key] = { ...details, used: {} };
+        }
+
+        const used = this.records[key].used;
+        used[identity] = used[identity] || [];
+        if (!used[identity].includes(messageId)) {
+            used[identity].push(messageId);
+        }
+    }
+}
+
+module.exports = {
+    MessageSlots
+};
@@ -10,6 +10,11 @@ interface IVerifier {
     ) external view returns (bool);
 }
 
+// Poseidon hash over one input, deployed from circomlibjs's poseidonContract
+interface IPoseidon {
+    function poseidon(uint256[1] memory input) external pure returns (uint256);
+}
+
 // Mock verifier for testing
 contract MockVerifier is IVerifier {
     function verifyProof(
@@ -24,6 +29,7 @@ contract MockVerifier is IVerifier {
 
 contract RLN {
     IVerifier public immutable verifier;
+    IPoseidon public immutable hasher;
     
     struct Identity {
         uint256 commitment;
@@ -45,6 +51,11 @@ contract RLN {
     mapping(uint256 => uint256[]) public epochMessages; // epoch -> message nullifiers
     mapping(uint256 => bool) public usedNullifiers;
     mapping(uint256 => uint256) public nullifierToEpoch;
+    mapping(uint256 => bool) public slashedNullifiers;
+    
+    // BN254 scalar field, where the circuit's shares live
+    uint256 internal constant SNARK_SCALAR_FIELD =
+        21888242871839275222246405745257275088548364400416034343698204186575808495617;
     
     uint256 public immutable membershipDeposit;
     uint256 public immutable epochLength;
@@ -52,6 +63,12 @@ contract RLN {
     uint256 public messageCount;
     uint256 public merkleRoot;
     
+    // The last ROOT_HISTORY_SIZE roots, like the SDK's root history: proofs made just
+    // before the group grew still verify, and double signals stay slashable
+    uint256 public constant ROOT_HISTORY_SIZE = 30;
+    uint256[ROOT_HISTORY_SIZE] public rootHistory;
+    uint256 public rootHistoryIndex;
+    
     event IdentityRegistered(uint256 indexed identityCommitment, uint256 deposit);
     event MessagePosted(uint256 indexed messageId, uint256 nullifier, uint256 epoch);
     event IdentitySlashed(uint256 indexed identityCommitment, uint256 recoveredSecret);
@@ -64,6 +81,10 @@ contract RLN {
     error MessageLimitExceeded();
     error InvalidEpoch();
     error NoSlashableOffense();
+    error IdentityNotRegistered();
+    error SecretMismatch();
+    error NullifierAlreadySlashed();
+    error UnknownRoot();
     
     modifier onlyValidEpoch(uint256 epoch) {
         if (epoch != getCurrentEpoch()) revert InvalidEpoch();
@@ -72,14 +93,17 @@ contract RLN {
     
     constructor(
         address _verifier,
+        address _hasher,
         uint256 _membershipDeposit,
         uint256 _epochLength,
         uint256 _initialRoot
     ) {
         verifier = IVerifier(_verifier);
+        hasher = IPoseidon(_hasher);
         membershipDeposit = _membershipDeposit;
         epochLength = _epochLength;
         merkleRoot = _initialRoot;
+        rootHistory[0] = _initialRoot;
     }
     
     function registerIdentity(uint256 identityCommitment) external payable {
@@ -104,11 +128,13 @@ contract RLN {
         uint256 nullifier,
         uint256 y,
         uint256 externalNullifier,
+        uint256 root,
         uint[2] memory a,
         uint[2][2] memory b,
         uint[2] memory c
     ) external {
         if (usedNullifiers[nullifier]) revert NullifierAlreadyUsed();
+        if (!isKnownRoot(root)) revert UnknownRoot();
         
         uint256 currentEpoch = getCurrentEpoch();
         
@@ -117,13 +143,13 @@ contract RLN {
             revert MessageLimitExceeded();
         }
         
-        // Verify the ZK proof
+        // Verify the ZK proof, public signals in circuit order (public_signals.json of the build)
         uint[5] memory input = [
-            externalNullifier,
             y,
+            root,
             nullifier,
-            merkleRoot,
-            signalHash
+            signalHash,
+            externalNullifier
         ];
         
         if (!verifier.verifyProof(a, b, c, input)) revert InvalidProof();
@@ -146,44 +172,58 @@ contract RLN {
         emit MessagePosted(messageId, nullifier, currentEpoch);
     }
     
+    // Slash a double signal: a valid proof for a nullifier already used on-chain, with
+    // a different signal, puts a second share of the same line on record. The two
+    // shares reveal the secret behind the nullifier, which must open the slashed
+    // identity's commitment. Each nullifier pays out once.
     function slash(
-        uint256 nullifier1,
-        uint256 nullifier2,
-        uint256 identityCommitment
+        uint256 identityCommitment,
+        uint256 signalHash,
+        uint256 nullifier,
+        uint256 y,
+        uint256 externalNullifier,
+        uint256 root,
+        uint[2] memory a,
+        uint[2][2] memory b,
+        uint[2] memory c
     ) external {
-        // Verify both nullifiers are from the same epoch
-        uint256 epoch1 = nullifierToEpoch[nullifier1];
-        uint256 epoch2 = nullifierToEpoch[nullifier2];
+        if (!usedNullifiers[nullifier]) revert NoSlashableOffense();
+        if (!isKnownRoot(root)) revert UnknownRoot();
         
-        if (epoch1 != epoch2 || epoch1 == 0) revert NoSlashableOffense();
+        Identity storage identity = identities[identityCommitment];
+        if (identity.deposit == 0) revert IdentityNotRegistered();
+        if (identity.slashed) revert IdentityAlreadySlashed();
+        if (slashedNullifiers[nullifier]) revert NullifierAlreadySlashed();
         
-        // Get the messages
-        uint256 messageId1 = findMessageByNullifier(nullifier1);
-        uint256 messageId2 = findMessageByNullifier(nullifier2);
+        // The first message with this nullifier, and a different second one
+        Message storage posted = messages[findMessageByNullifier(nullifier)];
+        if (posted.signalHash == signalHash) revert NoSlashableOffense();
         
-        Message storage msg1 = messages[messageId1];
-        Message storage msg2 = messages[messageId2];
+        // The second share must carry a valid proof, like any posted message
+        uint[5] memory input = [
+            y,
+            root,
+            nullifier,
+            signalHash,
+            externalNullifier
+        ];
         
-        // Verify the messages are different
-        if (msg1.signalHash == msg2.signalHash) revert NoSlashableOffense();
+        if (!verifier.verifyProof(a, b, c, input)) revert InvalidProof();
         
         // Recover the secret key using the two shares
         uint256 recoveredSecret = recoverSecret(
-            msg1.signalHash,
-            msg1.y,
-            msg2.signalHash,
-            msg2.y
+            posted.signalHash,
+            posted.y,
+            signalHash,
+            y
         );
         
-        // Verify the recovered secret matches the identity commitment
-        // In a real implementation, you'd need to verify:
-        // Hash(recoveredSecret) == identityCommitment
-        
-        Identity storage identity = identities[identityCommitment];
-        if (identity.slashed) revert IdentityAlreadySlashed();
+        // identityCommitment = Poseidon(identitySecret), as in the circuit
+        if (hasher.poseidon([recoveredSecret]) != identityCommitment) revert SecretMismatch();
         
         // Slash the identity
         identity.slashed = true;
+        slashedNullifiers[nullifier] = true;
         
         // Send deposit to slasher as reward
         payable(msg.sender).transfer(identity.deposit);
@@ -196,21 +236,33 @@ contract RLN {
         uint256 y1,
         uint256 x2,
         uint256 y2
-    ) internal pure returns (uint256) {
-        // Solve the system of equations:
+    ) public pure returns (uint256) {
+        // Solve the system of equations in the scalar field:
         // y1 = a1 * x1 + a0
         // y2 = a1 * x2 + a0
         // Therefore: a0 = (y1 * x2 - y2 * x1) / (x2 - x1)
         
-        require(x1 != x2, "Cannot recover secret from same x values");
+        uint256 denominator = addmod(x2, SNARK_SCALAR_FIELD - (x1 % SNARK_SCALAR_FIELD), SNARK_SCALAR_FIELD);
+        require(denominator != 0, "Cannot recover secret from same x values");
         
-        // This is a simplified version - in practice you'd need to handle
-        // modular arithmetic properly for the field
-        uint256 numerator = (y1 * x2) - (y2 * x1);
-        uint256 denominator = x2 - x1;
+        uint256 numerator = addmod(
+            mulmod(y1, x2, SNARK_SCALAR_FIELD),
+            SNARK_SCALAR_FIELD - mulmod(y2, x1, SNARK_SCALAR_FIELD),
+            SNARK_SCALAR_FIELD
+        );
         
-        // In a real implementation, you'd need modular inverse
-        return numerator / denominator;
+        return mulmod(numerator, fieldInverse(denominator), SNARK_SCALAR_FIELD);
+    }
+    
+    // a^(p - 2) = a^-1 mod p (Fermat), by square-and-multiply
+    function fieldInverse(uint256 a) internal pure returns (uint256 result) {
+        result = 1;
+        for (uint256 exponent = SNARK_SCALAR_FIELD - 2; exponent > 0; exponent >>= 1) {
+            if (exponent & 1 == 1) {
+                result = mulmod(result, a, SNARK_SCALAR_FIELD);
+            }
+            a = mulmod(a, a, SNARK_SCALAR_FIELD);
+        }
     }
     
     function findMessageByNullifier(uint256 nullifier) internal view returns (uint256) {
@@ -238,10 +290,21 @@ contract RLN {
         return usedNullifiers[nullifier];
     }
     
+    // Whether `root` is one of the last ROOT_HISTORY_SIZE roots
+    function isKnownRoot(uint256 root) public view returns (bool) {
+        if (root == 0) return false;
+        for (uint256 i = 0; i < ROOT_HISTORY_SIZE; i++) {
+            if (rootHistory[i] == root) return true;
+        }
+        return false;
+    }
+    
     function updateRoot(uint256 newRoot) external {
         // In a real implementation, this would be restricted to authorized updaters
         // or use an incremental merkle tree
         merkleRoot = newRoot;
+        rootHistoryIndex = (rootHistoryIndex + 1) % ROOT_HISTORY_SIZE;
+        rootHistory[rootHistoryIndex] = newRoot;
         emit RootUpdated(newRoot);
     }
 }
\ No newline at end of file
@@ -27,12 +27,12 @@ contract Groth16Verifier {
     uint256 constant q   = 21888242871839275222246405745257275088696311157297823662689037894645226208583;
 
     // Verification Key data
-    uint256 constant alphax  = 7354004870569994222189522309738836337687275577332428690728724933781917096886;
-    uint256 constant alphay  = 6615168684098445053631902780019876538335020402373435070700214184030752448302;
-    uint256 constant betax1  = 551684025823043109523635452914147062107941866406317963510026390078080992845;
-    uint256 constant betax2  = 20466154804239458048211686155507711806293000506330768761342610606589038496331;
-    uint256 constant betay1  = 21020551160231745354684671509357648010569046698469526957201067987136549172725;
-    uint256 constant betay2  = 10370815030267478115342221277497358287928768866555402616276592208533741482554;
+    uint256 constant alphax  = 21360294423085603218314157864763515252212685033734930933726438799521554536585;
+    uint256 constant alphay  = 9745772304636580740983790904065121689998003343575496997063152205566711390132;
+    uint256 constant betax1  = 6561001070591481725152945403364336626708865620376791056394884163132581320186;
+    uint256 constant betax2  = 7430134826399904803215248192903029824202244168011142762400869153576962651911;
+    uint256 constant betay1  = 4234926086159261518281260731499208513301160915825744889596926590526935592670;
+    uint256 constant betay2  = 19950237433150799404766716023480993449326912955268697177683526387537334308547;
     uint256 constant gammax1 = 11559732032986387107991004021392285783925812861821192530917403151452391805634;
     uint256 constant gammax2 = 10857046999023057135944570762232829481370756359578518086990519993285655852781;
     uint256 constant gammay1 = 4082367875863433681332203403145435568316851327593401208105741076214120093531;
@@ -43,23 +43,23 @@ contract Groth16Verifier {
     uint256 constant deltay2 = 8495653923123431417604973247489272438418190587263600148770280649306958101930;
 
     
-    uint256 constant IC0x = 19287987421405506729267725963870230600506071901248839688866049664312597581837;
-    uint256 constant IC0y = 3883142113195863107897726512835772546949301513310534353176503238348024624909;
+    uint256 constant IC0x = 6137381516409687747472026290707385254498415243226922529339295240565405456324;
+    uint256 constant IC0y = 3024377923754332497714360412167344198797100274970460868481351956845854185963;
     
-    uint256 constant IC1x = 3296210084892272294063058481916974030495671583153336956651692270483194948440;
-    uint256 constant IC1y = 15963103421070069708236020875163391032492562569796861753093736179907075318623;
+    uint256 constant IC1x = 21000725529307372848578510192705954551872154572367790966878994927447535836164;
+    uint256 constant IC1y = 4323378594122937098448401220916613495195902566138721166256955699222469494123;
     
-    uint256 constant IC2x = 7632796256759081353516580334480171040436299239275942168566460858028030496628;
-    uint256 constant IC2y = 240083569352352233108064939169560975913817307642543877425974008158298826560;
+    uint256 constant IC2x = 15319532688079843495838887373478484898070026778713969935827226316365212381363;
+    uint256 constant IC2y = 16311610513868524697661916193325162385584267923042004317480565104867334824028;
     
-    uint256 constant IC3x = 17762074471917230599376655244686770516249553007242495544959316452213586345182;
-    uint256 constant IC3y = 9644688752321602129213769439392537637428410116757543299240987292487689908905;
+    uint256 constant IC3x = 10886990599071375951245712773218127247140689002242636574126710450072311501468;
+    uint256 constant IC3y = 10328737182024585016330009730632257773646091906544802992655585819296965465182;
     
-    uint256 constant IC4x = 11447074320995692779623532626847706526472091655835616586620349921726135115716;
-    uint256 constant IC4y = 6485272012821727559243558892909255136284684371366999200848249415628598650560;
+    uint256 constant IC4x = 15114054879560567182263786503274714703148848949698175948556831282629141632451;
+    uint256 constant IC4y = 12222888561317677865240790849594673993905491098516881423583627573580747755549;
     
-    uint256 constant IC5x = 2570692377904506757482334877340561769965048013444550410348060345865584421440;
-    uint256 constant IC5y = 18830753470364645065521435370258539006437696035125618803581762021107621216355;
+    uint256 constant IC5x = 8560842524649842353666105508593988679924289523407360816199100638627504226850;
+    uint256 constant IC5y = 19290449474844960408984403492616782369368093699936500472184075812600539590554;
     
  
     // Memory data
@@ -0,0 +1,268 @@
+const snarkjs = require('snarkjs');
+const { proveWithArtifacts, abortError, PROTOCOLS } = require('./prover');
+const { loadJSON } = require('./loaders');
+const { ProverPool, defaultLoader } = require('./platform');
+
+// Protocol tag carried by every mock proof; production verifiers reject it outright
+const MOCK_PROTOCOL = 'mock';
+
+// Reason codes reported for each verified proof
+const VERIFICATION_REASONS = {
+    VALID: 'VALID',
+    // Wrong shape, values outside the field, wrong signal count or points off the curve
+    MALFORMED: 'MALFORMED',
+    // Proof against a Merkle root outside the accepted root history
+    STALE_ROOT: 'STALE_ROOT',
+    // External nullifier outside the accepted epochs
+    WRONG_EPOCH: 'WRONG_EPOCH',
+    // Mock proof given to a backend that does not accept them
+    MOCK_PROOF: 'MOCK_PROOF',
+    // Well-formed proof that fails the pairing check
+    INVALID_PROOF: 'INVALID_PROOF',
+    // The verifier itself failed on this proof
+    ERROR: 'ERROR'
+};
+
+function isMockProof(proof) {
+    return Boolean(proof.proof) && proof.proof.protocol === MOCK_PROTOCOL;
+}
+
+// Proves and verifies snarkjs proofs. The protocol (groth16, plonk or fflonk) is
+// read from the verification key unless `protocol` pins it, in which case a key
+// for any other protocol is an error. Proving runs on a ProverPool when
+// `concurrency` is set (Node.js only; the workers read the files themselves), and
+// in-process from artifacts cached on first use otherwise. Artifacts and the key are
+// read through `loader`, files by default (see loaders.js). Verification reads the
+// key once.
+class SnarkjsBackend {
+    constructor(options = {}) {
+        this.protocol = options.protocol || null;
+        this.name = this.protocol ? `snarkjs-${this.protocol}` : 'snarkjs';
+        this.wasmPath = options.wasmPath || null;
+        this.zkeyPath = options.zkeyPath || null;
+        this.vkeyPath = options.vkeyPath || null;
+        this.loader = options.loader || null;
+        this.concurrency = options.concurrency || 0;
+        this.vkey = options.vkey ? Promise.resolve(options.vkey) : null;
+        this.pool = null;
+        this.artifacts = null;
+
+        if (this.protocol && !PROTOCOLS.includes(this.protocol)) {
+            throw new Error(`Unsupported proving protocol: ${this.protocol} (expected one of ${PROTOCOLS.join(', ')})`);
+        }
+        if (!this.vkey && !this.vkeyPath) {
+            throw new Error(`The ${this.name} backend requires a vkey or a vkeyPath`);
+        }
+    }
+
+    // Proof for a full witness; `options.signal` and `options.onProgress` as in ProverPool
+    async prove(witness, options = {}) {
+        if (!this.wasmPath || !this.zkeyPath) {
+            throw new Error(`The ${this.name} backend requires wasmPath and zkeyPath to prove`);
+        }
+
+        const protocol = await this.getProtocol();
+        try {
+            if (this.concurrency > 0) {
+                if (!this.pool) {
+                    this.pool = new ProverPool({
+                        wasmPath: this.wasmPath,
+                        zkeyPath: this.zkeyPath,
+                        protocol,
+                        concurrency: this.concurrency
+                    });
+                }
+                return await this.pool.prove(witness, options);
+            }
+
+            if (options.signal && options.signal.aborted) {
+                throw abortError(options.signal);
+            }
+            if (!this.artifacts) {
+                this.artifacts = this.loadArtifacts();
+            }
+            return await proveWithArtifacts(await this.artifacts, witness, options.onProgress, {}, protocol);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                error.message = `Circuit artifact not found: ${error.path}. ` +
+                    'Run npm run compile, or create RLN with backend: \'mock\' for testing';
+            }
+            throw error;
+        }
+    }
+
+    getLoader() {
+        if (!this.loader) {
+            this.loader = defaultLoader();
+        }
+        return this.loader;
+    }
+
+    // Circuit wasm and zkey in memory, so every later proof skips loading them
+    async loadArtifacts() {
+        try {
+            const loader = this.getLoader();
+            const [wasm, zkey] = await Promise.all([loader.load(this.wasmPath), loader.load(this.zkeyPath)]);
+            return { wasm, zkey };
+        } catch (error) {
+            this.artifacts = null;
+            throw error;
+        }
+    }
+
+    // Load the verification key, reading vkeyPath only the first time
+    async getVerificationKey() {
+        if (!this.vkey) {
+            this.vkey = Promise.resolve()
+                .then(() => loadJSON(this.getLoader(), this.vkeyPath))
+                .catch(error => {
+                    this.vkey = null;
+                    if (error.code === 'ENOENT') {
+                        throw new Error(`Verification key not found at ${this.vkeyPath}`);
+                    }
+                    throw error;
+                });
+        }
+        return this.vkey;
+    }
+
+    // Protocol named by the verification key, checked against the pinned one
+    async getProtocol() {
+        const { protocol } = await this.getVerificationKey();
+
+        if (!PROTOCOLS.includes(protocol)) {
+            throw new Error(`Unsupported verification key protocol: ${protocol}`);
+        }
+        if (this.protocol && this.protocol !== protocol) {
+            throw new Error(`The ${this.name} backend was given a ${protocol} verification key`);
+        }
+        return protocol;
+    }
+
+    // Pairing check of an RLNProof. Resolves to { valid, reason, message? };
+    // a missing or mismatched verification key rejects instead, since no proof can pass without it.
+    async verify(proof) {
+        const { VALID, MALFORMED, MOCK_PROOF, INVALID_PROOF, ERROR } = VERIFICATION_REASONS;
+        const vkey = await this.getVerificationKey();
+        const protocol = await this.getProtocol();
+
+        if (isMockProof(proof)) {
+            return { valid: false, reason: MOCK_PROOF, message: `Mock proofs are never accepted by ${this.name}` };
+        }
+        if (proof.protocol !== protocol) {
+            return { valid: false, reason: MALFORMED, message: `Not a ${protocol} proof: ${proof.protocol}` };
+        }
+
+        // snarkjs only reports why a proof failed through its logger
+        const errors = [];
+        const logger = { debug() {}, info() {}, warn() {}, error: message => errors.push(message) };
+
+        try {
+            if (await snarkjs[protocol].verify(vkey, proof.publicSignals, proof.proof, logger)) {
+                return { valid: true, reason: VALID };
+            }
+        } catch (error) {
+            return { valid: false, reason: ERROR, message: error.message };
+        }
+
+        const message = errors.join(' ') || 'Invalid proof';
+        return { valid: false, reason: /not valid/.test(message) ? MALFORMED : INVALID_PROOF, message };
+    }
+
+    async close() {
+        if (this.pool) {
+            await this.pool.terminate();
+            this.pool = null;
+        }
+    }
+}
+
+// snarkjs backend that only accepts verification keys for one protocol
+function pinSnarkjsProtocol(protocol) {
+    return class extends SnarkjsBackend {
+        constructor(options = {}) {
+            super({ ...options, protocol });
+        }
+    };
+}
+
+const SnarkjsGroth16Backend = pinSnarkjsProtocol('groth16');
+
+// Test-only backend: "proves" by returning the reference outputs of the circuit
+// with placeholder points, and accepts nothing but its own tagged proofs.
+// Its proofs carry no zero-knowledge guarantee and must never reach production.
+class MockBackend {
+    constructor(options = {}) {
+        this.name = MOCK_PROTOCOL;
+        this.layout = options.layout || null;
+    }
+
+    // Needs `options.expected`, the circuit outputs computed by the reference implementation
+    async prove(witness, options = {}) {
+        if (!this.layout || !options.expected) {
+            throw new Error('The mock backend needs a layout and the expected circuit outputs');
+        }
+        if (options.signal && options.signal.aborted) {
+            throw abortError(options.signal);
+        }
+
+        // The same stages as the snarkjs prover, so progress reporting behaves alike
+        const onProgress = options.onProgress || (() => {});
+        onProgress({ stage: 'witness' });
+        onProgress({ stage: 'proving' });
+        const proof = {
+            pi_a: ['12345', '67890', '1'],
+            pi_b: [['11111', '22222'], ['33333', '44444'], ['1', '0']],
+            pi_c: ['55555', '77777', '1'],
+            protocol: MOCK_PROTOCOL,
+            curve: 'bn128'
+        };
+
+        onProgress({ stage: 'done' });
+        return { proof, publicSignals: this.layout.order(options.expected) };
+    }
+
+    async verify(proof) {
+        return isMockProof(proof)
+            ? { valid: true, reason: VERIFICATION_REASONS.VALID }
+            : { valid: false, reason: VERIFICATION_REASONS.INVALID_PROOF, message: 'The mock backend only verifies mock proofs' };
+    }
+
+    async close() {}
+}
+
+const BACKENDS = {
+    snarkjs: SnarkjsBackend,
+    'snarkjs-groth16': SnarkjsGroth16Backend,
+    'snarkjs-plonk': pinSnarkjsProtocol('plonk'),
+    'snarkjs-fflonk': pinSnarkjsProtocol('fflonk'),
+    [MOCK_PROTOCOL]: MockBackend
+};
+
+// Backend from a registered name, or a custom object implementing prove(witness, options),
+// verify(proof) and, optionally, close()
+function createBackend(backend, options = {}) {
+    if (typeof backend === 'string') {
+        const Backend = BACKENDS[backend];
+        if (!Backend) {
+            throw new Error(`Unknown prover backend: ${backend} (expected one of ${Object.keys(BACKENDS).join(', ')})`);
+        }
+        return new Backend(options);
+    }
+
+    if (!backend || typeof backend.prove !== 'function' || typeof backend.verify !== 'function') {
+        throw new Error('A prover backend must implement prove(witness, options) and verify(proof)');
+    }
+    return backend;
+}
+
+module.exports = {
+    SnarkjsBackend,
+    SnarkjsGroth16Backend,
+    MockBackend,
+    BACKENDS,
+    MOCK_PROTOCOL,
+    VERIFICATION_REASONS,
+    createBackend,
+    isMockProof
+};
@@ -0,0 +1,55 @@
+// Byte helpers on Web-standard APIs only (Uint8Array, TextEncoder, btoa/atob and
+// crypto), so the SDK core runs unchanged in Node.js and in browsers
+
+function utf8Encode(text) {
+    return new TextEncoder().encode(text);
+}
+
+function utf8Decode(bytes) {
+    return new TextDecoder().decode(bytes);
+}
+
+function toHex(bytes) {
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function fromHex(hex) {
+    if (hex.length % 2 !== 0 || /[^0-9a-fA-F]/.test(hex)) {
+        throw new Error(`Invalid hex string: ${hex}`);
+    }
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = parseInt(hex.slice(2 * i, 2 * i + 2), 16);
+    }
+    return bytes;
+}
+
+function toBase64Url(bytes) {
+    let binary = '';
+    for (const byte of bytes) binary += String.fromCharCode(byte);
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(encoded) {
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+function randomBytes(length) {
+    return crypto.getRandomValues(new Uint8Array(length));
+}
+
+async function sha256Hex(bytes) {
+    return toHex(new Uint8Array(await crypto.subtle.digest('SHA-256', bytes)));
+}
+
+module.exports = {
+    utf8Encode,
+    utf8Decode,
+    toHex,
+    fromHex,
+    toBase64Url,
+    fromBase64Url,
+    randomBytes,
+    sha256Hex
+};
@@ -0,0 +1,137 @@
+const circomlibjs = require('circomlibjs');
+
+// Order of the BN254 scalar field, every signal in the circuit lives in it
+const SNARK_SCALAR_FIELD = 21888242871839275222246405745257275088548364400416034343698204186575808495617n;
+
+// Default bit size of the messageId range check, RLN(DEPTH, LIMIT_BIT_SIZE) in the
+// circuit; other circuit variants pass their own to RLNCircuit
+const LIMIT_BIT_SIZE = 16;
+const MAX_MESSAGE_LIMIT = 2 ** LIMIT_BIT_SIZE;
+
+let poseidonPromise = null;
+
+// Building Poseidon is slow, so the whole SDK shares a single instance
+function getPoseidon() {
+    if (!poseidonPromise) {
+        poseidonPromise = circomlibjs.buildPoseidon();
+    }
+    return poseidonPromise;
+}
+
+// JS reference implementation of circuits/rln.circom.
+// Each method mirrors the part of the circuit it is named after, so anything
+// computed here is exactly what a proof for the same inputs attests to.
+class RLNCircuit {
+    constructor(poseidon, limitBits = LIMIT_BIT_SIZE) {
+        this.poseidon = poseidon;
+        this.F = poseidon.F;
+        this.limitBits = limitBits;
+    }
+
+    static async build(limitBits) {
+        return new RLNCircuit(await getPoseidon(), limitBits);
+    }
+
+    hash(inputs) {
+        return this.F.toObject(this.poseidon(inputs.map(x => this.F.e(x))));
+    }
+
+    // identityCommitment = Poseidon(identitySecret)
+    identityCommitment(identitySecret) {
+        return this.hash([identitySecret]);
+    }
+
+    // rateCommitment = Poseidon(identityCommitment, userMessageLimit), the Merkle leaf
+    rateCommitment(identitySecret, userMessageLimit) {
+        return this.hash([this.identityCommitment(identitySecret), userMessageLimit]);
+    }
+
+    // RangeCheck: messageId must fit in limitBits bits and be below the limit
+    checkMessageId(messageId, userMessageLimit) {
+        const id = BigInt(messageId);
+        if (id < 0n || id >= 2n ** BigInt(this.limitBits) || id >= BigInt(userMessageLimit)) {
+            throw new Error(
+                `messageId ${messageId} is outside the allowed range [0, ${userMessageLimit})`
+            );
+        }
+    }
+
+    // a1 = Poseidon(identitySecret, externalNullifier, messageId)
+    a1(identitySecret, externalNullifier, messageId) {
+        return this.hash([identitySecret, externalNullifier, messageId]);
+    }
+
+    // nullifier = Poseidon(a1)
+    nullifier(a1) {
+        return this.hash([a1]);
+    }
+
+    // y = identitySecret + a1 * x
+    y(identitySecret, a1, x) {
+        const F = this.F;
+        return F.toObject(F.add(F.e(identitySecret), F.mul(F.e(a1), F.e(x))));
+    }
+
+    // Inverse of y = identitySecret + a1 * x: two shares on the same line reveal the secret,
+    // identitySecret = (y1 * x2 - y2 * x1) / (x2 - x1)
+    recoverSecret(share1, share2) {
+        const F = this.F;
+        const x1 = F.e(share1.x);
+        const x2 = F.e(share2.x);
+
+        if (F.eq(x1, x2)) {
+            throw new Error('Cannot recover secret from same x values');
+        }
+
+        const numerator = F.sub(F.mul(F.e(share1.y), x2), F.mul(F.e(share2.y), x1));
+        return F.toObject(F.div(numerator, F.sub(x2, x1)));
+    }
+
+    // MerkleTreeInclusionProof: pathIndex 0 means the current node is the left child
+    root(leaf, pathElements, pathIndices) {
+        let node = leaf;
+        for (let i = 0; i < pathElements.length; i++) {
+            node = BigInt(pathIndices[i]) === 0n
+                ? this.hash([node, pathElements[i]])
+                : this.hash([pathElements[i], node]);
+        }
+        return node;
+    }
+
+    // Compute the circuit outputs for a witness input object
+    calculateOutputs(witness) {
+        this.checkMessageId(witness.messageId, witness.userMessageLimit);
+        const leaf = this.rateCommitment(witness.identitySecret, witness.userMessageLimit);
+        const a1 = this.a1(witness.identitySecret, witness.externalNullifier, witness.messageId);
+
+        return {
+            y: this.y(witness.identitySecret, a1, witness.x),
+            root: this.root(leaf, witness.pathElements, witness.identityPathIndex),
+            nullifier: this.nullifier(a1),
+            x: BigInt(witness.x),
+            externalNullifier: BigInt(witness.externalNullifier)
+        };
+    }
+
+    // Throw if the public signals of a proof differ from what we predicted
+    checkPublicSignals(publicSignals, expected, layout) {
+        const named = layout.name(publicSignals);
+
+        for (const name of layout.signals) {
+            if (BigInt(named[name]) !== BigInt(expected[name])) {
+                throw new Error(
+                    `Public signal mismatch for ${name}: proof has ${named[name]}, ` +
+                    `SDK expected ${expected[name]}`
+                );
+            }
+        }
+    }
+}
+
+module.exports = {
+    RLNCircuit,
+    SNARK_SCALAR_FIELD,
+    LIMIT_BIT_SIZE,
+    MAX_MESSAGE_LIMIT,
+    getPoseidon
+};
@@ -0,0 +1,52 @@
+// Minimal event emitter with the on/once/off/emit surface of Node's EventEmitter,
+// so evented classes work the same in browsers without the 'events' module
+class Emitter {
+    constructor() {
+        this.listeners = new Map();
+    }
+
+    on(event, listener) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, []);
+        }
+        this.listeners.get(event).push(listener);
+        return this;
+    }
+
+    once(event, listener) {
+        const wrapper = (...args) => {
+            this.off(event, wrapper);
+            listener(...args);
+        };
+        wrapper.listener = listener;
+        return this.on(event, wrapper);
+    }
+
+    off(event, listener) {
+        const listeners = this.listeners.get(event);
+        if (!listeners) return this;
+
+        const index = listeners.findIndex(candidate => candidate === listener || candidate.listener === listener);
+        if (index !== -1) listeners.splice(index, 1);
+        if (listeners.length === 0) this.listeners.delete(event);
+        return this;
+    }
+
+    emit(event, ...args) {
+        const listeners = this.listeners.get(event);
+        if (!listeners) return false;
+
+        for (const listener of [...listeners]) {
+            listener(...args);
+        }
+        return true;
+    }
+
+    listenerCount(event) {
+        return (this.listeners.get(event) || []).length;
+    }
+}
+
+module.exports = {
+    Emitter
+};
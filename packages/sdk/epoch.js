@@ -0,0 +1,107 @@
+const { RLNCircuit } = require('./circuit');
+const { utf8Encode, toHex } = require('./bytes');
+
+const DEFAULT_EPOCH_LENGTH = 3600; // 1 hour epochs, in seconds
+const DEFAULT_EPOCH_TOLERANCE = 1;
+const DEFAULT_CACHE_SIZE = 1024;
+
+// Maps timestamps (milliseconds, as returned by the clock) to epochs and back,
+// derives external nullifiers for (epoch, appId) pairs and decides which epochs
+// a relay still accepts.
+//
+//   options.epochLength  seconds per epoch
+//   options.tolerance    neighbouring epochs accepted on either side of the current one
+//   options.clock        () => milliseconds, Date.now by default
+//   options.cacheSize    external nullifiers kept in memory
+class EpochManager {
+    constructor(options = {}) {
+        this.epochLength = options.epochLength || DEFAULT_EPOCH_LENGTH;
+        this.tolerance = options.tolerance === undefined ? DEFAULT_EPOCH_TOLERANCE : options.tolerance;
+        this.clock = options.clock || Date.now;
+        this.cacheSize = options.cacheSize || DEFAULT_CACHE_SIZE;
+        this.cache = new Map();
+        this.circuit = null;
+
+        if (!Number.isInteger(this.epochLength) || this.epochLength < 1) {
+            throw new Error('epochLength must be a positive number of seconds');
+        }
+        if (!Number.isInteger(this.tolerance) || this.tolerance < 0) {
+            throw new Error('Epoch tolerance must be a non-negative integer');
+        }
+    }
+
+    now() {
+        return Number(this.clock());
+    }
+
+    getEpoch(timestamp = this.now(), epochLength = this.epochLength) {
+        return Math.floor(Number(timestamp) / 1000 / epochLength);
+    }
+
+    getCurrentEpoch(epochLength = this.epochLength) {
+        return this.getEpoch(this.now(), epochLength);
+    }
+
+    // First millisecond of an epoch
+    getEpochStart(epoch) {
+        return epoch * this.epochLength * 1000;
+    }
+
+    // Last millisecond of an epoch
+    getEpochEnd(epoch) {
+        return this.getEpochStart(epoch + 1) - 1;
+    }
+
+    // Epochs accepted right now, current epoch first, then its neighbours by distance
+    getAllowedEpochs(tolerance = this.tolerance, current = this.getCurrentEpoch()) {
+        const epochs = [current];
+        for (let offset = 1; offset <= tolerance; offset++) {
+            epochs.push(current - offset, current + offset);
+        }
+        return epochs;
+    }
+
+    // externalNullifier = Poseidon(epoch, Poseidon(appId)), with appId
+    // truncated to 31 bytes so it fits in a field element
+    async getExternalNullifier(epoch, appId) {
+        const key = `${epoch}:${appId}`;
+        if (this.cache.has(key)) {
+            return this.cache.get(key);
+        }
+
+        if (!this.circuit) {
+            this.circuit = await RLNCircuit.build();
+        }
+
+        const bytes = utf8Encode(appId).slice(0, 31);
+        const appIdHash = this.circuit.hash([BigInt('0x' + (toHex(bytes) || '0'))]);
+        const externalNullifier = this.circuit.hash([epoch, appIdHash]).toString();
+
+        // Evict the oldest entry once the cache is full
+        if (this.cache.size >= this.cacheSize) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+        this.cache.set(key, externalNullifier);
+
+        return externalNullifier;
+    }
+
+    // Whether an external nullifier belongs to the current epoch of appId or one of
+    // its allowed neighbours. Resolves to { valid, epoch, offset }, where offset is
+    // how far the matching epoch is from the current one.
+    async checkExternalNullifier(externalNullifier, appId, tolerance = this.tolerance) {
+        const current = this.getCurrentEpoch();
+
+        for (const epoch of this.getAllowedEpochs(tolerance, current)) {
+            if (await this.getExternalNullifier(epoch, appId) === externalNullifier.toString()) {
+                return { valid: true, epoch, offset: epoch - current };
+            }
+        }
+        return { valid: false, epoch: null, offset: null };
+    }
+}
+
+module.exports = {
+    EpochManager,
+    DEFAULT_EPOCH_LENGTH
+};
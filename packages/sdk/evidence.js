@@ -0,0 +1,108 @@
+const { RLNProof } = require('./proof');
+
+const EVIDENCE_TYPE = 'RLNSlashingEvidence';
+const EVIDENCE_VERSION = 1;
+
+// Reason codes reported when re-checking slashing evidence
+const EVIDENCE_REASONS = {
+    VALID: 'VALID',
+    // Not slashing evidence, or proofs that cannot be read with the layout
+    MALFORMED: 'MALFORMED',
+    // One of the two proofs does not verify
+    INVALID_PROOF: 'INVALID_PROOF',
+    // The proofs do not share an external nullifier and nullifier, or carry the same x
+    NOT_DOUBLE_SIGNAL: 'NOT_DOUBLE_SIGNAL',
+    // The recovered secret does not derive the nullifier, or differs from the claimed one
+    SECRET_MISMATCH: 'SECRET_MISMATCH',
+    // The recovered secret does not derive the claimed identity or rate commitment
+    COMMITMENT_MISMATCH: 'COMMITMENT_MISMATCH'
+};
+
+function reject(reason, message) {
+    return { valid: false, reason, message };
+}
+
+// Re-check slashing evidence (see RLNSpamDetector) from the evidence alone: both
+// proofs verify, they share an external nullifier and nullifier under different x,
+// and the secret recovered from their shares derives that nullifier and the claimed
+// identity (and rate) commitment. Takes a verifier (RLNVerifier or backend) and the
+// circuit and layout the proofs were made with. Resolves to
+// { valid, reason, message?, identityCommitment?, rateCommitment? }.
+async function verifyEvidence(evidence, { verifier, circuit, layout }) {
+    const { VALID, MALFORMED, INVALID_PROOF, NOT_DOUBLE_SIGNAL, SECRET_MISMATCH, COMMITMENT_MISMATCH } = EVIDENCE_REASONS;
+
+    if (!evidence || evidence.type !== EVIDENCE_TYPE) {
+        return reject(MALFORMED, `Not ${EVIDENCE_TYPE}`);
+    }
+    if (evidence.version !== EVIDENCE_VERSION) {
+        return reject(MALFORMED, `Unsupported evidence version: ${evidence.version}`);
+    }
+    if (!Array.isArray(evidence.proofs) || evidence.proofs.length !== 2) {
+        return reject(MALFORMED, 'Evidence must hold exactly two proofs');
+    }
+
+    let proofs;
+    let shares;
+    try {
+        proofs = evidence.proofs.map(entry => new RLNProof(entry.proof, entry.publicSignals, layout));
+        shares = proofs.map(proof => proof.getPublicSignals());
+    } catch (error) {
+        return reject(MALFORMED, error.message);
+    }
+
+    for (const [i, proof] of proofs.entries()) {
+        const result = await verifier.verify(proof);
+        if (!result.valid) {
+            return reject(INVALID_PROOF, `Proof ${i + 1} is ${result.reason}${result.message ? `: ${result.message}` : ''}`);
+        }
+    }
+
+    const [first, second] = shares;
+    if (first.externalNullifier !== second.externalNullifier || first.nullifier !== second.nullifier) {
+        return reject(NOT_DOUBLE_SIGNAL, 'The proofs are for different external nullifiers or nullifiers');
+    }
+    if (BigInt(first.x) === BigInt(second.x)) {
+        return reject(NOT_DOUBLE_SIGNAL, 'Both proofs carry the same x, so they reveal nothing');
+    }
+    if (first.externalNullifier !== String(evidence.externalNullifier) || first.nullifier !== String(evidence.nullifier)) {
+        return reject(NOT_DOUBLE_SIGNAL, 'The proofs do not match the evidence\'s external nullifier and nullifier');
+    }
+
+    // y = secret + a1 * x, so the slope of the line through both shares is a1 and
+    // must hash to the nullifier (taken from a share with x != 0; the x differ)
+    const F = circuit.F;
+    const secret = circuit.recoverSecret(first, second);
+    const share = BigInt(first.x) === 0n ? second : first;
+    const a1 = F.toObject(F.div(F.sub(F.e(share.y), F.e(secret)), F.e(share.x)));
+    if (circuit.nullifier(a1) !== BigInt(first.nullifier)) {
+        return reject(SECRET_MISMATCH, 'The recovered secret does not derive the nullifier');
+    }
+    if (evidence.secret !== undefined && evidence.secret !== null && BigInt(evidence.secret) !== secret) {
+        return reject(SECRET_MISMATCH, 'The evidence claims a different secret than the shares reveal');
+    }
+
+    const identityCommitment = circuit.identityCommitment(secret).toString();
+    if (String(evidence.identityCommitment) !== identityCommitment) {
+        return reject(COMMITMENT_MISMATCH, `The recovered secret belongs to identity commitment ${identityCommitment}`);
+    }
+
+    let rateCommitment = null;
+    if (evidence.rateCommitment !== undefined && evidence.rateCommitment !== null) {
+        if (!Number.isInteger(evidence.messageLimit) || evidence.messageLimit < 1) {
+            return reject(MALFORMED, 'A rate commitment needs the messageLimit it was made with');
+        }
+        rateCommitment = circuit.rateCommitment(secret, BigInt(evidence.messageLimit)).toString();
+        if (String(evidence.rateCommitment) !== rateCommitment) {
+            return reject(COMMITMENT_MISMATCH, `The recovered secret with limit ${evidence.messageLimit} gives rate commitment ${rateCommitment}`);
+        }
+    }
+
+    return { valid: true, reason: VALID, identityCommitment, rateCommitment };
+}
+
+module.exports = {
+    EVIDENCE_TYPE,
+    EVIDENCE_VERSION,
+    EVIDENCE_REASONS,
+    verifyEvidence
+};
@@ -0,0 +1,133 @@
+const { RLNCircuit, SNARK_SCALAR_FIELD } = require('./circuit');
+const { utf8Encode, toHex, fromHex, randomBytes } = require('./bytes');
+const { nodeCrypto } = require('./platform');
+const { KEYSTORE_VERSION, encryptSecret, decryptSecret } = require('./keystore');
+
+const LEGACY_VERSION = '1.0';
+
+// Domain separation for deterministic derivation, so a seed phrase and a
+// signature with the same bytes never produce the same identity
+const DERIVATION_SALT = 'rln-identity';
+const SEED_INFO = 'rln-identity-secret:seed';
+const SIGNATURE_INFO = 'rln-identity-secret:signature';
+
+// Reduce 64 uniformly random bytes into the scalar field (bias is below 2^-250)
+function bytesToFieldElement(bytes) {
+    return BigInt('0x' + toHex(bytes)) % SNARK_SCALAR_FIELD;
+}
+
+// HKDF-SHA512; Web Crypto only offers it asynchronously, so derivation needs Node.js
+function deriveSecret(material, info) {
+    if (!nodeCrypto) {
+        throw new Error('Deriving identities from seeds or signatures is only available in Node.js');
+    }
+    return bytesToFieldElement(new Uint8Array(nodeCrypto.hkdfSync('sha512', material, DERIVATION_SALT, info, 64)));
+}
+
+class RLNIdentity {
+    constructor(secret) {
+        this.secret = secret === undefined || secret === null
+            ? this.generateSecret()
+            : secret.toString();
+
+        const value = BigInt(this.secret);
+        if (value <= 0n || value >= SNARK_SCALAR_FIELD) {
+            throw new Error('Identity secret must be a non-zero element of the scalar field');
+        }
+    }
+
+    generateSecret() {
+        let secret = 0n;
+        while (secret === 0n) {
+            secret = bytesToFieldElement(randomBytes(64));
+        }
+        return secret.toString();
+    }
+
+    // Deterministic identity from a seed phrase (string) or seed bytes
+    static fromSeed(seed) {
+        const material = typeof seed === 'string'
+            ? utf8Encode(seed.normalize('NFKD'))
+            : Uint8Array.from(seed);
+        if (material.length === 0) {
+            throw new Error('Seed must not be empty');
+        }
+        return new RLNIdentity(deriveSecret(material, SEED_INFO));
+    }
+
+    // Deterministic identity from a wallet signature (hex string or bytes) over a fixed message
+    static fromSignature(signature) {
+        const material = typeof signature === 'string'
+            ? fromHex(signature.replace(/^0x/, ''))
+            : Uint8Array.from(signature);
+        if (material.length === 0) {
+            throw new Error('Signature must not be empty');
+        }
+        return new RLNIdentity(deriveSecret(material, SIGNATURE_INFO));
+    }
+
+    async getCommitment() {
+        const circuit = await RLNCircuit.build();
+        return circuit.identityCommitment(this.secret).toString();
+    }
+
+    // Merkle leaf for this identity: Poseidon(commitment, userMessageLimit)
+    async getRateCommitment(userMessageLimit) {
+        const circuit = await RLNCircuit.build();
+        return circuit.rateCommitment(this.secret, userMessageLimit).toString();
+    }
+
+    async generateShare(externalNullifier, signalHash, messageId) {
+        const circuit = await RLNCircuit.build();
+
+        // Calculate a1 = Hash(identitySecret, externalNullifier, messageId)
+        const a1 = circuit.a1(this.secret, externalNullifier, messageId);
+
+        // Calculate nullifier = Hash(a1)
+        const nullifier = circuit.nullifier(a1);
+
+        // Calculate y = identitySecret + a1 * signalHash
+        const y = circuit.y(this.secret, a1, signalHash);
+
+        return {
+            a1: a1.toString(),
+            nullifier: nullifier.toString(),
+            y: y.toString()
+        };
+    }
+
+    // Serialize identity into a password-encrypted keystore.
+    // `options.kdf` selects 'scrypt' (default) or 'pbkdf2', `options.kdfparams` overrides its cost.
+    serialize(password, options = {}) {
+        return encryptSecret(this.secret, password, { ...options, type: 'RLNIdentity' });
+    }
+
+    // Deserialize identity from storage, accepting legacy plaintext ('1.0') entries
+    static deserialize(data, password) {
+        if (!data || data.type !== 'RLNIdentity') {
+            throw new Error('Invalid identity data');
+        }
+
+        switch (data.version) {
+            case LEGACY_VERSION:
+                return new RLNIdentity(data.secret);
+            case KEYSTORE_VERSION:
+                return new RLNIdentity(decryptSecret(data, password));
+            default:
+                throw new Error(`Unsupported identity version: ${data.version}`);
+        }
+    }
+
+    static isLegacy(data) {
+        return Boolean(data) && data.version === LEGACY_VERSION;
+    }
+
+    // Re-encrypt a stored identity of any supported version into the current keystore format
+    static migrate(data, password, options = {}) {
+        return RLNIdentity.deserialize(data, password).serialize(password, options);
+    }
+}
+
+module.exports = {
+    RLNIdentity
+};
@@ -1,221 +1,297 @@
-const snarkjs = require('snarkjs');
-const circomlibjs = require('circomlibjs');
-const fs = require('fs');
-const path = require('path');
+const { RLNCircuit, LIMIT_BIT_SIZE, getPoseidon } = require('./circuit');
+const { RLNIdentity } = require('./identity');
+const { RLNProof } = require('./proof');
+const { MerkleTree } = require('./merkle-tree');
+const { PublicSignalLayout } = require('./layout');
+const { SIGNAL_HASH_MODES, hashSignal } = require('./signal');
+const { RLNSpamDetector } = require('./spam-detector');
+const { EVIDENCE_REASONS, verifyEvidence } = require('./evidence');
+const { RLNVerifier, VERIFICATION_REASONS } = require('./verifier');
+const { EpochManager } = require('./epoch');
+const { VARIANTS_FILE, parseVariants, selectVariant } = require('./variants');
+const { ArtifactMismatchError, loadManifest, verifyArtifacts, verifyBuild } = require('./manifest');
+const { UrlLoader, MemoryLoader, loadJSON } = require('./loaders');
+const { DEFAULT_ARTIFACTS_DIR, FileLoader, ProverPool, defaultLoader, loadVariants } = require('./platform');
+const { SnarkjsBackend, SnarkjsGroth16Backend, MockBackend, createBackend, isMockProof } = require('./backends');
+const { Emitter } = require('./emitter');
+const { createLogger, elapsed } = require('./logger');
 
-class RLNProof {
-    constructor(proof, publicSignals) {
-        this.proof = proof;
-        this.publicSignals = publicSignals;
-    }
-    
-    // Convert proof to Solidity format
-    toSolidityProof() {
-        return {
-            a: [this.proof.pi_a[0], this.proof.pi_a[1]],
-            b: [[this.proof.pi_b[0][1], this.proof.pi_b[0][0]], 
-                [this.proof.pi_b[1][1], this.proof.pi_b[1][0]]],
-            c: [this.proof.pi_c[0], this.proof.pi_c[1]]
-        };
-    }
+// Messages per epoch for identities registered without an explicit limit
+const DEFAULT_MESSAGE_LIMIT = 1;
+
+// Recent Merkle roots that proofs may still be made against
+const DEFAULT_ROOT_HISTORY_SIZE = 30;
+
+function resolveMessageLimit(options, maxMessageLimit) {
+    const messageLimit = options.messageLimit === undefined
+        ? DEFAULT_MESSAGE_LIMIT
+        : options.messageLimit;
     
-    // Get formatted public signals
-    getPublicSignals() {
-        return {
-            externalNullifier: this.publicSignals[0],
-            y: this.publicSignals[1],
-            nullifier: this.publicSignals[2],
-            root: this.publicSignals[3],
-            signalHash: this.publicSignals[4]
-        };
+    if (!Number.isInteger(messageLimit) || messageLimit < 1 || messageLimit > maxMessageLimit) {
+        throw new Error(`messageLimit must be an integer between 1 and ${maxMessageLimit}`);
     }
+    return messageLimit;
 }
 
-class RLNIdentity {
-    constructor(secret) {
-        this.secret = secret || this.generateSecret();
-    }
-    
-    generateSecret() {
-        // In a real implementation, use cryptographically secure random
-        return BigInt(Math.floor(Math.random() * 2**253)).toString();
-    }
-    
-    async getCommitment() {
-        const poseidon = await circomlibjs.buildPoseidon();
-        return poseidon.F.toObject(poseidon([this.secret])).toString();
-    }
-    
-    async generateShare(externalNullifier, signalHash, messageId) {
-        const poseidon = await circomlibjs.buildPoseidon();
-        const F = poseidon.F;
-        
-        // Calculate a1 = Hash(identitySecret, externalNullifier)
-        const a1 = F.toObject(poseidon([this.secret, externalNullifier]));
-        
-        // Calculate nullifier = Hash(a1, messageId)
-        const nullifier = F.toObject(poseidon([a1, messageId]));
-        
-        // Calculate y = a1 * signalHash + identitySecret
-        const y = F.toObject(F.add(F.mul(F.e(a1), F.e(signalHash)), F.e(this.secret)));
-        
-        return {
-            a1: a1.toString(),
-            nullifier: nullifier.toString(),
-            y: y.toString()
-        };
-    }
-    
-    // Serialize identity for storage
-    serialize() {
-        return {
-            secret: this.secret,
-            type: 'RLNIdentity',
-            version: '1.0'
-        };
-    }
-    
-    // Deserialize identity from storage
-    static deserialize(data) {
-        if (data.type !== 'RLNIdentity' || data.version !== '1.0') {
-            throw new Error('Invalid identity data');
-        }
-        return new RLNIdentity(data.secret);
+// Proving system of the verification key in use, or null when there is none to read
+async function keyProtocol(vkey, vkeyPath, loader) {
+    if (vkey) return vkey.protocol;
+    if (!vkeyPath) return null;
+    try {
+        return (await loadJSON(loader, vkeyPath)).protocol;
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
     }
 }
 
-class MerkleTree {
-    constructor(levels, zero_value, leaves, hasher) {
-        this.levels = levels;
-        this.hasher = hasher;
-        this.zero_values = [zero_value];
-        this.leaves = leaves;
-        
-        for (let i = 1; i < levels; i++) {
-            this.zero_values[i] = hasher([this.zero_values[i-1], this.zero_values[i-1]]);
-        }
-        
-        this.layers = [leaves];
-        this.buildTree();
-    }
-    
-    buildTree() {
-        for (let level = 0; level < this.levels - 1; level++) {
-            const currentLevel = this.layers[level];
-            const nextLevel = [];
-            
-            // Handle empty level case
-            if (currentLevel.length === 0) {
-                nextLevel.push(this.zero_values[level + 1]);
-            } else {
-                for (let i = 0; i < currentLevel.length; i += 2) {
-                    const left = currentLevel[i];
-                    const right = i + 1 < currentLevel.length ? currentLevel[i + 1] : this.zero_values[level];
-                    nextLevel.push(this.hasher([left, right]));
-                }
-            }
-            
-            this.layers.push(nextLevel);
-        }
-    }
-    
-    getRoot() {
-        return this.layers[this.levels - 1][0];
-    }
-    
-    getProof(index) {
-        const proof = {
-            pathElements: [],
-            pathIndices: []
+// Lifecycle events, each with durationMs where something was timed:
+//   'artifacts'  { durationMs, variant, manifestPath, verified, wasmPath, zkeyPath, vkeyPath, layoutPath }
+//   'mock'       { backend } when init() falls back to placeholder proofs
+//   'init'       { durationMs, variant, backend, merkleTreeHeight, limitBits }
+//   'witness'    { durationMs, identityIndex, messageId, externalNullifier, nullifier }, the
+//                witness calculation, for backends that report onProgress stages
+//   'proof'      { durationMs, identityIndex, messageId, externalNullifier, nullifier, backend, protocol },
+//                the proving that follows it (or the whole prove() call without stages)
+//   'verify'     { durationMs, valid, reason, message?, nullifier, externalNullifier }, once per proof
+// Identifiers are decimal strings. Nothing is printed unless a `logger` is given.
+class RLN extends Emitter {
+    constructor(options = {}) {
+        super();
+        // console, or any object with debug/info/warn/error; silent by default
+        this.logger = createLogger(options.logger);
+        this.merkleTreeHeight = options.merkleTreeHeight || 20;
+        // Verification key as a value, instead of reading vkeyPath
+        this.vkey = options.vkey || null;
+        
+        // Where artifacts are read from: files by default, or a UrlLoader or MemoryLoader
+        // (see loaders.js), the only options in browsers
+        this.loader = options.loader || null;
+        this.artifactOptions = {
+            wasmPath: options.wasmPath,
+            zkeyPath: options.zkeyPath,
+            vkeyPath: options.vkeyPath,
+            layoutPath: options.layoutPath,
+            manifestPath: options.manifestPath,
+            limitBits: options.limitBits
         };
         
-        for (let level = 0; level < this.levels - 1; level++) {
-            const position = index % 2;
-            const levelIndex = Math.floor(index / 2);
-            const currentLevel = this.layers[level];
-            
-            if (position === 0) {
-                // We're the left child, we need our right sibling
-                const siblingIndex = levelIndex * 2 + 1;
-                proof.pathElements.push(
-                    siblingIndex < currentLevel.length 
-                        ? currentLevel[siblingIndex] 
-                        : this.zero_values[level]
-                );
-            } else {
-                // We're the right child, we need our left sibling  
-                const siblingIndex = levelIndex * 2;
-                proof.pathElements.push(
-                    siblingIndex < currentLevel.length 
-                        ? currentLevel[siblingIndex] 
-                        : this.zero_values[level]
-                );
-            }
-            
-            proof.pathIndices.push(position);
-            index = Math.floor(index / 2);
+        // Artifacts of the circuit variant built for this tree depth (see variants.js),
+        // unless every path is given explicitly. Without a loader the variant list is
+        // read from disk right away; a loader reads its variants.json in init().
+        const explicit = options.wasmPath && options.zkeyPath && (options.vkeyPath || options.vkey)
+            && options.layoutPath;
+        this.variant = null;
+        this.limitBits = options.limitBits || LIMIT_BIT_SIZE;
+        this.useVariant(explicit || this.loader ? null : selectVariant(
+            loadVariants(options.artifactsDir || DEFAULT_ARTIFACTS_DIR),
+            this.merkleTreeHeight,
+            options.limitBits
+        ));
+        this.verifyArtifacts = options.verifyArtifacts !== false;
+        
+        this.signalHashMode = options.signalHashMode || 'keccak256';
+        // Prover backend: 'snarkjs' (protocol read from the verification key),
+        // 'snarkjs-groth16', 'snarkjs-plonk', 'snarkjs-fflonk', 'mock' (testing only)
+        // or a custom backend object
+        this.backendOption = options.backend || 'snarkjs';
+        // Prove on this many worker threads instead of the calling thread (0 = in-process)
+        this.proverConcurrency = options.proverConcurrency || 0;
+        this.rootHistorySize = options.rootHistorySize === undefined
+            ? DEFAULT_ROOT_HISTORY_SIZE
+            : options.rootHistorySize;
+        
+        if (!Number.isInteger(this.rootHistorySize) || this.rootHistorySize < 1) {
+            throw new Error('rootHistorySize must be a positive integer');
         }
         
-        return proof;
-    }
-    
-    insert(leaf) {
-        this.leaves.push(leaf);
-        this.buildTree();
-    }
-}
-
-class RLN {
-    constructor(options = {}) {
-        this.merkleTreeHeight = options.merkleTreeHeight || 20;
-        this.wasmPath = options.wasmPath || path.join(__dirname, '../../build/rln_js/rln.wasm');
-        this.zkeyPath = options.zkeyPath || path.join(__dirname, '../../build/rln.zkey');
-        this.vkeyPath = options.vkeyPath || path.join(__dirname, '../../build/verification_key.json');
+        // Epoch timing; with an appId, verification also rejects proofs for other epochs
+        this.appId = options.appId || null;
+        this.epochs = new EpochManager({
+            epochLength: options.epochLength,
+            tolerance: options.epochTolerance,
+            clock: options.clock
+        });
+        
+        if (!SIGNAL_HASH_MODES.includes(this.signalHashMode)) {
+            throw new Error(`Unknown signal hash mode: ${this.signalHashMode}`);
+        }
         
         this.poseidon = null;
+        this.circuit = null;
+        this.layout = null;
         this.tree = null;
+        this.rootHistory = [];
+        this.backend = null;
+        this.verifier = null;
         this.identities = [];
     }
     
+    // Take the artifact paths of a circuit variant, keeping any given explicitly
+    useVariant(variant) {
+        const options = this.artifactOptions;
+        this.variant = variant;
+        this.wasmPath = options.wasmPath || (variant && variant.wasmPath) || null;
+        this.zkeyPath = options.zkeyPath || (variant && variant.zkeyPath) || null;
+        this.vkeyPath = options.vkeyPath || (variant && variant.vkeyPath) || null;
+        this.layoutPath = options.layoutPath || (variant && variant.layoutPath) || null;
+        if (variant) this.limitBits = variant.limitBits;
+        this.maxMessageLimit = 2 ** this.limitBits;
+        // Build manifest the artifacts are checked against in init(); explicit paths are
+        // only checked when given one
+        this.manifestPath = options.manifestPath || (variant && variant.manifestPath) || null;
+    }
+    
     async init() {
-        console.log('🔧 Initializing RLN...');
+        const start = performance.now();
+        this.logger.debug('Initializing RLN', { merkleTreeHeight: this.merkleTreeHeight });
+        
+        const loader = this.loader || defaultLoader();
+        const explicit = this.wasmPath && this.zkeyPath && (this.vkeyPath || this.vkey) && this.layoutPath;
+        if (!this.variant && !explicit) {
+            this.useVariant(selectVariant(
+                parseVariants(await loadJSON(loader, VARIANTS_FILE), undefined, VARIANTS_FILE),
+                this.merkleTreeHeight,
+                this.artifactOptions.limitBits
+            ));
+        }
         
         // Initialize Poseidon
-        this.poseidon = await circomlibjs.buildPoseidon();
+        this.poseidon = await getPoseidon();
+        this.circuit = new RLNCircuit(this.poseidon, this.limitBits);
+        
+        // Refuse artifacts that are not the ones their build manifest recorded, or a
+        // build for other parameters
+        const artifactsStart = performance.now();
+        const verified = Boolean(this.manifestPath && this.verifyArtifacts);
+        if (verified) {
+            const manifest = await loadManifest(this.manifestPath, loader);
+            await verifyArtifacts(manifest, {
+                wasm: this.wasmPath,
+                zkey: this.zkeyPath,
+                vkey: this.vkeyPath,
+                layout: this.layoutPath
+            }, loader);
+            verifyBuild(manifest, {
+                depth: this.merkleTreeHeight,
+                limitBits: this.limitBits,
+                protocol: await keyProtocol(this.vkey, this.vkeyPath, loader)
+            });
+        }
+        
+        // Load the public signal layout generated alongside the circuit artifacts
+        this.layout = await PublicSignalLayout.load(this.layoutPath, loader);
+        this.report('debug', 'artifacts', 'Loaded circuit artifacts', {
+            durationMs: elapsed(artifactsStart),
+            variant: this.variant ? this.variant.name : null,
+            manifestPath: this.manifestPath,
+            verified,
+            wasmPath: this.wasmPath,
+            zkeyPath: this.zkeyPath,
+            vkeyPath: this.vkeyPath,
+            layoutPath: this.layoutPath
+        });
         
-        // Initialize empty merkle tree
+        // Initialize empty merkle tree (leaves plus merkleTreeHeight hashed layers,
+        // so proofs have exactly the depth the circuit expects)
         this.tree = new MerkleTree(
-            this.merkleTreeHeight,
+            this.merkleTreeHeight + 1,
             BigInt(0),
             [],
-            (inputs) => this.poseidon.F.toObject(this.poseidon(inputs.map(x => this.poseidon.F.e(x))))
+            (inputs) => this.circuit.hash(inputs)
         );
+        this.rootHistory = [];
+        this.recordRoot();
+        
+        if (!this.backend) {
+            this.backend = createBackend(this.backendOption, {
+                wasmPath: this.wasmPath,
+                zkeyPath: this.zkeyPath,
+                vkeyPath: this.vkeyPath,
+                vkey: this.vkey,
+                loader,
+                concurrency: this.proverConcurrency,
+                layout: this.layout
+            });
+            
+            if (this.backend.name === 'mock') {
+                this.report('warn', 'mock', 'Using the mock prover backend - proofs are placeholders, for testing only', {
+                    backend: this.backend.name
+                });
+            }
+        }
         
-        console.log('✅ RLN initialized successfully');
+        this.report('info', 'init', 'RLN initialized', {
+            durationMs: elapsed(start),
+            variant: this.variant ? this.variant.name : null,
+            backend: this.backend.name || 'custom',
+            merkleTreeHeight: this.merkleTreeHeight,
+            limitBits: this.limitBits
+        });
+    }
+    
+    // Emit a lifecycle event and log it at the given level
+    report(level, event, message, details) {
+        this.logger[level](message, { event, ...details });
+        this.emit(event, details);
     }
     
-    // Register a new identity
-    async registerIdentity(identity) {
+    // Register a new identity with its per-epoch message limit
+    async registerIdentity(identity, options = {}) {
+        const messageLimit = resolveMessageLimit(options, this.maxMessageLimit);
         const commitment = await identity.getCommitment();
+        const rateCommitment = await identity.getRateCommitment(messageLimit);
         const index = this.identities.length;
         
+        this.tree.insert(BigInt(rateCommitment));
+        this.recordRoot();
+        
         this.identities.push({
             identity,
             commitment,
+            rateCommitment,
+            messageLimit,
             index
         });
         
-        this.tree.insert(BigInt(commitment));
-        
         return {
             index,
             commitment,
+            rateCommitment,
+            messageLimit,
             root: this.tree.getRoot().toString()
         };
     }
     
-    // Generate a proof for posting a message
-    async generateProof(identityIndex, signal, externalNullifier, messageId) {
+    // Register many identities at once, hashing the tree only once
+    async registerIdentities(identities, options = {}) {
+        const messageLimit = resolveMessageLimit(options, this.maxMessageLimit);
+        const entries = [];
+        
+        for (const identity of identities) {
+            entries.push({
+                identity,
+                commitment: await identity.getCommitment(),
+                rateCommitment: await identity.getRateCommitment(messageLimit),
+                messageLimit,
+                index: this.identities.length + entries.length
+            });
+        }
+        
+        this.tree.bulkInsert(entries.map(entry => BigInt(entry.rateCommitment)));
+        this.recordRoot();
+        this.identities.push(...entries);
+        
+        return {
+            indices: entries.map(entry => entry.index),
+            root: this.tree.getRoot().toString()
+        };
+    }
+    
+    // Generate a proof for posting a message.
+    // `options.signal` (AbortSignal) and `options.onProgress` are passed to the prover;
+    // only the worker pool can stop a proof that has already started.
+    async generateProof(identityIndex, signal, externalNullifier, messageId, options = {}) {
         if (!this.poseidon) await this.init();
         
         const identity = this.identities[identityIndex];
@@ -223,48 +299,20 @@ class RLN {
             throw new Error('Identity not found');
         }
         
-        // Hash the signal (convert string to bytes and hash)
-        let signalHash;
-        if (typeof signal === 'string') {
-            // Convert string to a single BigInt by hashing the bytes
-            const bytes = Buffer.from(signal, 'utf8');
-            const chunks = [];
-            for (let i = 0; i < bytes.length; i += 31) {
-                const chunk = bytes.slice(i, i + 31);
-                chunks.push(BigInt('0x' + chunk.toString('hex')));
-            }
-            // If string is short, just use one chunk
-            const input = chunks.length === 1 ? chunks[0] : chunks[0];
-            signalHash = this.poseidon.F.toObject(this.poseidon([input]));
-        } else {
-            signalHash = this.poseidon.F.toObject(this.poseidon([signal]));
-        }
+        // Fail fast instead of letting the circuit's range check reject the witness
+        this.circuit.checkMessageId(messageId, identity.messageLimit);
         
-        // Generate share
-        const share = await identity.identity.generateShare(
-            externalNullifier,
-            signalHash,
-            messageId
-        );
+        // Hash the whole signal to the x coordinate of the share
+        const signalHash = await this.hashSignal(signal);
         
         // Get merkle proof
         const merkleProof = this.tree.getProof(identityIndex);
         
-        // Pad proof to full depth (circuit expects exactly DEPTH elements)
-        while (merkleProof.pathElements.length < this.merkleTreeHeight) {
-            const level = merkleProof.pathElements.length;
-            const zeroValue = level < this.tree.zero_values.length 
-                ? this.tree.zero_values[level] 
-                : this.tree.zero_values[this.tree.zero_values.length - 1];
-            merkleProof.pathElements.push(zeroValue);
-            merkleProof.pathIndices.push(0);
-        }
-        
         // Create witness (inputs only - outputs are computed by the circuit)
         const witness = {
             // Private inputs
             identitySecret: identity.identity.secret,
-            userMessageLimit: "1", // For now, fixed at 1 message per epoch
+            userMessageLimit: identity.messageLimit.toString(),
             messageId: messageId.toString(),
             pathElements: merkleProof.pathElements.map(e => e.toString()),
             identityPathIndex: merkleProof.pathIndices.map(i => i.toString()),
@@ -273,97 +321,144 @@ class RLN {
             externalNullifier: externalNullifier.toString()
         };
         
-        // Generate proof
-        try {
-            const { proof, publicSignals } = await snarkjs.groth16.fullProve(
-                witness,
-                this.wasmPath,
-                this.zkeyPath
-            );
-            
-            return new RLNProof(proof, publicSignals);
-        } catch (error) {
-            if (error.code === 'ENOENT' && error.path && error.path.includes('.zkey')) {
-                console.warn('⚠️  zkey file not found - generating mock proof for testing');
-                // For demonstration purposes, generate a mock proof
-                return this.generateMockProof(witness, signalHash, share);
-            }
-            throw error;
+        // What the circuit must output for this witness
+        const expected = this.circuit.calculateOutputs(witness);
+        if (expected.root !== this.tree.getRoot()) {
+            throw new Error('Merkle proof does not lead to the current tree root');
         }
-    }
-    
-    // Generate a mock proof for testing when zkey is not available
-    generateMockProof(witness, signalHash, share) {
-        // Create mock proof structure that matches Groth16 format
-        const mockProof = {
-            pi_a: ["12345", "67890", "1"],
-            pi_b: [["11111", "22222"], ["33333", "44444"], ["1", "0"]],
-            pi_c: ["55555", "77777", "1"]
+        const ids = {
+            identityIndex,
+            messageId: messageId.toString(),
+            externalNullifier: witness.externalNullifier,
+            nullifier: expected.nullifier.toString()
         };
         
-        // Calculate the actual circuit outputs using the witness values
-        const publicSignals = [
-            witness.x, // signalHash (first public input)
-            witness.externalNullifier, // externalNullifier (second public input)
-            share.y, // computed y (first output)
-            share.nullifier, // computed nullifier (second output)
-            this.tree.getRoot().toString() // merkle root (third output)
-        ];
+        // Time the backend's stages: 'witness' runs the witness calculator and 'proving'
+        // the prover (reported again with each prover message); queueing is not counted
+        let witnessStart = null;
+        let provingStart = null;
+        const onProgress = progress => {
+            if (progress.stage === 'witness' && witnessStart === null) {
+                witnessStart = performance.now();
+            } else if (progress.stage === 'proving' && provingStart === null) {
+                provingStart = performance.now();
+                if (witnessStart !== null) {
+                    this.report('debug', 'witness', 'Computed witness', { durationMs: elapsed(witnessStart), ...ids });
+                }
+            }
+            if (options.onProgress) options.onProgress(progress);
+        };
         
-        return new RLNProof(mockProof, publicSignals);
+        // Generate proof with the configured backend
+        const callStart = performance.now();
+        const { proof, publicSignals } = await this.backend.prove(witness, { ...options, onProgress, expected });
+        const rlnProof = new RLNProof(proof, publicSignals, this.layout);
+        
+        this.circuit.checkPublicSignals(rlnProof.publicSignals, expected, this.layout);
+        this.report('debug', 'proof', 'Generated proof', {
+            durationMs: elapsed(provingStart === null ? callStart : provingStart),
+            ...ids,
+            backend: this.backend.name || 'custom',
+            protocol: rlnProof.protocol
+        });
+        return rlnProof;
     }
     
-    // Verify a proof
-    async verifyProof(proof) {
-        // Check if this is a mock proof (for testing when zkey is unavailable)
-        if (proof.proof.pi_a[0] === "12345") {
-            console.warn('⚠️  Verifying mock proof - always returns true for testing');
-            return true;
+    // Stop the prover backend, including any prover workers
+    async close() {
+        if (this.backend && this.backend.close) {
+            await this.backend.close();
         }
-        
-        if (!fs.existsSync(this.vkeyPath)) {
-            throw new Error('Verification key not found');
+    }
+    
+    // Hash a signal (string, Uint8Array, bigint or JSON payload) to a field element
+    async hashSignal(signal) {
+        return hashSignal(signal, this.signalHashMode);
+    }
+    
+    // Verifier holding the verification key, created on first use
+    getVerifier() {
+        if (!this.verifier) {
+            this.verifier = new RLNVerifier({
+                backend: this.backend,
+                layout: this.layout,
+                isKnownRoot: root => this.isKnownRoot(root),
+                checkExternalNullifier: this.appId
+                    ? async externalNullifier => (await this.epochs.checkExternalNullifier(externalNullifier, this.appId)).valid
+                    : null,
+                onVerify: event => this.report('debug', 'verify', 'Verified proof', event)
+            });
         }
+        return this.verifier;
+    }
+    
+    // Verify a proof. Proofs against a root that has left the root history, or for an
+    // epoch outside the accepted window, throw an error with code STALE_ROOT or
+    // WRONG_EPOCH instead of returning false.
+    async verifyProof(proof) {
+        if (!this.poseidon) await this.init();
         
-        const vKey = JSON.parse(fs.readFileSync(this.vkeyPath, 'utf8'));
-        return await snarkjs.groth16.verify(vKey, proof.publicSignals, proof.proof);
+        const result = await this.getVerifier().verify(proof);
+        if (result.reason === VERIFICATION_REASONS.STALE_ROOT) {
+            const error = new Error(`Stale root: ${result.message}`);
+            error.code = VERIFICATION_REASONS.STALE_ROOT;
+            throw error;
+        }
+        if (result.reason === VERIFICATION_REASONS.WRONG_EPOCH) {
+            const error = new Error(`Wrong epoch: ${result.message}`);
+            error.code = VERIFICATION_REASONS.WRONG_EPOCH;
+            throw error;
+        }
+        return result.valid;
     }
     
-    // Calculate external nullifier for epoch and app
-    async calculateExternalNullifier(epoch, appId) {
+    // Verify many proofs concurrently, with a { valid, reason, message? } result per proof
+    async verifyProofs(proofs) {
         if (!this.poseidon) await this.init();
         
-        // Convert string appId to BigInt by hashing it first
-        const bytes = Buffer.from(appId, 'utf8').slice(0, 31);
-        const appIdBigInt = BigInt('0x' + bytes.toString('hex'));
-        const appIdHash = this.poseidon.F.toObject(this.poseidon([appIdBigInt]));
+        return this.getVerifier().verifyBatch(proofs);
+    }
+    
+    // Re-check slashing evidence, e.g. a file from another moderator (see evidence.js).
+    // Proofs against old roots or epochs count: evidence is about what was signalled,
+    // not whether it would still be accepted.
+    async verifyEvidence(evidence) {
+        if (!this.poseidon) await this.init();
         
-        return this.poseidon.F.toObject(this.poseidon([epoch, appIdHash])).toString();
+        return verifyEvidence(evidence, {
+            verifier: new RLNVerifier({ backend: this.backend, layout: this.layout }),
+            circuit: this.circuit,
+            layout: this.layout
+        });
     }
     
-    // Get current epoch
-    getCurrentEpoch(epochLength = 3600) { // 1 hour epochs by default
-        return Math.floor(Date.now() / 1000 / epochLength);
+    // Calculate external nullifier for epoch and app (cached per pair)
+    async calculateExternalNullifier(epoch, appId) {
+        return this.epochs.getExternalNullifier(epoch, appId);
+    }
+    
+    // Get current epoch, using the instance's epoch length unless another one is given
+    getCurrentEpoch(epochLength) {
+        return this.epochs.getCurrentEpoch(epochLength);
+    }
+    
+    // Whether an external nullifier is for the current epoch of appId (or an allowed
+    // neighbour); resolves to { valid, epoch, offset }
+    async checkExternalNullifier(externalNullifier, appId = this.appId) {
+        if (!appId) {
+            throw new Error('An appId is required to check external nullifiers');
+        }
+        return this.epochs.checkExternalNullifier(externalNullifier, appId);
     }
     
     // Recover secret from two shares (for slashing)
     recoverSecret(share1, share2) {
-        const { x: x1, y: y1 } = share1;
-        const { x: x2, y: y2 } = share2;
-        
-        if (x1 === x2) {
-            throw new Error('Cannot recover secret from same x values');
-        }
-        
-        // Solve: y1 = a1 * x1 + a0, y2 = a1 * x2 + a0
-        // Therefore: a0 = (y1 * x2 - y2 * x1) / (x2 - x1)
-        
-        const F = this.poseidon.F;
-        const numerator = F.sub(F.mul(y1, x2), F.mul(y2, x1));
-        const denominator = F.sub(x2, x1);
-        const secret = F.div(numerator, denominator);
-        
-        return F.toObject(secret).toString();
+        return this.circuit.recoverSecret(share1, share2).toString();
+    }
+    
+    // Find a registered identity by its identity commitment
+    findIdentityByCommitment(commitment) {
+        return this.identities.find(entry => entry.commitment === commitment.toString()) || null;
     }
     
     // Get tree root
@@ -371,6 +466,27 @@ class RLN {
         return this.tree ? this.tree.getRoot().toString() : null;
     }
     
+    // Remember the current root, keeping only the last rootHistorySize roots
+    recordRoot() {
+        const root = this.getRoot();
+        if (this.rootHistory[this.rootHistory.length - 1] === root) return;
+        
+        this.rootHistory.push(root);
+        if (this.rootHistory.length > this.rootHistorySize) {
+            this.rootHistory.splice(0, this.rootHistory.length - this.rootHistorySize);
+        }
+    }
+    
+    // Recent roots, oldest first, ending with the current root
+    getRootHistory() {
+        return [...this.rootHistory];
+    }
+    
+    // Whether proofs against this root are still accepted
+    isKnownRoot(root) {
+        return this.rootHistory.includes(root.toString());
+    }
+    
     // Get identity count
     getIdentityCount() {
         return this.identities.length;
@@ -381,5 +497,25 @@ module.exports = {
     RLN,
     RLNIdentity,
     RLNProof,
-    MerkleTree
+    RLNCircuit,
+    PublicSignalLayout,
+    RLNSpamDetector,
+    EVIDENCE_REASONS,
+    verifyEvidence,
+    MerkleTree,
+    ProverPool,
+    FileLoader,
+    UrlLoader,
+    MemoryLoader,
+    SnarkjsBackend,
+    SnarkjsGroth16Backend,
+    MockBackend,
+    isMockProof,
+    RLNVerifier,
+    VERIFICATION_REASONS,
+    EpochManager,
+    loadVariants,
+    selectVariant,
+    ArtifactMismatchError,
+    hashSignal
 };
\ No newline at end of file
@@ -0,0 +1,32 @@
+// ES module entry for the browser bundle (webpack.config.js). index.js is CommonJS,
+// which webpack's module output cannot re-export by itself, so the names are listed here.
+import sdk from './index.js';
+
+export const {
+    RLN,
+    RLNIdentity,
+    RLNProof,
+    RLNCircuit,
+    PublicSignalLayout,
+    RLNSpamDetector,
+    EVIDENCE_REASONS,
+    verifyEvidence,
+    MerkleTree,
+    ProverPool,
+    FileLoader,
+    UrlLoader,
+    MemoryLoader,
+    SnarkjsBackend,
+    SnarkjsGroth16Backend,
+    MockBackend,
+    isMockProof,
+    RLNVerifier,
+    VERIFICATION_REASONS,
+    EpochManager,
+    loadVariants,
+    selectVariant,
+    ArtifactMismatchError,
+    hashSignal
+} = sdk;
+
+export default sdk;
@@ -0,0 +1,110 @@
+const { nodeCrypto: crypto } = require('./platform');
+
+const KEYSTORE_VERSION = '2.0';
+const CIPHER = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+
+// scrypt N = 2^15 needs 32 MiB and takes ~100ms, cheap enough to unlock a handful
+// of identities per CLI call while still being costly to brute force
+const DEFAULT_KDF_PARAMS = {
+    scrypt: { n: 2 ** 15, r: 8, p: 1 },
+    pbkdf2: { c: 600000, prf: 'sha256' }
+};
+
+// Synchronous scrypt, PBKDF2 and AES-GCM come from Node's crypto (Web Crypto has
+// no scrypt at all), so keystores stay Node.js only
+function requireNodeCrypto() {
+    if (!crypto) {
+        throw new Error('Identity keystores are only available in Node.js');
+    }
+}
+
+function deriveKey(password, kdf, kdfparams) {
+    if (typeof password !== 'string' || password.length === 0) {
+        throw new Error('A non-empty password is required to use the keystore');
+    }
+
+    const salt = Buffer.from(kdfparams.salt, 'hex');
+    switch (kdf) {
+        case 'scrypt':
+            return crypto.scryptSync(password, salt, KEY_LENGTH, {
+                N: kdfparams.n,
+                r: kdfparams.r,
+                p: kdfparams.p,
+                maxmem: 256 * kdfparams.n * kdfparams.r
+            });
+        case 'pbkdf2':
+            return crypto.pbkdf2Sync(password, salt, kdfparams.c, KEY_LENGTH, kdfparams.prf);
+        default:
+            throw new Error(`Unsupported keystore KDF: ${kdf}`);
+    }
+}
+
+// The keystore header is authenticated, so tampering with the KDF settings fails decryption
+function additionalData(type, kdf) {
+    return Buffer.from(`${type}:${KEYSTORE_VERSION}:${kdf}`, 'utf8');
+}
+
+// Encrypt a secret string into a versioned keystore object
+function encryptSecret(secret, password, options = {}) {
+    requireNodeCrypto();
+    const type = options.type || 'RLNIdentity';
+    const kdf = options.kdf || 'scrypt';
+    if (!DEFAULT_KDF_PARAMS[kdf]) {
+        throw new Error(`Unsupported keystore KDF: ${kdf}`);
+    }
+
+    const kdfparams = {
+        ...DEFAULT_KDF_PARAMS[kdf],
+        ...options.kdfparams,
+        salt: crypto.randomBytes(32).toString('hex')
+    };
+    const key = deriveKey(password, kdf, kdfparams);
+    const iv = crypto.randomBytes(12);
+
+    const cipher = crypto.createCipheriv(CIPHER, key, iv);
+    cipher.setAAD(additionalData(type, kdf));
+    const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+    return {
+        type,
+        version: KEYSTORE_VERSION,
+        crypto: {
+            kdf,
+            kdfparams,
+            cipher: CIPHER,
+            iv: iv.toString('hex'),
+            tag: cipher.getAuthTag().toString('hex'),
+            ciphertext: ciphertext.toString('hex')
+        }
+    };
+}
+
+// Decrypt a keystore object produced by encryptSecret
+function decryptSecret(keystore, password) {
+    requireNodeCrypto();
+    const params = keystore.crypto;
+    if (!params || params.cipher !== CIPHER) {
+        throw new Error('Unsupported keystore cipher');
+    }
+
+    const key = deriveKey(password, params.kdf, params.kdfparams);
+    const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(params.iv, 'hex'));
+    decipher.setAAD(additionalData(keystore.type, params.kdf));
+    decipher.setAuthTag(Buffer.from(params.tag, 'hex'));
+
+    try {
+        return Buffer.concat([
+            decipher.update(Buffer.from(params.ciphertext, 'hex')),
+            decipher.final()
+        ]).toString('utf8');
+    } catch {
+        throw new Error('Invalid keystore password or corrupted keystore');
+    }
+}
+
+module.exports = {
+    KEYSTORE_VERSION,
+    encryptSecret,
+    decryptSecret
+};
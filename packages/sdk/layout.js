@@ -0,0 +1,110 @@
+const { loadJSON } = require('./loaders');
+const { defaultLoader } = require('./platform');
+
+// Names and order of a circuit's public signals.
+// circom puts the outputs first and the public inputs after them, in declaration
+// order; the descriptor is generated from the .sym file by scripts/compile.js.
+class PublicSignalLayout {
+    constructor(descriptor) {
+        const { circuit, nOutputs, nPublicInputs, signals } = descriptor;
+
+        if (!Array.isArray(signals) || signals.length !== nOutputs + nPublicInputs) {
+            throw new Error('Invalid public signal layout: signal count does not match outputs and inputs');
+        }
+        if (new Set(signals).size !== signals.length) {
+            throw new Error('Invalid public signal layout: duplicate signal names');
+        }
+
+        this.circuit = circuit;
+        this.nOutputs = nOutputs;
+        this.nPublicInputs = nPublicInputs;
+        this.signals = signals;
+    }
+
+    // Build the layout from the text of a .sym file.
+    // Lines are `labelIndex,witnessIndex,componentIndex,name`; the public signals
+    // are witness indices 1..nOutputs + nPublicInputs of the main component.
+    static fromSym(symText, { circuit, nOutputs, nPublicInputs }) {
+        const nPublic = nOutputs + nPublicInputs;
+        const signals = new Array(nPublic);
+
+        for (const line of symText.split('\n')) {
+            const [, witnessIndex, , name] = line.trim().split(',');
+            const index = Number(witnessIndex);
+            if (!name || !(index >= 1 && index <= nPublic)) continue;
+
+            signals[index - 1] = name.replace(/^main\./, '');
+        }
+
+        for (let i = 0; i < nPublic; i++) {
+            if (signals[i] === undefined) {
+                throw new Error(`Public signal ${i + 1} is missing from the .sym file`);
+            }
+        }
+
+        return new PublicSignalLayout({ circuit, nOutputs, nPublicInputs, signals });
+    }
+
+    // Layout descriptor read through an artifact loader (files in Node.js by default)
+    static async load(layoutPath, loader = defaultLoader()) {
+        try {
+            return new PublicSignalLayout(await loadJSON(loader, layoutPath));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new Error(`Public signal layout not found at ${layoutPath} (run npm run compile)`);
+            }
+            throw error;
+        }
+    }
+
+    get length() {
+        return this.signals.length;
+    }
+
+    indexOf(name) {
+        const index = this.signals.indexOf(name);
+        if (index === -1) {
+            throw new Error(`Circuit ${this.circuit} has no public signal named ${name}`);
+        }
+        return index;
+    }
+
+    // Map an array of public signals to an object keyed by signal name
+    name(publicSignals) {
+        if (!Array.isArray(publicSignals) || publicSignals.length !== this.signals.length) {
+            const count = Array.isArray(publicSignals) ? publicSignals.length : 0;
+            throw new Error(
+                `Expected ${this.signals.length} public signals for circuit ${this.circuit}, got ${count}`
+            );
+        }
+
+        const named = {};
+        this.signals.forEach((name, i) => {
+            named[name] = publicSignals[i];
+        });
+        return named;
+    }
+
+    // Inverse of name(): order named values the way the circuit emits them
+    order(values) {
+        return this.signals.map(name => {
+            if (values[name] === undefined) {
+                throw new Error(`Missing value for public signal ${name}`);
+            }
+            return values[name].toString();
+        });
+    }
+
+    toJSON() {
+        return {
+            circuit: this.circuit,
+            nOutputs: this.nOutputs,
+            nPublicInputs: this.nPublicInputs,
+            signals: this.signals
+        };
+    }
+}
+
+module.exports = {
+    PublicSignalLayout
+};
@@ -0,0 +1,94 @@
+const { utf8Encode, utf8Decode } = require('./bytes');
+
+// Artifact loaders fetch circuit artifacts (wasm, zkey, verification key, layout,
+// manifests) as bytes. A loader is any object with
+//   load(location) -> Promise<Uint8Array>
+// that rejects with error.code 'ENOENT' for a missing artifact, the way fs does.
+// Locations are whatever the loader understands: file paths for FileLoader
+// (Node.js only, see platform.js), URLs relative to a base for UrlLoader and plain
+// keys for MemoryLoader.
+
+function notFound(location, detail) {
+    const error = new Error(`Artifact not found: ${location}${detail ? ` (${detail})` : ''}`);
+    error.code = 'ENOENT';
+    error.path = location;
+    return error;
+}
+
+// Artifacts fetched over HTTP(S), relative to `baseUrl` (end it with a slash to
+// resolve locations inside it). `options.fetch` replaces the global fetch and
+// `options.init` is passed to every request.
+class UrlLoader {
+    constructor(baseUrl, options = {}) {
+        this.baseUrl = baseUrl ? new URL(baseUrl, globalThis.location && globalThis.location.href).href : null;
+        this.fetch = options.fetch || globalThis.fetch;
+        this.init = options.init || {};
+
+        if (typeof this.fetch !== 'function') {
+            throw new Error('UrlLoader needs fetch, pass options.fetch where there is no global one');
+        }
+    }
+
+    async load(location) {
+        const url = this.baseUrl ? new URL(location, this.baseUrl).href : location;
+        const response = await this.fetch(url, this.init);
+
+        if (response.status === 404) {
+            throw notFound(url, 'HTTP 404');
+        }
+        if (!response.ok) {
+            throw new Error(`Failed to fetch ${url}: HTTP ${response.status}`);
+        }
+        return new Uint8Array(await response.arrayBuffer());
+    }
+}
+
+// Artifacts already in memory, keyed by location. Values are bytes (any typed array
+// or an ArrayBuffer), text, or plain objects such as a verification key, stored as JSON.
+class MemoryLoader {
+    constructor(artifacts = {}) {
+        this.artifacts = new Map();
+        for (const [location, value] of Object.entries(artifacts)) {
+            this.set(location, value);
+        }
+    }
+
+    set(location, value) {
+        // isView also accepts Buffers and typed arrays from other realms
+        if (ArrayBuffer.isView(value)) {
+            this.artifacts.set(location, new Uint8Array(value.buffer, value.byteOffset, value.byteLength));
+        } else if (value instanceof ArrayBuffer) {
+            this.artifacts.set(location, new Uint8Array(value));
+        } else if (typeof value === 'string') {
+            this.artifacts.set(location, utf8Encode(value));
+        } else if (value && typeof value === 'object') {
+            this.artifacts.set(location, utf8Encode(JSON.stringify(value)));
+        } else {
+            throw new Error(`Unsupported artifact value for ${location}`);
+        }
+        return this;
+    }
+
+    async load(location) {
+        if (!this.artifacts.has(location)) {
+            throw notFound(location);
+        }
+        return this.artifacts.get(location);
+    }
+}
+
+async function loadJSON(loader, location) {
+    return JSON.parse(utf8Decode(await loader.load(location)));
+}
+
+function isLoader(loader) {
+    return Boolean(loader) && typeof loader.load === 'function';
+}
+
+module.exports = {
+    UrlLoader,
+    MemoryLoader,
+    loadJSON,
+    isLoader,
+    notFound
+};
@@ -0,0 +1,27 @@
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Logger used when none is given: the SDK prints nothing by itself
+const silentLogger = Object.freeze(Object.fromEntries(LOG_LEVELS.map(level => [level, () => {}])));
+
+// Logger with every level, from any object with some of debug/info/warn/error
+// (console, pino, winston, ...). Each is called as logger[level](message, details).
+function createLogger(logger) {
+    if (!logger) return silentLogger;
+
+    return Object.fromEntries(LOG_LEVELS.map(level => [
+        level,
+        typeof logger[level] === 'function' ? logger[level].bind(logger) : silentLogger[level]
+    ]));
+}
+
+// Milliseconds since start, from a performance.now() reading
+function elapsed(start) {
+    return performance.now() - start;
+}
+
+module.exports = {
+    LOG_LEVELS,
+    silentLogger,
+    createLogger,
+    elapsed
+};
@@ -0,0 +1,99 @@
+const { sha256Hex } = require('./bytes');
+const { loadJSON } = require('./loaders');
+const { defaultLoader } = require('./platform');
+
+const MANIFEST_FILE = 'manifest.json';
+
+// Thrown when an artifact is not the one its build manifest recorded,
+// e.g. a wasm and a zkey from different builds
+class ArtifactMismatchError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'ArtifactMismatchError';
+        this.code = 'ARTIFACT_MISMATCH';
+        this.circuit = details.circuit;
+        this.artifact = details.artifact;
+        this.parameter = details.parameter;
+        this.path = details.path;
+        this.expected = details.expected;
+        this.actual = details.actual;
+    }
+}
+
+// Build manifest written by scripts/compile.js (see createManifest in platform.js):
+//   { circuit, parameters, protocol, constraints, artifacts: { <kind>: { path, sha256 } } }
+async function loadManifest(manifestPath, loader = defaultLoader()) {
+    try {
+        return await loadJSON(loader, manifestPath);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            throw new Error(`Artifact manifest not found at ${manifestPath} (run npm run compile)`);
+        }
+        throw error;
+    }
+}
+
+// Check the artifacts actually in use ({ wasm, zkey, vkey, layout } locations) against
+// the hashes in a manifest. Artifacts the loader cannot find are left to whoever needs
+// them, so a verifier without the zkey still passes; anything present must be listed
+// and match.
+async function verifyArtifacts(manifest, locations, loader = defaultLoader()) {
+    for (const [kind, location] of Object.entries(locations)) {
+        if (!location) continue;
+
+        let bytes;
+        try {
+            bytes = await loader.load(location);
+        } catch (error) {
+            if (error.code === 'ENOENT') continue;
+            throw error;
+        }
+
+        const entry = (manifest.artifacts || {})[kind];
+        if (!entry) {
+            throw new ArtifactMismatchError(
+                `The ${kind} at ${location} is not listed in the manifest of ${manifest.circuit}, ` +
+                'so it cannot be checked. Rebuild with npm run compile',
+                { circuit: manifest.circuit, artifact: kind, path: location, expected: null }
+            );
+        }
+
+        const actual = await sha256Hex(bytes);
+        if (actual !== entry.sha256) {
+            throw new ArtifactMismatchError(
+                `The ${kind} at ${location} is not the one built for ${manifest.circuit} ` +
+                `(sha256 ${actual}, manifest has ${entry.sha256}). Rebuild with npm run compile ` +
+                'or point every artifact path at the same build',
+                { circuit: manifest.circuit, artifact: kind, path: location, expected: entry.sha256, actual }
+            );
+        }
+    }
+}
+
+// Check the build a manifest describes against what is in use: the tree depth and
+// limit bits proofs are made for, and the verification key's protocol
+function verifyBuild(manifest, { depth, limitBits, protocol }) {
+    const parameters = manifest.parameters || {};
+    const checks = [
+        ['depth', parameters.depth, depth],
+        ['limitBits', parameters.limitBits, limitBits],
+        ['protocol', manifest.protocol, protocol]
+    ];
+
+    for (const [parameter, expected, actual] of checks) {
+        if (actual === undefined || actual === null || expected === actual) continue;
+        throw new ArtifactMismatchError(
+            `${manifest.circuit} was built with ${parameter} ${expected}, but ${actual} is in use. ` +
+            'Select the matching variant or rebuild with npm run compile',
+            { circuit: manifest.circuit, parameter, expected, actual }
+        );
+    }
+}
+
+module.exports = {
+    MANIFEST_FILE,
+    ArtifactMismatchError,
+    loadManifest,
+    verifyArtifacts,
+    verifyBuild
+};
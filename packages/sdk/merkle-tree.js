@@ -0,0 +1,137 @@
+// Incremental Merkle tree.
+// `levels` counts the leaf layer, so the root sits levels - 1 hashes above the leaves.
+// Only nodes covering inserted leaves are cached in `layers`; anything to their
+// right is an empty subtree whose hash comes from `zero_values`. Inserting or
+// updating a leaf therefore only rehashes its path to the root.
+class MerkleTree {
+    constructor(levels, zero_value, leaves, hasher) {
+        this.levels = levels;
+        this.hasher = hasher;
+        this.zero_values = [zero_value];
+        this.capacity = 2 ** (levels - 1);
+
+        for (let i = 1; i < levels; i++) {
+            this.zero_values[i] = hasher([this.zero_values[i-1], this.zero_values[i-1]]);
+        }
+
+        this.layers = [];
+        for (let level = 0; level < levels; level++) {
+            this.layers.push([]);
+        }
+        this.leaves = this.layers[0];
+
+        this.bulkInsert(leaves);
+    }
+
+    // Recompute the cached parents of every node from startIndex onwards
+    buildTree(startIndex = 0) {
+        let start = startIndex;
+
+        for (let level = 0; level < this.levels - 1; level++) {
+            const currentLevel = this.layers[level];
+            const nextLevel = this.layers[level + 1];
+
+            start = Math.floor(start / 2);
+            for (let i = start * 2; i < currentLevel.length; i += 2) {
+                nextLevel[i / 2] = this.hashPair(currentLevel, i, level);
+            }
+        }
+    }
+
+    // Hash the node at `leftIndex` with its right sibling (or the zero subtree)
+    hashPair(currentLevel, leftIndex, level) {
+        const left = currentLevel[leftIndex];
+        const right = leftIndex + 1 < currentLevel.length
+            ? currentLevel[leftIndex + 1]
+            : this.zero_values[level];
+        return this.hasher([left, right]);
+    }
+
+    // Rehash the path from one leaf to the root
+    updatePath(index) {
+        for (let level = 0; level < this.levels - 1; level++) {
+            const parentIndex = Math.floor(index / 2);
+            this.layers[level + 1][parentIndex] = this.hashPair(this.layers[level], parentIndex * 2, level);
+            index = parentIndex;
+        }
+    }
+
+    getRoot() {
+        const top = this.layers[this.levels - 1];
+        return top.length > 0 ? top[0] : this.zero_values[this.levels - 1];
+    }
+
+    getProof(index) {
+        const proof = {
+            pathElements: [],
+            pathIndices: []
+        };
+
+        for (let level = 0; level < this.levels - 1; level++) {
+            const position = index % 2;
+            const levelIndex = Math.floor(index / 2);
+            const currentLevel = this.layers[level];
+
+            if (position === 0) {
+                // We're the left child, we need our right sibling
+                const siblingIndex = levelIndex * 2 + 1;
+                proof.pathElements.push(
+                    siblingIndex < currentLevel.length
+                        ? currentLevel[siblingIndex]
+                        : this.zero_values[level]
+                );
+            } else {
+                // We're the right child, we need our left sibling
+                const siblingIndex = levelIndex * 2;
+                proof.pathElements.push(
+                    siblingIndex < currentLevel.length
+                        ? currentLevel[siblingIndex]
+                        : this.zero_values[level]
+                );
+            }
+
+            proof.pathIndices.push(position);
+            index = Math.floor(index / 2);
+        }
+
+        return proof;
+    }
+
+    insert(leaf) {
+        if (this.leaves.length >= this.capacity) {
+            throw new Error('Merkle tree is full');
+        }
+
+        this.leaves.push(leaf);
+        this.updatePath(this.leaves.length - 1);
+    }
+
+    // Insert many leaves and hash each affected node once
+    bulkInsert(leaves) {
+        if (this.leaves.length + leaves.length > this.capacity) {
+            throw new Error('Merkle tree is full');
+        }
+        if (leaves.length === 0) {
+            return;
+        }
+
+        const startIndex = this.leaves.length;
+        for (const leaf of leaves) {
+            this.leaves.push(leaf);
+        }
+        this.buildTree(startIndex);
+    }
+
+    update(index, leaf) {
+        if (!Number.isInteger(index) || index < 0 || index >= this.leaves.length) {
+            throw new Error(`Leaf index ${index} is out of range`);
+        }
+
+        this.leaves[index] = leaf;
+        this.updatePath(index);
+    }
+}
+
+module.exports = {
+    MerkleTree
+};
@@ -0,0 +1,34 @@
+// Browser stand-in for platform.js. There are no files, worker threads or Node
+// crypto here, so artifacts come through a UrlLoader or MemoryLoader passed as
+// `loader`, and the Node.js-only features fail with an explanation.
+
+function nodeOnly(feature, hint) {
+    return () => {
+        throw new Error(`${feature} is only available in Node.js${hint ? `; ${hint}` : ''}`);
+    };
+}
+
+const unavailable = nodeOnly('Reading artifacts from disk', 'pass loader: new UrlLoader(baseUrl) or a MemoryLoader');
+
+class FileLoader {
+    constructor() {
+        unavailable();
+    }
+}
+
+class ProverPool {
+    constructor() {
+        nodeOnly('Proving on worker threads (proverConcurrency)')();
+    }
+}
+
+module.exports = {
+    DEFAULT_ARTIFACTS_DIR: null,
+    FileLoader,
+    defaultLoader: unavailable,
+    loadVariants: unavailable,
+    sha256File: nodeOnly('sha256File'),
+    createManifest: nodeOnly('createManifest'),
+    ProverPool,
+    nodeCrypto: null
+};
@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ProverPool } = require('./prover-pool');
+const { VARIANTS_FILE, parseVariants } = require('./variants');
+
+// The Node.js side of the SDK: files on disk, worker threads and Node's crypto.
+// Everything else only uses Web-standard APIs; browser builds swap this module for
+// platform.browser.js through the "browser" field of package.json.
+
+const DEFAULT_ARTIFACTS_DIR = path.join(__dirname, '../../build');
+
+// Artifacts read from disk, with locations resolved against `baseDir` (the working
+// directory by default)
+class FileLoader {
+    constructor(baseDir) {
+        this.baseDir = baseDir || null;
+    }
+
+    async load(location) {
+        const file = this.baseDir ? path.resolve(this.baseDir, location) : path.resolve(location);
+        return new Uint8Array(await fs.promises.readFile(file));
+    }
+}
+
+// Loader for artifacts given without one
+function defaultLoader() {
+    return new FileLoader();
+}
+
+// Circuit variants built by scripts/compile.js, as listed in <artifactsDir>/variants.json,
+// with absolute artifact paths. Read synchronously so RLN can fail in its constructor.
+function loadVariants(artifactsDir = DEFAULT_ARTIFACTS_DIR) {
+    const listPath = path.join(artifactsDir, VARIANTS_FILE);
+    if (!fs.existsSync(listPath)) {
+        throw new Error(`No circuit variants found at ${listPath} (run npm run compile)`);
+    }
+    return parseVariants(
+        JSON.parse(fs.readFileSync(listPath, 'utf8')),
+        file => path.join(artifactsDir, file),
+        listPath
+    );
+}
+
+function sha256File(file) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(file)
+            .on('error', reject)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+// Manifest of one circuit build, written next to its artifacts by scripts/compile.js:
+//   { circuit, parameters, protocol, constraints, artifacts: { <kind>: { path, sha256 } } }
+// with artifact paths relative to the manifest's directory (see manifest.js)
+async function createManifest(manifestPath, { circuit, parameters, protocol, constraints, artifacts }) {
+    const dir = path.dirname(manifestPath);
+    const entries = {};
+
+    for (const [kind, file] of Object.entries(artifacts)) {
+        entries[kind] = {
+            path: path.relative(dir, file).split(path.sep).join('/'),
+            sha256: await sha256File(file)
+        };
+    }
+
+    const manifest = { circuit, parameters, protocol, constraints, artifacts: entries };
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+    return manifest;
+}
+
+module.exports = {
+    DEFAULT_ARTIFACTS_DIR,
+    FileLoader,
+    defaultLoader,
+    loadVariants,
+    sha256File,
+    createManifest,
+    ProverPool,
+    // Synchronous KDFs and ciphers for the keystore and seed derivation
+    nodeCrypto: crypto
+};
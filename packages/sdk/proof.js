@@ -0,0 +1,372 @@
+const { SNARK_SCALAR_FIELD } = require('./circuit');
+const { toBase64Url, fromBase64Url } = require('./bytes');
+
+// Base field of BN254, proof point coordinates live in it
+const SNARK_BASE_FIELD = 21888242871839275222246405745257275088696311157297823662689037894645226208583n;
+
+const PROOF_TYPE = 'RLNProof';
+const PROOF_FORMAT_VERSION = 1;
+// Mock proofs keep their tag through every encoding so verifiers can always reject them
+const PROTOCOL_IDS = { groth16: 1, plonk: 2, fflonk: 3, mock: 255 };
+const FIELD_BYTES = 32;
+
+const GROTH16_SCHEMA = [['pi_a', 'G1'], ['pi_b', 'G2'], ['pi_c', 'G1']];
+
+// Proof elements of each protocol, in the order the snarkjs Solidity verifiers take
+// them; the binary encoding keeps the same order
+const PROOF_SCHEMAS = {
+    groth16: GROTH16_SCHEMA,
+    plonk: [
+        ...['A', 'B', 'C', 'Z', 'T1', 'T2', 'T3', 'Wxi', 'Wxiw'].map(name => [name, 'G1']),
+        ...['eval_a', 'eval_b', 'eval_c', 'eval_s1', 'eval_s2', 'eval_zw'].map(name => [name, 'Fr'])
+    ],
+    fflonk: [
+        ...['C1', 'C2', 'W1', 'W2'].map(name => [`polynomials.${name}`, 'G1']),
+        ...['ql', 'qr', 'qm', 'qo', 'qc', 's1', 's2', 's3', 'a', 'b', 'c', 'z', 'zw', 't1w', 't2w', 'inv']
+            .map(name => [`evaluations.${name}`, 'Fr'])
+    ],
+    mock: GROTH16_SCHEMA
+};
+
+// Field elements taken by each kind of proof element
+const ELEMENT_SIZES = { G1: 2, G2: 4, Fr: 1 };
+
+function toFieldElement(value, modulus, what) {
+    let element;
+    try {
+        element = BigInt(value);
+    } catch {
+        throw new Error(`${what} is not a number: ${value}`);
+    }
+    if (element < 0n || element >= modulus) {
+        throw new Error(`${what} is not a field element: ${value}`);
+    }
+    return element;
+}
+
+function expectArray(value, length, what) {
+    if (!Array.isArray(value) || value.length !== length) {
+        throw new Error(`${what} must be an array of length ${length}`);
+    }
+    return value;
+}
+
+// Affine G1 point [x, y] from [x, y] or projective [x, y, 1]
+function normalizeG1(point, what) {
+    if (!Array.isArray(point) || (point.length !== 2 && point.length !== 3)) {
+        throw new Error(`${what} must be a G1 point`);
+    }
+    if (point.length === 3 && BigInt(point[2]) !== 1n) {
+        throw new Error(`${what} must be in affine form`);
+    }
+    return [0, 1].map(i => toFieldElement(point[i], SNARK_BASE_FIELD, `${what}[${i}]`));
+}
+
+// Affine G2 point [[x0, x1], [y0, y1]] from affine or projective [[..], [..], [1, 0]]
+function normalizeG2(point, what) {
+    if (!Array.isArray(point) || (point.length !== 2 && point.length !== 3)) {
+        throw new Error(`${what} must be a G2 point`);
+    }
+    if (point.length === 3) {
+        const z = expectArray(point[2], 2, `${what}[2]`);
+        if (BigInt(z[0]) !== 1n || BigInt(z[1]) !== 0n) {
+            throw new Error(`${what} must be in affine form`);
+        }
+    }
+    return [0, 1].map(i => expectArray(point[i], 2, `${what}[${i}]`)
+        .map((c, j) => toFieldElement(c, SNARK_BASE_FIELD, `${what}[${i}][${j}]`)));
+}
+
+const NORMALIZERS = {
+    G1: normalizeG1,
+    G2: normalizeG2,
+    Fr: (value, what) => toFieldElement(value, SNARK_SCALAR_FIELD, what)
+};
+
+function schemaFor(protocol) {
+    if (!PROOF_SCHEMAS[protocol]) {
+        throw new Error(`Unsupported proof protocol: ${protocol}`);
+    }
+    return PROOF_SCHEMAS[protocol];
+}
+
+function getPath(object, path) {
+    return path.split('.').reduce((node, key) => (node === null || node === undefined ? undefined : node[key]), object);
+}
+
+function setPath(object, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((node, key) => (node[key] = node[key] || {}), object);
+    parent[last] = value;
+}
+
+// Validated proof elements of a protocol: affine points and evaluations as BigInts
+function normalizeProof(protocol, proof) {
+    if (!proof || typeof proof !== 'object') {
+        throw new Error('Proof must be an object');
+    }
+    const normalized = {};
+    for (const [path, type] of schemaFor(protocol)) {
+        setPath(normalized, path, NORMALIZERS[type](getPath(proof, path), path));
+    }
+    return normalized;
+}
+
+// Field elements of a normalized proof in schema order
+function flattenProof(protocol, normalized) {
+    return schemaFor(protocol).flatMap(([path]) => [getPath(normalized, path)].flat(2));
+}
+
+function unflattenProof(protocol, fields) {
+    const proof = {};
+    let offset = 0;
+    for (const [path, type] of schemaFor(protocol)) {
+        const values = fields.slice(offset, offset + ELEMENT_SIZES[type]);
+        offset += ELEMENT_SIZES[type];
+        const element = type === 'Fr' ? values[0] : type === 'G1' ? values : [values.slice(0, 2), values.slice(2)];
+        setPath(proof, path, element);
+    }
+    return proof;
+}
+
+function proofFieldCount(protocol) {
+    return schemaFor(protocol).reduce((count, [, type]) => count + ELEMENT_SIZES[type], 0);
+}
+
+function normalizeSignals(publicSignals) {
+    if (!Array.isArray(publicSignals) || publicSignals.length === 0 || publicSignals.length > 255) {
+        throw new Error('publicSignals must be a non-empty array of at most 255 elements');
+    }
+    return publicSignals.map((signal, i) => toFieldElement(signal, SNARK_SCALAR_FIELD, `publicSignals[${i}]`));
+}
+
+function writeField(bytes, offset, value) {
+    for (let i = FIELD_BYTES - 1; i >= 0; i--) {
+        bytes[offset + i] = Number(value & 0xffn);
+        value >>= 8n;
+    }
+    return offset + FIELD_BYTES;
+}
+
+function readField(bytes, offset) {
+    let value = 0n;
+    for (let i = 0; i < FIELD_BYTES; i++) {
+        value = (value << 8n) | BigInt(bytes[offset + i]);
+    }
+    return value;
+}
+
+function toHex32(value) {
+    return '0x' + BigInt(value).toString(16).padStart(FIELD_BYTES * 2, '0');
+}
+
+function checkLayout(layout, circuit, publicSignals) {
+    if (!layout) return;
+    if (layout.circuit !== circuit) {
+        throw new Error(`Proof is for circuit ${circuit}, expected ${layout.circuit}`);
+    }
+    layout.name(publicSignals);
+}
+
+class RLNProof {
+    constructor(proof, publicSignals, layout) {
+        this.proof = proof;
+        this.publicSignals = publicSignals;
+        this.layout = layout;
+    }
+
+    // Convert proof to Solidity format: { a, b, c } for Groth16, with the G2
+    // coordinates swapped for the pairing precompile, and { proof } holding all
+    // 24 elements for PLONK and FFLONK
+    toSolidityProof() {
+        if (schemaFor(this.protocol) !== GROTH16_SCHEMA) {
+            return { proof: flattenProof(this.protocol, normalizeProof(this.protocol, this.proof)).map(String) };
+        }
+        return {
+            a: [this.proof.pi_a[0], this.proof.pi_a[1]],
+            b: [[this.proof.pi_b[0][1], this.proof.pi_b[0][0]],
+                [this.proof.pi_b[1][1], this.proof.pi_b[1][0]]],
+            c: [this.proof.pi_c[0], this.proof.pi_c[1]]
+        };
+    }
+
+    // Arguments of verifyProof on the matching snarkjs Solidity verifier, as 32-byte
+    // hex strings: [a, b, c, publicSignals] for Groth16, [proof, publicSignals] otherwise
+    toSolidityCalldata() {
+        const solidity = this.toSolidityProof();
+        const hex = value => Array.isArray(value) ? value.map(hex) : toHex32(value);
+        const publicSignals = normalizeSignals(this.publicSignals).map(toHex32);
+
+        if (solidity.proof) {
+            return [hex(solidity.proof), publicSignals];
+        }
+        return [hex(solidity.a), hex(solidity.b), hex(solidity.c), publicSignals];
+    }
+
+    // Get public signals keyed by their circuit names (`signalHash` is an alias for `x`)
+    getPublicSignals() {
+        if (!this.layout) {
+            throw new Error('RLNProof has no public signal layout');
+        }
+
+        const named = this.layout.name(this.publicSignals);
+        if (named.x !== undefined) {
+            named.signalHash = named.x;
+        }
+        return named;
+    }
+
+    get circuit() {
+        return this.layout ? this.layout.circuit : 'unknown';
+    }
+
+    get protocol() {
+        return this.proof.protocol || 'groth16';
+    }
+
+    // Validated proof elements (affine points, evaluations) and public signals as BigInts
+    normalize() {
+        return {
+            ...normalizeProof(this.protocol, this.proof),
+            publicSignals: normalizeSignals(this.publicSignals)
+        };
+    }
+
+    // Versioned JSON with affine points and decimal strings
+    toJSON() {
+        const { publicSignals, ...normalized } = this.normalize();
+        const stringify = value => Array.isArray(value) ? value.map(stringify) : String(value);
+
+        const proof = {};
+        for (const [path] of schemaFor(this.protocol)) {
+            setPath(proof, path, stringify(getPath(normalized, path)));
+        }
+
+        return {
+            type: PROOF_TYPE,
+            version: PROOF_FORMAT_VERSION,
+            circuit: this.circuit,
+            protocol: this.protocol,
+            proof,
+            publicSignals: publicSignals.map(String)
+        };
+    }
+
+    static fromJSON(data, layout) {
+        if (!data || data.type !== PROOF_TYPE) {
+            throw new Error('Invalid proof data');
+        }
+        if (data.version !== PROOF_FORMAT_VERSION) {
+            throw new Error(`Unsupported proof format version: ${data.version}`);
+        }
+        if (!data.proof || !PROTOCOL_IDS[data.protocol]) {
+            throw new Error(`Unsupported proof protocol: ${data.protocol}`);
+        }
+
+        const publicSignals = normalizeSignals(data.publicSignals).map(String);
+        checkLayout(layout, data.circuit, publicSignals);
+        return RLNProof.fromAffine(data.protocol, normalizeProof(data.protocol, data.proof), publicSignals, layout);
+    }
+
+    // Rebuild the projective snarkjs proof object from affine points
+    static fromAffine(protocol, points, publicSignals, layout) {
+        const proof = {};
+        for (const [path, type] of schemaFor(protocol)) {
+            const element = getPath(points, path);
+            setPath(proof, path, type === 'Fr' ? String(element)
+                : type === 'G1' ? [...element.map(String), '1']
+                    : [...element.map(c => c.map(String)), ['1', '0']]);
+        }
+        proof.protocol = protocol;
+        proof.curve = 'bn128';
+
+        return new RLNProof(proof, publicSignals, layout);
+    }
+
+    // Compact binary encoding:
+    //   version (1) | protocol (1) | circuit name length (1) | circuit name (UTF-8)
+    //   | signal count (1) | proof (8 x 32 for Groth16, 24 x 32 for PLONK and FFLONK) | signals (n x 32)
+    // with every field element as 32 bytes big-endian and the proof in PROOF_SCHEMAS order
+    toBytes() {
+        const { publicSignals, ...normalized } = this.normalize();
+        const circuit = new TextEncoder().encode(this.circuit);
+        if (circuit.length > 255) {
+            throw new Error('Circuit name is too long to encode');
+        }
+
+        const fields = [...flattenProof(this.protocol, normalized), ...publicSignals];
+        const bytes = new Uint8Array(4 + circuit.length + fields.length * FIELD_BYTES);
+
+        bytes[0] = PROOF_FORMAT_VERSION;
+        bytes[1] = PROTOCOL_IDS[this.protocol];
+        bytes[2] = circuit.length;
+        bytes.set(circuit, 3);
+        bytes[3 + circuit.length] = publicSignals.length;
+
+        let offset = 4 + circuit.length;
+        for (const field of fields) {
+            offset = writeField(bytes, offset, field);
+        }
+        return bytes;
+    }
+
+    static fromBytes(bytes, layout) {
+        if (!(bytes instanceof Uint8Array) || bytes.length < 4) {
+            throw new Error('Invalid encoded proof');
+        }
+        if (bytes[0] !== PROOF_FORMAT_VERSION) {
+            throw new Error(`Unsupported proof format version: ${bytes[0]}`);
+        }
+
+        const protocol = Object.keys(PROTOCOL_IDS).find(name => PROTOCOL_IDS[name] === bytes[1]);
+        if (!protocol) {
+            throw new Error(`Unsupported proof protocol id: ${bytes[1]}`);
+        }
+
+        const circuitLength = bytes[2];
+        const headerLength = 4 + circuitLength;
+        if (bytes.length < headerLength) {
+            throw new Error('Invalid encoded proof: truncated header');
+        }
+        const circuit = new TextDecoder().decode(bytes.subarray(3, 3 + circuitLength));
+        const nSignals = bytes[3 + circuitLength];
+
+        const nProofFields = proofFieldCount(protocol);
+        const nFields = nProofFields + nSignals;
+        if (bytes.length !== headerLength + nFields * FIELD_BYTES) {
+            throw new Error('Invalid encoded proof: unexpected length');
+        }
+
+        const fields = [];
+        for (let i = 0; i < nFields; i++) {
+            fields.push(readField(bytes, headerLength + i * FIELD_BYTES));
+        }
+
+        const points = normalizeProof(protocol, unflattenProof(protocol, fields.slice(0, nProofFields)));
+        const publicSignals = normalizeSignals(fields.slice(nProofFields)).map(String);
+
+        checkLayout(layout, circuit, publicSignals);
+        return RLNProof.fromAffine(protocol, points, publicSignals, layout);
+    }
+
+    // base64url of the binary encoding, safe for headers and URLs
+    toBase64Url() {
+        return toBase64Url(this.toBytes());
+    }
+
+    static fromBase64Url(encoded, layout) {
+        // A length of 4n + 1 characters cannot come from whole bytes
+        if (typeof encoded !== 'string' || !/^[A-Za-z0-9_-]*$/.test(encoded) || encoded.length % 4 === 1) {
+            throw new Error('Invalid base64url proof');
+        }
+        return RLNProof.fromBytes(fromBase64Url(encoded), layout);
+    }
+}
+
+module.exports = {
+    RLNProof,
+    PROOF_FORMAT_VERSION,
+    PROOF_SCHEMAS,
+    SNARK_BASE_FIELD
+};
@@ -0,0 +1,226 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { proveWithArtifacts, abortError, PROTOCOLS } = require('./prover');
+
+const WORKER_PATH = path.join(__dirname, 'prover-worker.js');
+
+// Read the circuit wasm and zkey into memory so every later proof skips the disk
+function loadArtifacts(wasmPath, zkeyPath) {
+    return {
+        wasm: new Uint8Array(fs.readFileSync(wasmPath)),
+        zkey: new Uint8Array(fs.readFileSync(zkeyPath))
+    };
+}
+
+// Rebuild an error posted by a worker, keeping fs details such as code and path
+function reviveError(data) {
+    const error = new Error(data.message);
+    if (data.code) error.code = data.code;
+    if (data.path) error.path = data.path;
+    return error;
+}
+
+// Proves on a pool of worker threads so proving never blocks the caller's event loop.
+// Each worker reads the wasm and zkey once and keeps them for every later job; jobs
+// beyond `concurrency` wait in a FIFO queue. Idle workers do not keep the process alive.
+// `protocol` picks the snarkjs prover matching the zkey, groth16 by default.
+class ProverPool {
+    constructor(options = {}) {
+        if (!options.wasmPath || !options.zkeyPath) {
+            throw new Error('ProverPool requires wasmPath and zkeyPath');
+        }
+
+        this.wasmPath = options.wasmPath;
+        this.zkeyPath = options.zkeyPath;
+        this.protocol = options.protocol || 'groth16';
+        this.concurrency = options.concurrency || Math.max(1, os.cpus().length - 1);
+
+        if (!Number.isInteger(this.concurrency) || this.concurrency < 1) {
+            throw new Error('concurrency must be a positive integer');
+        }
+        if (!PROTOCOLS.includes(this.protocol)) {
+            throw new Error(`Unsupported proving protocol: ${this.protocol}`);
+        }
+
+        this.queue = [];
+        this.workers = [];
+        this.nextJobId = 0;
+        this.terminated = false;
+    }
+
+    // Queue a proof for the given witness. Resolves to { proof, publicSignals }.
+    //   options.signal      AbortSignal; aborting drops a queued job or stops its worker
+    //   options.onProgress  called with { stage, message?, position? } where stage is
+    //                       'queued', 'witness', 'proving' or 'done'
+    prove(witness, options = {}) {
+        const { signal, onProgress = () => {} } = options;
+
+        if (this.terminated) {
+            return Promise.reject(new Error('Prover pool has been terminated'));
+        }
+        if (signal && signal.aborted) {
+            return Promise.reject(abortError(signal));
+        }
+
+        return new Promise((resolve, reject) => {
+            const job = {
+                id: this.nextJobId++,
+                witness,
+                signal,
+                onProgress,
+                resolve,
+                reject
+            };
+
+            if (signal) {
+                job.onAbort = () => this.abort(job);
+                signal.addEventListener('abort', job.onAbort, { once: true });
+            }
+
+            this.queue.push(job);
+            onProgress({ stage: 'queued', position: this.queue.length });
+            this.dispatch();
+        });
+    }
+
+    // Hand queued jobs to idle workers, starting workers up to the concurrency limit
+    dispatch() {
+        while (this.queue.length > 0) {
+            let slot = this.workers.find(candidate => !candidate.job);
+            if (!slot) {
+                if (this.workers.length >= this.concurrency) return;
+                slot = this.spawn();
+            }
+
+            const job = this.queue.shift();
+            slot.job = job;
+            slot.worker.ref();
+            slot.worker.postMessage({ id: job.id, witness: job.witness });
+        }
+    }
+
+    spawn() {
+        const worker = new Worker(WORKER_PATH, {
+            workerData: {
+                wasmPath: this.wasmPath,
+                zkeyPath: this.zkeyPath,
+                protocol: this.protocol,
+                // snarkjs pulls in web-worker, which treats every worker thread as its own
+                // and require()s workerData.mod; point it back at the already loaded script
+                mod: WORKER_PATH
+            }
+        });
+        const slot = { worker, job: null };
+
+        worker.on('message', message => this.handleMessage(slot, message));
+        worker.on('error', error => this.handleExit(slot, error));
+        worker.on('exit', code => this.handleExit(slot, new Error(`Prover worker exited with code ${code}`)));
+        worker.unref();
+
+        this.workers.push(slot);
+        return slot;
+    }
+
+    handleMessage(slot, message) {
+        const job = slot.job;
+        if (!job || job.id !== message.id) return;
+
+        if (message.type === 'progress') {
+            job.onProgress(message.progress);
+            return;
+        }
+
+        this.finish(slot);
+        if (message.type === 'result') {
+            job.resolve({ proof: message.proof, publicSignals: message.publicSignals });
+        } else {
+            job.reject(reviveError(message.error));
+        }
+        this.dispatch();
+    }
+
+    // A crashed or stopped worker fails its current job and is replaced on the next dispatch
+    handleExit(slot, error) {
+        if (!this.workers.includes(slot)) return;
+        this.workers.splice(this.workers.indexOf(slot), 1);
+
+        const job = slot.job;
+        if (job) {
+            this.release(job);
+            job.reject(error);
+        }
+        this.dispatch();
+    }
+
+    finish(slot) {
+        this.release(slot.job);
+        slot.job = null;
+        slot.worker.unref();
+    }
+
+    release(job) {
+        if (job.signal) {
+            job.signal.removeEventListener('abort', job.onAbort);
+        }
+    }
+
+    abort(job) {
+        const queued = this.queue.indexOf(job);
+        if (queued !== -1) {
+            this.queue.splice(queued, 1);
+            this.release(job);
+            job.reject(abortError(job.signal));
+            return;
+        }
+
+        // A running proof cannot be interrupted, so stop its worker altogether
+        const slot = this.workers.find(candidate => candidate.job === job);
+        if (slot) {
+            this.workers.splice(this.workers.indexOf(slot), 1);
+            this.release(job);
+            slot.worker.terminate();
+            job.reject(abortError(job.signal));
+            this.dispatch();
+        }
+    }
+
+    // Number of jobs waiting for a worker
+    get pending() {
+        return this.queue.length;
+    }
+
+    // Number of jobs currently being proved
+    get running() {
+        return this.workers.filter(slot => slot.job).length;
+    }
+
+    // Reject every queued job and stop all workers
+    async terminate() {
+        this.terminated = true;
+
+        const error = new Error('Prover pool has been terminated');
+        for (const job of this.queue.splice(0)) {
+            this.release(job);
+            job.reject(error);
+        }
+
+        const slots = this.workers.splice(0);
+        for (const slot of slots) {
+            if (slot.job) {
+                this.release(slot.job);
+                slot.job.reject(error);
+            }
+        }
+        await Promise.all(slots.map(slot => slot.worker.terminate()));
+    }
+}
+
+module.exports = {
+    ProverPool,
+    loadArtifacts,
+    proveWithArtifacts,
+    abortError,
+    PROTOCOLS
+};
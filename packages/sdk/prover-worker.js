@@ -0,0 +1,28 @@
+const { parentPort, workerData } = require('worker_threads');
+const { loadArtifacts } = require('./prover-pool');
+const { proveWithArtifacts } = require('./prover');
+
+// Loaded on the first job and reused for the lifetime of the worker
+let artifacts = null;
+
+parentPort.on('message', async ({ id, witness }) => {
+    try {
+        if (!artifacts) {
+            artifacts = loadArtifacts(workerData.wasmPath, workerData.zkeyPath);
+        }
+
+        const { proof, publicSignals } = await proveWithArtifacts(artifacts, witness,
+            progress => parentPort.postMessage({ type: 'progress', id, progress }),
+            // Each worker proves on one core; the pool provides the parallelism
+            { singleThread: true },
+            workerData.protocol);
+
+        parentPort.postMessage({ type: 'result', id, proof, publicSignals });
+    } catch (error) {
+        parentPort.postMessage({
+            type: 'error',
+            id,
+            error: { message: error.message, code: error.code, path: error.path }
+        });
+    }
+});
@@ -0,0 +1,41 @@
+const snarkjs = require('snarkjs');
+
+const PROTOCOLS = ['groth16', 'plonk', 'fflonk'];
+
+// Proof from in-memory artifacts with the snarkjs prover of `protocol` (groth16,
+// plonk or fflonk), reporting each stage to onProgress.
+// `proverOptions.singleThread` keeps snarkjs from starting threads of its own.
+async function proveWithArtifacts(artifacts, witness, onProgress = () => {}, proverOptions = {}, protocol = 'groth16') {
+    if (!PROTOCOLS.includes(protocol)) {
+        throw new Error(`Unsupported proving protocol: ${protocol}`);
+    }
+
+    onProgress({ stage: 'witness' });
+    const wtns = { type: 'mem' };
+    await snarkjs.wtns.calculate(witness, artifacts.wasm, wtns);
+
+    onProgress({ stage: 'proving' });
+    const logger = {
+        debug: message => onProgress({ stage: 'proving', message }),
+        info: () => {},
+        warn: () => {},
+        error: () => {}
+    };
+    const { proof, publicSignals } = await snarkjs[protocol].prove(artifacts.zkey, wtns, logger, proverOptions);
+
+    onProgress({ stage: 'done' });
+    return { proof, publicSignals };
+}
+
+function abortError(signal) {
+    const error = new Error('Proof generation aborted');
+    error.name = 'AbortError';
+    error.cause = signal.reason;
+    return error;
+}
+
+module.exports = {
+    proveWithArtifacts,
+    abortError,
+    PROTOCOLS
+};
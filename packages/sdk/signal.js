@@ -0,0 +1,113 @@
+const { keccak256 } = require('js-sha3');
+const { getPoseidon } = require('./circuit');
+
+const SIGNAL_HASH_MODES = ['keccak256', 'poseidon'];
+
+// Field elements must stay below the BN254 scalar field, so pack 31 bytes at a time
+const CHUNK_SIZE = 31;
+// Poseidon in circomlibjs takes at most 16 inputs per permutation
+const SPONGE_RATE = 16;
+
+function bytesToBigInt(bytes) {
+    let value = 0n;
+    for (const byte of bytes) {
+        value = (value << 8n) | BigInt(byte);
+    }
+    return value;
+}
+
+// Same encoding as abi.encodePacked(uint256)
+function bigIntToBytes32(value) {
+    if (value < 0n || value >= 2n ** 256n) {
+        throw new Error('bigint signals must fit in a uint256');
+    }
+
+    const bytes = new Uint8Array(32);
+    for (let i = 31; i >= 0; i--) {
+        bytes[i] = Number(value & 0xffn);
+        value >>= 8n;
+    }
+    return bytes;
+}
+
+// JSON with sorted object keys, so equal payloads always hash the same
+function canonicalJSON(value) {
+    if (typeof value === 'bigint') {
+        return JSON.stringify(value.toString());
+    }
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJSON).join(',')}]`;
+    }
+    if (value && typeof value === 'object' && typeof value.toJSON !== 'function') {
+        const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+        return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`).join(',')}}`;
+    }
+
+    const json = JSON.stringify(value);
+    if (json === undefined) {
+        throw new Error(`Cannot hash a signal of type ${typeof value}`);
+    }
+    return json;
+}
+
+// Bytes that get hashed for each kind of signal:
+// strings as UTF-8, Uint8Array as is, bigint as 32 bytes big-endian,
+// anything else (objects, arrays, numbers, booleans) as canonical JSON
+function signalToBytes(signal) {
+    if (typeof signal === 'string') {
+        return new TextEncoder().encode(signal);
+    }
+    if (signal instanceof Uint8Array) {
+        return signal;
+    }
+    if (typeof signal === 'bigint') {
+        return bigIntToBytes32(signal);
+    }
+    return new TextEncoder().encode(canonicalJSON(signal));
+}
+
+// uint256(keccak256(bytes)) >> 8, which a contract can recompute from the raw signal
+function keccakToField(bytes) {
+    return BigInt('0x' + keccak256(bytes)) >> 8n;
+}
+
+// Sponge over 31-byte chunks: the byte length seeds the capacity element and each
+// permutation absorbs up to SPONGE_RATE chunks, chaining its output into the next one
+function poseidonSponge(poseidon, bytes) {
+    const F = poseidon.F;
+    const chunks = [];
+    for (let i = 0; i < bytes.length; i += CHUNK_SIZE) {
+        chunks.push(bytesToBigInt(bytes.subarray(i, i + CHUNK_SIZE)));
+    }
+    if (chunks.length === 0) {
+        chunks.push(0n);
+    }
+
+    let state = F.e(BigInt(bytes.length));
+    for (let i = 0; i < chunks.length; i += SPONGE_RATE) {
+        state = poseidon(chunks.slice(i, i + SPONGE_RATE), state);
+    }
+    return F.toObject(state);
+}
+
+// Hash a whole signal to the field element used as `x` in the circuit
+async function hashSignal(signal, mode = 'keccak256') {
+    const bytes = signalToBytes(signal);
+
+    switch (mode) {
+        case 'keccak256':
+            return keccakToField(bytes);
+        case 'poseidon':
+            return poseidonSponge(await getPoseidon(), bytes);
+        default:
+            throw new Error(`Unknown signal hash mode: ${mode} (expected one of ${SIGNAL_HASH_MODES.join(', ')})`);
+    }
+}
+
+module.exports = {
+    SIGNAL_HASH_MODES,
+    hashSignal,
+    signalToBytes,
+    keccakToField,
+    poseidonSponge
+};
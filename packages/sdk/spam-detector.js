@@ -0,0 +1,128 @@
+const { Emitter } = require('./emitter');
+const { EVIDENCE_TYPE, EVIDENCE_VERSION } = require('./evidence');
+
+// Collects the (x, y) shares of incoming proofs and turns double signaling into
+// slashing evidence. Shares are keyed by (externalNullifier, nullifier): a second
+// share under the same key with a different x is a second point on the same line,
+// which reveals the identity secret.
+//
+// Proofs are checked with rln.verifyProof, or with `options.verifier` (anything with
+// verify(proof) resolving to { valid }, e.g. an RLNVerifier without root or epoch
+// checks, to judge stored proofs after the group has moved on); `verifyProofs: false`
+// skips the check.
+//
+// Events:
+//   'share'  ({ externalNullifier, nullifier, x, y })  a new share was stored
+//   'spam'   (evidence)                                 double signaling detected
+class RLNSpamDetector extends Emitter {
+    constructor(rln, options = {}) {
+        super();
+        this.rln = rln;
+        this.verifyProofs = options.verifyProofs !== false;
+        this.verifier = options.verifier || null;
+        this.shares = new Map();
+        this.evidence = new Map();
+    }
+
+    static key(externalNullifier, nullifier) {
+        return `${externalNullifier}:${nullifier}`;
+    }
+
+    // Ingest a proof and report what it means for its sender.
+    // Resolves to { status } where status is 'new', 'duplicate', 'spam' or 'invalid';
+    // 'spam' results also carry the slashing evidence.
+    async ingest(proof) {
+        if (this.verifyProofs && !(await this.verify(proof))) {
+            return { status: 'invalid' };
+        }
+
+        const { externalNullifier, nullifier, x, y } = proof.getPublicSignals();
+        const key = RLNSpamDetector.key(externalNullifier, nullifier);
+
+        if (this.evidence.has(key)) {
+            return { status: 'spam', evidence: this.evidence.get(key) };
+        }
+
+        const previous = this.shares.get(key);
+
+        if (!previous) {
+            this.shares.set(key, { x, y, proof });
+            this.emit('share', { externalNullifier, nullifier, x, y });
+            return { status: 'new' };
+        }
+
+        if (BigInt(previous.x) === BigInt(x)) {
+            // Same message again: the same point on the line reveals nothing new
+            return { status: 'duplicate' };
+        }
+
+        const evidence = this.buildEvidence(previous, { x, y, proof }, externalNullifier, nullifier);
+        this.evidence.set(key, evidence);
+        this.shares.delete(key);
+        this.emit('spam', evidence);
+
+        return { status: 'spam', evidence };
+    }
+
+    // Proofs against roots that left the root history, or for epochs the
+    // relay no longer accepts, count as invalid
+    async verify(proof) {
+        if (this.verifier) {
+            return (await this.verifier.verify(proof)).valid;
+        }
+        try {
+            return await this.rln.verifyProof(proof);
+        } catch (error) {
+            if (error.code === 'STALE_ROOT' || error.code === 'WRONG_EPOCH') return false;
+            throw error;
+        }
+    }
+
+    // Recover the secret from two shares and attribute it to a registered identity
+    buildEvidence(first, second, externalNullifier, nullifier) {
+        const circuit = this.rln.circuit;
+        const secret = circuit.recoverSecret(first, second);
+        const identityCommitment = circuit.identityCommitment(secret).toString();
+
+        const registered = this.rln.findIdentityByCommitment(identityCommitment);
+        const messageLimit = registered ? registered.messageLimit : null;
+
+        return {
+            type: EVIDENCE_TYPE,
+            version: EVIDENCE_VERSION,
+            externalNullifier,
+            nullifier,
+            proofs: [first.proof, second.proof].map(proof => ({
+                proof: proof.proof,
+                publicSignals: proof.publicSignals
+            })),
+            shares: [first, second].map(({ x, y }) => ({ x, y })),
+            secret: secret.toString(),
+            identityCommitment,
+            rateCommitment: registered ? registered.rateCommitment : null,
+            messageLimit,
+            index: registered ? registered.index : null,
+            detectedAt: new Date().toISOString()
+        };
+    }
+
+    // Drop everything collected for an external nullifier, e.g. once its epoch is over
+    forget(externalNullifier) {
+        const prefix = `${externalNullifier}:`;
+        for (const map of [this.shares, this.evidence]) {
+            for (const key of map.keys()) {
+                if (key.startsWith(prefix)) {
+                    map.delete(key);
+                }
+            }
+        }
+    }
+
+    getEvidence() {
+        return Array.from(this.evidence.values());
+    }
+}
+
+module.exports = {
+    RLNSpamDetector
+};
@@ -0,0 +1,55 @@
+const VARIANTS_FILE = 'variants.json';
+
+// Name of the RLN(depth, limitBits) build, also the circuit name in its public signal layout
+function variantName(depth, limitBits) {
+    return `rln_${depth}_${limitBits}`;
+}
+
+// Circuit variants built by scripts/compile.js, as listed in variants.json:
+//   { variants: [{ name, depth, limitBits, wasm, zkey, vkey, layout, manifest }] }
+// with artifact paths relative to the list. `resolve` turns them into locations for
+// the artifact loader; builds listed without an artifact manifest (see manifest.js)
+// get a null manifestPath. `source` names the list in errors.
+function parseVariants(list, resolve = file => file, source = VARIANTS_FILE) {
+    const variants = list && list.variants;
+    if (!Array.isArray(variants)) {
+        throw new Error(`Invalid circuit variant list in ${source}`);
+    }
+
+    return variants.map(variant => ({
+        name: variant.name,
+        depth: variant.depth,
+        limitBits: variant.limitBits,
+        wasmPath: resolve(variant.wasm),
+        zkeyPath: resolve(variant.zkey),
+        vkeyPath: resolve(variant.vkey),
+        layoutPath: resolve(variant.layout),
+        manifestPath: variant.manifest ? resolve(variant.manifest) : null
+    }));
+}
+
+// The variant proving membership in a tree of `depth` levels. Proofs only verify against
+// roots of that exact depth, so nothing else fits; among several limit bit sizes the
+// largest wins unless `limitBits` asks for one.
+function selectVariant(variants, depth, limitBits) {
+    const candidates = variants
+        .filter(variant => variant.depth === depth && (!limitBits || variant.limitBits === limitBits))
+        .sort((a, b) => b.limitBits - a.limitBits);
+
+    if (candidates.length === 0) {
+        const wanted = limitBits ? `depth ${depth} and ${limitBits} limit bits` : `depth ${depth}`;
+        const built = variants.map(variant => `${variant.depth}/${variant.limitBits}`).join(', ') || 'none';
+        throw new Error(
+            `No circuit variant for ${wanted} (built depth/limit bits: ${built}). ` +
+            `Build it with npm run compile -- --depths ${depth}${limitBits ? ` --limit-bits ${limitBits}` : ''}`
+        );
+    }
+    return candidates[0];
+}
+
+module.exports = {
+    VARIANTS_FILE,
+    variantName,
+    parseVariants,
+    selectVariant
+};
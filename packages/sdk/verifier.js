@@ -0,0 +1,113 @@
+const { RLNProof } = require('./proof');
+const { SnarkjsBackend, VERIFICATION_REASONS, createBackend } = require('./backends');
+const { elapsed } = require('./logger');
+
+const DEFAULT_BATCH_CONCURRENCY = 16;
+
+// Verifies RLN proofs. The cryptographic check is left to a prover backend,
+// snarkjs by default, for the protocol of a verification key that is read once,
+// either passed in as `vkey` or loaded from `vkeyPath` on first use (through
+// `loader` when given, see loaders.js).
+//
+// Every check resolves to { valid, reason, message? } with a reason from
+// VERIFICATION_REASONS instead of a bare boolean. With a layout, proofs against
+// roots rejected by `isKnownRoot(root)` are STALE_ROOT and proofs whose external
+// nullifier is rejected by `checkExternalNullifier(externalNullifier)` (which
+// may be async) are WRONG_EPOCH.
+//
+// `onVerify(event)` is called after every proof with the result, the proof's
+// nullifier and external nullifier (when the layout names them) and durationMs.
+class RLNVerifier {
+    constructor(options = {}) {
+        this.backend = options.backend
+            ? createBackend(options.backend, options)
+            : new SnarkjsBackend({ vkey: options.vkey, vkeyPath: options.vkeyPath, loader: options.loader });
+        this.layout = options.layout || null;
+        this.isKnownRoot = options.isKnownRoot || null;
+        this.checkExternalNullifier = options.checkExternalNullifier || null;
+        this.concurrency = options.concurrency || DEFAULT_BATCH_CONCURRENCY;
+        this.onVerify = options.onVerify || null;
+    }
+
+    // Verify one proof, given as an RLNProof or { proof, publicSignals }
+    async verify(proof) {
+        return this.check(proof);
+    }
+
+    // Verify many proofs concurrently; results come back in input order
+    async verifyBatch(proofs) {
+        const results = new Array(proofs.length);
+        let next = 0;
+
+        const worker = async () => {
+            while (next < proofs.length) {
+                const i = next++;
+                results[i] = await this.check(proofs[i]);
+            }
+        };
+
+        const workers = Math.min(this.concurrency, proofs.length);
+        await Promise.all(Array.from({ length: workers }, worker));
+        return results;
+    }
+
+    async check(candidate) {
+        const start = performance.now();
+        const { result, named } = await this.checkProof(candidate);
+
+        if (this.onVerify) {
+            this.onVerify({
+                ...result,
+                nullifier: named.nullifier,
+                externalNullifier: named.externalNullifier,
+                durationMs: elapsed(start)
+            });
+        }
+        return result;
+    }
+
+    // Result of a proof, with its public signals by name when they could be read
+    async checkProof(candidate) {
+        const { MALFORMED, STALE_ROOT, WRONG_EPOCH } = VERIFICATION_REASONS;
+
+        let proof;
+        let named = {};
+        try {
+            proof = candidate instanceof RLNProof
+                ? candidate
+                : new RLNProof(candidate.proof, candidate.publicSignals, this.layout);
+            proof.normalize();
+            if (this.layout) {
+                named = this.layout.name(proof.publicSignals);
+            }
+        } catch (error) {
+            return { result: { valid: false, reason: MALFORMED, message: error.message }, named };
+        }
+
+        if (named.root && this.isKnownRoot && !this.isKnownRoot(named.root)) {
+            return {
+                result: { valid: false, reason: STALE_ROOT, message: `Merkle root ${named.root} is not in the root history` },
+                named
+            };
+        }
+
+        if (named.externalNullifier && this.checkExternalNullifier
+            && !(await this.checkExternalNullifier(named.externalNullifier))) {
+            return {
+                result: {
+                    valid: false,
+                    reason: WRONG_EPOCH,
+                    message: `External nullifier ${named.externalNullifier} is not for an accepted epoch`
+                },
+                named
+            };
+        }
+
+        return { result: await this.backend.verify(proof), named };
+    }
+}
+
+module.exports = {
+    RLNVerifier,
+    VERIFICATION_REASONS
+};
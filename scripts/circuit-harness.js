@@ -0,0 +1,193 @@
+const fs = require('fs');
+const path = require('path');
+const { loadVariants } = require('../packages/sdk/platform');
+const { selectVariant } = require('../packages/sdk/variants');
+
+// Tree depth of the variant tested when none is asked for, as in the SDK
+const DEFAULT_DEPTH = 20;
+
+// Header and constraint sections of an .r1cs file, with coefficients as BigInt:
+//   { prime, nWires, nOutputs, nPubInputs, nPrvInputs, constraints: [[A, B, C]] }
+// where each linear combination is a list of [wire, coefficient] pairs
+function readR1cs(r1csPath) {
+    const buffer = fs.readFileSync(r1csPath);
+    if (buffer.toString('ascii', 0, 4) !== 'r1cs') {
+        throw new Error(`Not an r1cs file: ${r1csPath}`);
+    }
+
+    const sections = {};
+    let offset = 12;
+    for (let i = 0, n = buffer.readUInt32LE(8); i < n; i++) {
+        const type = buffer.readUInt32LE(offset);
+        const size = Number(buffer.readBigUInt64LE(offset + 4));
+        sections[type] = offset + 12;
+        offset += 12 + size;
+    }
+    if (sections[1] === undefined || sections[2] === undefined) {
+        throw new Error(`Missing header or constraints in ${r1csPath}`);
+    }
+
+    const readField = (at, n8) => {
+        let value = 0n;
+        for (let i = n8 - 1; i >= 0; i--) value = (value << 8n) | BigInt(buffer[at + i]);
+        return value;
+    };
+
+    let at = sections[1];
+    const n8 = buffer.readUInt32LE(at);
+    const prime = readField(at + 4, n8);
+    at += 4 + n8;
+    const r1cs = {
+        prime,
+        nWires: buffer.readUInt32LE(at),
+        nOutputs: buffer.readUInt32LE(at + 4),
+        nPubInputs: buffer.readUInt32LE(at + 8),
+        nPrvInputs: buffer.readUInt32LE(at + 12),
+        constraints: []
+    };
+    const nConstraints = buffer.readUInt32LE(at + 24);
+
+    at = sections[2];
+    const readLC = () => {
+        const terms = [];
+        const nTerms = buffer.readUInt32LE(at);
+        at += 4;
+        for (let i = 0; i < nTerms; i++) {
+            terms.push([buffer.readUInt32LE(at), readField(at + 4, n8)]);
+            at += 4 + n8;
+        }
+        return terms;
+    };
+    for (let i = 0; i < nConstraints; i++) {
+        r1cs.constraints.push([readLC(), readLC(), readLC()]);
+    }
+    return r1cs;
+}
+
+// Signal names from a .sym file ("label,wire,component,name" per line), mapped to
+// their wire index, or -1 for signals the compiler optimized away
+function readSymbols(symPath) {
+    const symbols = new Map();
+    for (const line of fs.readFileSync(symPath, 'utf8').split('\n')) {
+        const [, wire, , name] = line.split(',');
+        if (name) symbols.set(name, Number(wire));
+    }
+    return symbols;
+}
+
+// Runs a compiled circuit's witness calculator on input objects and checks the witness
+// against the R1CS, so constraint tests need no zkey and no proving:
+//   const harness = await CircuitHarness.load();
+//   const { satisfied, error, outputs } = await harness.calculate(inputs);
+class CircuitHarness {
+    constructor(witnessCalculator, r1cs, symbols) {
+        this.witnessCalculator = witnessCalculator;
+        this.r1cs = r1cs;
+        this.symbols = symbols;
+        this.outputNames = [];
+
+        // Outputs take the wires right after the constant 1
+        for (const [name, wire] of symbols) {
+            if (wire >= 1 && wire <= r1cs.nOutputs) this.outputNames[wire - 1] = name.replace(/^main\./, '');
+        }
+    }
+
+    // The build listed in <artifactsDir>/variants.json for { depth, limitBits } (see
+    // selectVariant), or the one at `wasmPath`. circom puts the witness calculator next
+    // to the wasm, and the r1cs and sym files one directory up:
+    // <dir>/<name>_js/<name>.wasm, <dir>/<name>.r1cs, <dir>/<name>.sym
+    static async load(options = {}) {
+        const wasmPath = options.wasmPath || selectVariant(
+            loadVariants(options.artifactsDir),
+            options.depth || DEFAULT_DEPTH,
+            options.limitBits
+        ).wasmPath;
+        const name = path.basename(wasmPath, '.wasm');
+        const buildDir = path.dirname(path.dirname(wasmPath));
+        const r1csPath = options.r1csPath || path.join(buildDir, `${name}.r1cs`);
+        const symPath = options.symPath || path.join(buildDir, `${name}.sym`);
+
+        for (const file of [wasmPath, r1csPath, symPath]) {
+            if (!fs.existsSync(file)) {
+                throw new Error(`Circuit artifact not found at ${file} (run npm run compile)`);
+            }
+        }
+
+        const buildWitnessCalculator = require(path.join(path.dirname(wasmPath), 'witness_calculator.js'));
+        const witnessCalculator = await buildWitnessCalculator(fs.readFileSync(wasmPath));
+        return new CircuitHarness(witnessCalculator, readR1cs(r1csPath), readSymbols(symPath));
+    }
+
+    // Compute the witness for `input` and check it. Never throws for an unsatisfiable
+    // input; the result says why instead:
+    //   { satisfied, error, failedConstraint, witness, outputs, signal(name) }
+    // `expected` pins named signals to values, the way a verifier pins the public
+    // signals, e.g. { root } to require membership in a given tree.
+    async calculate(input, expected = {}) {
+        let witness;
+        try {
+            witness = await this.witnessCalculator.calculateWitness(input, true);
+        } catch (error) {
+            // Failed assertions (=== in the circuit) stop the calculator itself
+            return this.result(null, error.message);
+        }
+
+        const failedConstraint = this.checkConstraints(witness);
+        if (failedConstraint !== -1) {
+            return this.result(witness, `Constraint #${failedConstraint} is not satisfied`, failedConstraint);
+        }
+
+        for (const [name, value] of Object.entries(expected)) {
+            const actual = this.signal(witness, name);
+            if (actual !== BigInt(value)) {
+                return this.result(witness, `Signal ${name} is ${actual}, expected ${value}`);
+            }
+        }
+        return this.result(witness, null);
+    }
+
+    result(witness, error, failedConstraint = null) {
+        return {
+            satisfied: error === null,
+            error,
+            failedConstraint,
+            witness,
+            outputs: witness ? this.outputs(witness) : null,
+            signal: name => this.signal(witness, name)
+        };
+    }
+
+    // Index of the first constraint A * B = C the witness breaks, or -1
+    checkConstraints(witness) {
+        const p = this.r1cs.prime;
+        if (witness.length !== this.r1cs.nWires) {
+            throw new Error(`Expected a witness of ${this.r1cs.nWires} wires, got ${witness.length}`);
+        }
+
+        const evaluate = terms => terms.reduce((sum, [wire, coefficient]) => sum + coefficient * witness[wire], 0n) % p;
+        return this.r1cs.constraints.findIndex(([a, b, c]) => (evaluate(a) * evaluate(b) - evaluate(c)) % p !== 0n);
+    }
+
+    // Named outputs of a witness, e.g. { y, root, nullifier }
+    outputs(witness) {
+        return Object.fromEntries(this.outputNames.map((name, i) => [name, witness[i + 1]]));
+    }
+
+    // Value of a signal by its name in the sym file, "main." optional:
+    // "root", "identityPathIndex[3]", "rangeCheck.lt.n2b.in"
+    signal(witness, name) {
+        if (!witness) throw new Error('No witness: the calculator rejected the input');
+
+        const qualified = name.startsWith('main.') ? name : `main.${name}`;
+        const wire = this.symbols.get(qualified);
+        if (wire === undefined) throw new Error(`Unknown signal: ${name}`);
+        if (wire === -1) throw new Error(`Signal ${name} was optimized away by the compiler`);
+        return witness[wire];
+    }
+}
+
+module.exports = {
+    CircuitHarness,
+    readR1cs,
+    readSymbols
+};
@@ -1,123 +1,352 @@
 const { execSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
+const readline = require('readline/promises');
+const { parseArgs } = require('util');
 const snarkjs = require('snarkjs');
+const { PublicSignalLayout } = require('../packages/sdk/layout');
+const { VARIANTS_FILE, variantName } = require('../packages/sdk/variants');
+const { MANIFEST_FILE } = require('../packages/sdk/manifest');
+const { createManifest } = require('../packages/sdk/platform');
+const { requiredPtauPower, generatePtau, runPhase2Ceremony } = require('./trusted-setup');
 
-const circuitName = 'rln';
 const buildDir = path.join(__dirname, '../build');
 const circuitsDir = path.join(__dirname, '../circuits');
 const contractsDir = path.join(__dirname, '../contracts');
+const sdkWasmDir = path.join(__dirname, '../packages/sdk/wasm');
 const ptauPath = path.join(buildDir, 'powersOfTau.ptau');
+const variantsPath = path.join(buildDir, VARIANTS_FILE);
+const PROTOCOLS = ['groth16', 'plonk', 'fflonk'];
 
-async function main() {
-    console.log('🔧 Starting RLN circuit compilation process...\n');
+// Solidity verifier per protocol. RLN.sol and the deploy code use the Groth16 one in
+// RLNVerifier.sol, so PLONK and FFLONK builds must not replace it.
+const VERIFIER_FILES = {
+    groth16: 'RLNVerifier.sol',
+    plonk: 'RLNPlonkVerifier.sol',
+    fflonk: 'RLNFflonkVerifier.sol'
+};
+
+// Proving system for the zkey, verification key and Solidity verifier:
+//   node scripts/compile.js --protocol groth16|plonk|fflonk
+// Circuit variants, one RLN(depth, limitBits) build per combination:
+//   node scripts/compile.js --depths 10,16,20,32 --limit-bits 8,16
+// Groth16 phase 2 ceremony, contributors taking turns before a final beacon:
+//   node scripts/compile.js --ceremony --contributor alice --contributor bob --beacon <hex>
+const { values: args } = parseArgs({
+    options: {
+        protocol: { type: 'string', default: 'groth16' },
+        depths: { type: 'string', default: '20' },
+        'limit-bits': { type: 'string', default: '16' },
+        ceremony: { type: 'boolean', default: false },
+        contributor: { type: 'string', multiple: true, default: [] },
+        beacon: { type: 'string' },
+        'beacon-iterations': { type: 'string', default: '10' }
+    }
+});
+const protocol = args.protocol;
+const verifierFile = VERIFIER_FILES[protocol];
+
+// Comma separated list of positive integers, each at most max
+function parseList(value, what, max) {
+    const list = value.split(',').map(item => Number(item.trim()));
+    if (list.some(item => !Number.isInteger(item) || item < 1 || item > max)) {
+        throw new Error(`${what} must be a comma separated list of integers between 1 and ${max}: ${value}`);
+    }
+    return [...new Set(list)];
+}
+
+// Every depth x limit bits combination, each building into build/<name>/
+function variantMatrix() {
+    const depths = parseList(args.depths, '--depths', 64);
+    // The circuit's range check needs LIMIT_BIT_SIZE < 253
+    const limitBits = parseList(args['limit-bits'], '--limit-bits', 252);
+
+    return depths.flatMap(depth => limitBits.map(bits => {
+        const name = variantName(depth, bits);
+        const dir = path.join(buildDir, name);
+        return {
+            name,
+            depth,
+            limitBits: bits,
+            dir,
+            circomPath: path.join(dir, `${name}.circom`),
+            r1csPath: path.join(dir, `${name}.r1cs`),
+            symPath: path.join(dir, `${name}.sym`),
+            wasmPath: path.join(dir, `${name}_js`, `${name}.wasm`),
+            zkeyPath: path.join(dir, `${name}.zkey`),
+            vkeyPath: path.join(dir, 'verification_key.json'),
+            layoutPath: path.join(dir, 'public_signals.json'),
+            verifierPath: path.join(dir, verifierFile),
+            manifestPath: path.join(dir, MANIFEST_FILE),
+            transcriptPath: path.join(dir, 'ceremony_transcript.json')
+        };
+    }));
+}
+
+// Main component of a variant; the RLN templates live in circuits/rln.circom
+function writeMainComponent(variant) {
+    const include = path.relative(variant.dir, path.join(circuitsDir, 'rln.circom')).split(path.sep).join('/');
+    fs.writeFileSync(variant.circomPath, [
+        'pragma circom 2.1.0;',
+        '',
+        `include "${include}";`,
+        '',
+        `component main { public [x, externalNullifier] } = RLN(${variant.depth}, ${variant.limitBits});`,
+        ''
+    ].join('\n'));
+}
+
+// List the built variants in build/variants.json for the SDK. Variants built earlier
+// stay listed, unless this build replaced their depth and limit bits.
+function writeVariantList(variants) {
+    const relative = file => path.relative(buildDir, file).split(path.sep).join('/');
+    const built = variants.map(variant => ({
+        name: variant.name,
+        depth: variant.depth,
+        limitBits: variant.limitBits,
+        wasm: relative(variant.wasmPath),
+        zkey: relative(variant.zkeyPath),
+        vkey: relative(variant.vkeyPath),
+        layout: relative(variant.layoutPath),
+        manifest: relative(variant.manifestPath)
+    }));
+
+    const previous = fs.existsSync(variantsPath)
+        ? JSON.parse(fs.readFileSync(variantsPath, 'utf8')).variants
+        : [];
+    const kept = previous.filter(old => !built.some(variant =>
+        variant.depth === old.depth && variant.limitBits === old.limitBits));
 
-    // Create build directory if it doesn't exist
-    if (!fs.existsSync(buildDir)) {
-        fs.mkdirSync(buildDir, { recursive: true });
+    fs.writeFileSync(variantsPath, JSON.stringify({ variants: [...kept, ...built] }, null, 2));
+}
+
+// A ptau left behind by older versions of this script, which wrote a placeholder
+function isPlaceholderPtau(file) {
+    return fs.statSync(file).size < 1024 && fs.readFileSync(file, 'utf8').startsWith('dummy ptau');
+}
+
+// Ask each contributor for some randomness in turn; without a terminal the
+// contribution uses random bytes only
+function askEntropy(name) {
+    return async () => {
+        if (!process.stdin.isTTY) return '';
+
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+        try {
+            return await rl.question(`   🎲 ${name}, type some random text and press Enter: `);
+        } finally {
+            rl.close();
+        }
+    };
+}
+
+async function main() {
+    if (!PROTOCOLS.includes(protocol)) {
+        console.error(`❌ Unknown protocol: ${protocol} (expected one of ${PROTOCOLS.join(', ')})`);
+        process.exit(1);
+    }
+    if (args.ceremony && protocol !== 'groth16') {
+        console.error(`❌ ${protocol} keys need no phase 2 ceremony, only Groth16 does`);
+        process.exit(1);
+    }
+    if (args.ceremony && (args.contributor.length === 0 || !args.beacon)) {
+        console.error('❌ A ceremony needs at least one --contributor and a --beacon (hex, e.g. a future block hash)');
+        process.exit(1);
     }
 
-    // Step 1: Compile the circuit
-    console.log('📝 Step 1: Compiling RLN circuit...');
+    let variants;
     try {
-        execSync(
-            `circom ${path.join(circuitsDir, circuitName)}.circom --r1cs --wasm --sym -o ${buildDir}`,
-            { stdio: 'inherit' }
-        );
-        console.log('✅ RLN circuit compiled successfully!\n');
+        variants = variantMatrix();
     } catch (error) {
-        console.error('❌ Circuit compilation failed:', error.message);
+        console.error(`❌ ${error.message}`);
         process.exit(1);
     }
 
-    // Step 2: Generate Powers of Tau (or use existing)
-    console.log('🔑 Step 2: Checking Powers of Tau...');
-    if (!fs.existsSync(ptauPath)) {
-        console.log('⚠️  Powers of Tau not found. For production, download from:');
-        console.log('   https://hermez.s3-eu-west-1.amazonaws.com/powersOfTau28_hez_final_16.ptau');
-        console.log('   Skipping proof generation for now...\n');
-        
-        // Create a dummy file for demonstration
-        fs.writeFileSync(ptauPath, 'dummy ptau file - replace with real one');
-        return;
+    console.log(`🔧 Starting RLN circuit compilation process (${protocol})...`);
+    console.log(`   Variants: ${variants.map(variant => variant.name).join(', ')}\n`);
+
+    // Step 1: Compile the circuit variants
+    console.log('📝 Step 1: Compiling RLN circuits...');
+    for (const variant of variants) {
+        try {
+            fs.mkdirSync(variant.dir, { recursive: true });
+            writeMainComponent(variant);
+            execSync(
+                `circom ${variant.circomPath} --r1cs --wasm --sym -o ${variant.dir}`,
+                { stdio: 'inherit' }
+            );
+            console.log(`✅ ${variant.name} compiled successfully!`);
+        } catch (error) {
+            console.error(`❌ Circuit compilation failed for ${variant.name}:`, error.message);
+            process.exit(1);
+        }
+    }
+    console.log();
+
+    // Step 2: Export the public signal layouts
+    console.log('🧭 Step 2: Exporting public signal layouts...');
+    for (const variant of variants) {
+        try {
+            const r1csInfo = await snarkjs.r1cs.info(variant.r1csPath);
+            const layout = PublicSignalLayout.fromSym(
+                fs.readFileSync(variant.symPath, 'utf8'),
+                {
+                    circuit: variant.name,
+                    nOutputs: r1csInfo.nOutputs,
+                    nPublicInputs: r1csInfo.nPubInputs
+                }
+            );
+            fs.writeFileSync(variant.layoutPath, JSON.stringify(layout, null, 2));
+            console.log(`✅ ${variant.name} public signals: ${layout.signals.join(', ')}`);
+        } catch (error) {
+            console.error(`❌ Public signal layout export failed for ${variant.name}:`, error.message);
+            process.exit(1);
+        }
+    }
+    console.log();
+
+    // Step 3: Generate Powers of Tau (or use existing)
+    console.log('🔑 Step 3: Checking Powers of Tau...');
+    if (!fs.existsSync(ptauPath) || isPlaceholderPtau(ptauPath)) {
+        try {
+            // One ptau serves every variant, so size it for the largest
+            let power = 0;
+            for (const variant of variants) {
+                power = Math.max(power, await requiredPtauPower(variant.r1csPath, protocol));
+            }
+            console.log(`⚠️  Powers of Tau not found. Generating a local one (2^${power}) for development...`);
+            console.log('   Its randomness never leaves this machine, so do not use it in production.');
+            console.log('   For production, download one from a public ceremony, e.g.:');
+            console.log('   https://hermez.s3-eu-west-1.amazonaws.com/powersOfTau28_hez_final_16.ptau');
+
+            await generatePtau(ptauPath, power);
+            console.log('✅ Local Powers of Tau generated!\n');
+        } catch (error) {
+            console.error('❌ Powers of Tau generation failed:', error.message);
+            process.exit(1);
+        }
     } else {
         console.log('ℹ️  Powers of Tau exists, continuing...\n');
     }
 
-    // Step 3: Setup Phase 2
-    console.log('🔐 Step 3: Circuit-specific setup (Phase 2)...');
-    const r1csPath = path.join(buildDir, `${circuitName}.r1cs`);
-    const zkeyPath = path.join(buildDir, `${circuitName}.zkey`);
-    
-    try {
-        await snarkjs.zKey.newZKey(r1csPath, ptauPath, zkeyPath);
-        console.log('✅ Circuit-specific setup completed!\n');
-    } catch (error) {
-        console.error('❌ Circuit setup failed:', error.message);
-        process.exit(1);
+    // Step 4: Setup Phase 2
+    console.log(`🔐 Step 4: Circuit-specific setup (${protocol})...`);
+    for (const variant of variants) {
+        try {
+            // PLONK and FFLONK keys come straight from the universal ptau, with no
+            // per-circuit ceremony; FFLONK needs nine times the points of its domain
+            if (args.ceremony) {
+                console.log(`   Ceremony for ${variant.name}:`);
+                const transcript = await runPhase2Ceremony({
+                    r1csPath: variant.r1csPath,
+                    ptauPath,
+                    zkeyPath: variant.zkeyPath,
+                    transcriptPath: variant.transcriptPath,
+                    contributors: args.contributor.map(name => ({ name, entropy: askEntropy(name) })),
+                    beacon: args.beacon,
+                    beaconIterationsExp: Number(args['beacon-iterations'])
+                });
+                for (const { index, name, hash } of transcript.contributions) {
+                    console.log(`   #${index} ${name}: ${hash}`);
+                }
+                console.log(`   Beacon: ${transcript.beacon.hash}`);
+                console.log(`   Transcript saved to ${variant.transcriptPath}`);
+            } else if (protocol === 'groth16') {
+                await snarkjs.zKey.newZKey(variant.r1csPath, ptauPath, variant.zkeyPath);
+            } else {
+                await snarkjs[protocol].setup(variant.r1csPath, ptauPath, variant.zkeyPath);
+            }
+            console.log(`✅ ${variant.name} setup completed!`);
+        } catch (error) {
+            console.error(`❌ Circuit setup failed for ${variant.name}:`, error.message);
+            process.exit(1);
+        }
     }
+    console.log();
 
-    // Step 4: Export verification key
-    console.log('📤 Step 4: Exporting verification key...');
-    const vkeyPath = path.join(buildDir, 'verification_key.json');
-    
-    try {
-        const vKey = await snarkjs.zKey.exportVerificationKey(zkeyPath);
-        fs.writeFileSync(vkeyPath, JSON.stringify(vKey, null, 2));
-        console.log('✅ Verification key exported!\n');
-    } catch (error) {
-        console.error('❌ Verification key export failed:', error.message);
-        process.exit(1);
+    // Step 5: Export verification keys
+    console.log('📤 Step 5: Exporting verification keys...');
+    for (const variant of variants) {
+        try {
+            const vKey = await snarkjs.zKey.exportVerificationKey(variant.zkeyPath);
+            fs.writeFileSync(variant.vkeyPath, JSON.stringify(vKey, null, 2));
+            console.log(`✅ ${variant.name} verification key exported!`);
+        } catch (error) {
+            console.error(`❌ Verification key export failed for ${variant.name}:`, error.message);
+            process.exit(1);
+        }
     }
+    console.log();
+
+    // Step 6: Generate Solidity verifiers
+    console.log('📜 Step 6: Generating Solidity verifier contracts...');
 
-    // Step 5: Generate Solidity verifier
-    console.log('📜 Step 5: Generating Solidity verifier contract...');
-    
     try {
         const templates = {
-            groth16: fs.readFileSync(
-                path.join(__dirname, '../node_modules/snarkjs/templates/verifier_groth16.sol.ejs'),
+            [protocol]: fs.readFileSync(
+                path.join(__dirname, `../node_modules/snarkjs/templates/verifier_${protocol}.sol.ejs`),
                 'utf8'
             )
         };
-        
-        const verifierCode = await snarkjs.zKey.exportSolidityVerifier(zkeyPath, templates);
-        
+
+        for (const variant of variants) {
+            fs.writeFileSync(variant.verifierPath, await snarkjs.zKey.exportSolidityVerifier(variant.zkeyPath, templates));
+        }
+
         // Create contracts directory if it doesn't exist
         if (!fs.existsSync(contractsDir)) {
             fs.mkdirSync(contractsDir, { recursive: true });
         }
-        
-        fs.writeFileSync(
-            path.join(contractsDir, 'RLNVerifier.sol'),
-            verifierCode
-        );
-        console.log('✅ Solidity verifier generated!\n');
+
+        // The verifiers share a contract name, so only the first variant goes to contracts/
+        fs.copyFileSync(variants[0].verifierPath, path.join(contractsDir, verifierFile));
+        console.log(`✅ Solidity verifiers generated, contracts/${verifierFile} is ${variants[0].name}!\n`);
     } catch (error) {
         console.error('❌ Solidity verifier generation failed:', error.message);
         process.exit(1);
     }
 
-    // Step 6: Generate WASM for browser use
-    console.log('🌐 Step 6: Preparing WASM for browser...');
-    const wasmSrcPath = path.join(buildDir, `${circuitName}_js`, `${circuitName}.wasm`);
-    const wasmDestPath = path.join(__dirname, '../packages/sdk/wasm', `${circuitName}.wasm`);
-    
+    // Step 7: Record what was built, then list the variants and copy their files for browser use
+    console.log('🌐 Step 7: Writing artifact manifests and preparing WASM for browser...');
+
     try {
-        // Create SDK wasm directory
-        const wasmDir = path.dirname(wasmDestPath);
-        if (!fs.existsSync(wasmDir)) {
+        for (const variant of variants) {
+            const r1cs = await snarkjs.r1cs.info(variant.r1csPath);
+            const build = {
+                circuit: variant.name,
+                parameters: { depth: variant.depth, limitBits: variant.limitBits },
+                protocol,
+                constraints: r1cs.nConstraints
+            };
+
+            await createManifest(variant.manifestPath, {
+                ...build,
+                artifacts: {
+                    r1cs: variant.r1csPath,
+                    wasm: variant.wasmPath,
+                    zkey: variant.zkeyPath,
+                    vkey: variant.vkeyPath,
+                    layout: variant.layoutPath
+                }
+            });
+
+            const wasmDir = path.join(sdkWasmDir, variant.name);
+            const copies = {
+                wasm: path.join(wasmDir, `${variant.name}.wasm`),
+                zkey: path.join(wasmDir, `${variant.name}.zkey`),
+                vkey: path.join(wasmDir, 'verification_key.json'),
+                layout: path.join(wasmDir, 'public_signals.json')
+            };
             fs.mkdirSync(wasmDir, { recursive: true });
+            for (const [kind, file] of Object.entries(copies)) {
+                fs.copyFileSync(variant[`${kind}Path`], file);
+            }
+            await createManifest(path.join(wasmDir, MANIFEST_FILE), { ...build, artifacts: copies });
+            console.log(`✅ ${variant.name} manifest: ${variant.manifestPath}`);
         }
-        
-        // Copy WASM file
-        fs.copyFileSync(wasmSrcPath, wasmDestPath);
-        
-        // Copy zkey file
-        const zkeyDestPath = path.join(wasmDir, `${circuitName}.zkey`);
-        fs.copyFileSync(zkeyPath, zkeyDestPath);
-        
-        console.log('✅ WASM files prepared for SDK!\n');
+
+        writeVariantList(variants);
+        console.log(`✅ Variants listed in ${variantsPath}, WASM files prepared for SDK!\n`);
     } catch (error) {
         console.error('❌ WASM preparation failed:', error.message);
         process.exit(1);
@@ -125,19 +354,22 @@ async function main() {
 
     // Print circuit info
     console.log('📊 RLN Circuit Information:');
-    const r1cs = await snarkjs.r1cs.info(r1csPath);
-    console.log(`   Total constraints: ${r1cs.nConstraints}`);
-    console.log(`   Public inputs: ${r1cs.nPublic}`);
-    console.log(`   Private inputs: ${r1cs.nPrvInputs}`);
-    console.log(`   Outputs: ${r1cs.nOutputs}`);
-    console.log(`   Maximum rate limit: 2^16 = ${2**16} messages per epoch\n`);
+    for (const variant of variants) {
+        const r1cs = await snarkjs.r1cs.info(variant.r1csPath);
+        console.log(`   ${variant.name}: up to ${2 ** variant.depth} members, ` +
+            `at most 2^${variant.limitBits} messages per epoch`);
+        console.log(`      Constraints: ${r1cs.nConstraints}, public inputs: ${r1cs.nPubInputs}, ` +
+            `private inputs: ${r1cs.nPrvInputs}, outputs: ${r1cs.nOutputs}`);
+    }
+    console.log();
 
     console.log('🎉 RLN compilation process completed successfully!');
     console.log('📁 Build artifacts saved to:', buildDir);
-    console.log('🌐 SDK files saved to:', path.join(__dirname, '../packages/sdk/wasm'));
+    console.log('🌐 SDK files saved to:', sdkWasmDir);
 }
 
-main().catch((error) => {
+// snarkjs keeps its curve worker threads alive, so exit explicitly
+main().then(() => process.exit(0)).catch((error) => {
     console.error('Unexpected error:', error);
     process.exit(1);
-});
\ No newline at end of file
+});
@@ -0,0 +1,44 @@
+// Deploy the RLN contracts through hardhat: npm run deploy targets the localhost
+// network (npx hardhat node). Settings come from the RLN_* variables and
+// rln.config.json like the CLI's, and the deployment file lands in the data
+// directory where the CLI's --onchain commands look for it.
+const hre = require('hardhat');
+const { RLN } = require('../packages/sdk');
+const { resolveConfig } = require('../cli/config');
+const { deployContracts, saveDeployment } = require('../cli/onchain');
+
+async function main() {
+    if (hre.network.name === 'hardhat') {
+        throw new Error('The in-process hardhat network is gone when this script exits; start npx hardhat node and use --network localhost');
+    }
+
+    const config = resolveConfig();
+    const backend = process.env.RLN_BACKEND || 'snarkjs';
+
+    // The contract starts from the empty group's root
+    const rln = new RLN({ artifactsDir: config.artifacts, backend, epochLength: config.epochLength });
+    await rln.init();
+
+    const [signer] = await hre.ethers.getSigners();
+    const deposit = process.env.RLN_DEPOSIT || '0.01';
+    const deployment = await deployContracts(signer, {
+        verifier: process.env.RLN_VERIFIER || (backend === 'mock' ? 'mock' : 'groth16'),
+        membershipDeposit: hre.ethers.parseEther(deposit),
+        epochLength: config.epochLength,
+        initialRoot: rln.getRoot()
+    });
+
+    deployment.network = hre.network.name;
+    deployment.rpcUrl = hre.network.config.url;
+    saveDeployment(config.deploymentFile, deployment);
+
+    console.log(`${deployment.verifier.contract} deployed to ${deployment.verifier.address}`);
+    console.log(`Poseidon hasher deployed to ${deployment.hasher}`);
+    console.log(`RLN deployed to ${deployment.rln} (deposit ${deposit} ETH, epoch ${deployment.epochLength}s)`);
+    console.log(`Deployment saved to ${config.deploymentFile}`);
+}
+
+main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+});
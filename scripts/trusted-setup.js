@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const snarkjs = require('snarkjs');
+
+const BEACON_ITERATIONS_EXP = 10;
+
+// Number of bits needed to write n, i.e. the smallest p with 2^p > n
+function bitLength(n) {
+    return n > 0 ? n.toString(2).length : 0;
+}
+
+// Upper bound on the PLONK gates of an r1cs: one per public signal, plus one gate
+// per constraint and one addition gate per extra signal in each linear combination
+// (signal 0 is the constant and costs no gate)
+async function plonkGateBound(r1csPath) {
+    const r1cs = await snarkjs.r1cs.exportJson(r1csPath);
+    const additions = lc => Math.max(0, Object.keys(lc).filter(signal => signal !== '0').length - 1);
+    const gates = r1cs.constraints.reduce((count, [a, b, c]) =>
+        count + 1 + additions(a) + additions(b) + additions(c), 0);
+    return r1cs.nOutputs + r1cs.nPubInputs + gates;
+}
+
+// Smallest Powers of Tau that a setup of the circuit for `protocol` accepts,
+// following the domain sizes snarkjs computes in each setup
+async function requiredPtauPower(r1csPath, protocol = 'groth16') {
+    if (protocol === 'groth16') {
+        const info = await snarkjs.r1cs.info(r1csPath);
+        return bitLength(info.nConstraints + info.nPubInputs + info.nOutputs);
+    }
+
+    const gates = await plonkGateBound(r1csPath);
+    if (protocol === 'plonk') {
+        return Math.max(3, bitLength(gates - 1));
+    }
+    if (protocol === 'fflonk') {
+        // FFLONK reads 9 * domain + 18 tau powers in G1, eight times the domain fits them
+        return Math.max(3, bitLength(gates + 1)) + 3;
+    }
+    throw new Error(`Unknown protocol: ${protocol}`);
+}
+
+// Local Powers of Tau for development builds: a fresh accumulator, one random
+// contribution and the phase 2 preparation. Its toxic waste is only as secret as
+// this machine, so production keys must use a public ceremony's ptau instead.
+async function generatePtau(ptauPath, power, options = {}) {
+    const { logger, entropy = crypto.randomBytes(32).toString('hex') } = options;
+    const curve = await snarkjs.curves.getCurveFromName('bn128');
+    const base = ptauPath.replace(/\.ptau$/, '');
+    const steps = [`${base}_0000.ptau`, `${base}_0001.ptau`];
+
+    try {
+        await snarkjs.powersOfTau.newAccumulator(curve, power, steps[0], logger);
+        await snarkjs.powersOfTau.contribute(steps[0], steps[1], 'Local development contribution', entropy, logger);
+        await snarkjs.powersOfTau.preparePhase2(steps[1], ptauPath, logger);
+    } finally {
+        await curve.terminate();
+        for (const step of steps) {
+            fs.rmSync(step, { force: true });
+        }
+    }
+    return ptauPath;
+}
+
+// Multi-party Groth16 phase 2. Starting from the circuit's initial zkey, every
+// contributor adds randomness in turn, a public beacon (for instance a future block
+// hash, as hex) seals the result and the final zkey is checked against the r1cs and
+// ptau with `zkey verify`.
+//
+//   contributors  [{ name, entropy? }], entropy being a string or async () => string,
+//                 random bytes when empty; snarkjs mixes in its own randomness either way
+//   beacon        hex string, beaconIterationsExp (default 10) sets its 2^n hash rounds
+//   workDir       keeps every intermediate zkey so others can audit the chain
+//
+// Writes the final zkey to zkeyPath and a transcript listing each contribution hash
+// to transcriptPath, and resolves to that transcript.
+async function runPhase2Ceremony(options) {
+    const {
+        r1csPath,
+        ptauPath,
+        zkeyPath,
+        transcriptPath,
+        contributors = [],
+        beacon,
+        beaconIterationsExp = BEACON_ITERATIONS_EXP,
+        workDir = path.join(path.dirname(zkeyPath), 'ceremony'),
+        logger
+    } = options;
+
+    if (contributors.length === 0) {
+        throw new Error('A phase 2 ceremony needs at least one contributor');
+    }
+    if (typeof beacon !== 'string' || !/^([0-9a-fA-F]{2})+$/.test(beacon)) {
+        throw new Error('The ceremony beacon must be a hex string');
+    }
+
+    fs.mkdirSync(workDir, { recursive: true });
+    const base = path.basename(zkeyPath, '.zkey');
+    const stage = i => path.join(workDir, `${base}_${String(i).padStart(4, '0')}.zkey`);
+    const hex = hash => Buffer.from(hash).toString('hex');
+
+    await snarkjs.zKey.newZKey(r1csPath, ptauPath, stage(0), logger);
+
+    const contributions = [];
+    for (const [i, contributor] of contributors.entries()) {
+        const entropy = (typeof contributor.entropy === 'function'
+            ? await contributor.entropy()
+            : contributor.entropy) || crypto.randomBytes(32).toString('hex');
+
+        const hash = await snarkjs.zKey.contribute(stage(i), stage(i + 1), contributor.name, entropy, logger);
+        contributions.push({ index: i + 1, name: contributor.name, hash: hex(hash) });
+    }
+
+    const beaconHash = await snarkjs.zKey.beacon(stage(contributors.length), zkeyPath, 'Final beacon',
+        beacon, beaconIterationsExp, logger);
+    if (!beaconHash) {
+        throw new Error('Applying the ceremony beacon failed');
+    }
+
+    if (!await snarkjs.zKey.verifyFromR1cs(r1csPath, ptauPath, zkeyPath, logger)) {
+        throw new Error(`zkey verify failed for ${zkeyPath}`);
+    }
+
+    const transcript = {
+        circuit: base,
+        protocol: 'groth16',
+        ptau: path.basename(ptauPath),
+        contributions,
+        beacon: { value: beacon.toLowerCase(), iterationsExp: beaconIterationsExp, hash: hex(beaconHash) },
+        verified: true,
+        createdAt: new Date().toISOString()
+    };
+    fs.writeFileSync(transcriptPath, JSON.stringify(transcript, null, 2));
+
+    return transcript;
+}
+
+module.exports = {
+    requiredPtauPower,
+    generatePtau,
+    runPhase2Ceremony
+};
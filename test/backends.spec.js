@@ -0,0 +1,87 @@
+const { expect } = require("chai");
+const path = require("path");
+const { RLN, RLNIdentity, RLNProof, MockBackend, SnarkjsBackend, SnarkjsGroth16Backend, isMockProof } = require("../packages/sdk");
+const { rejection } = require("./helpers");
+
+describe("RLN Prover Backends", function () {
+    this.timeout(30000);
+
+    it("Should use snarkjs unless told otherwise", async function() {
+        const rln = new RLN();
+        await rln.init();
+
+        expect(rln.backend).to.be.instanceOf(SnarkjsBackend);
+        expect(rln.backend.name).to.equal("snarkjs");
+        expect(await rln.backend.getProtocol()).to.equal("groth16");
+    });
+
+    it("Should not fall back to mock proofs when the zkey is missing", async function() {
+        const rln = new RLN({ zkeyPath: path.join(__dirname, "missing.zkey") });
+        await rln.init();
+        await rln.registerIdentity(new RLNIdentity());
+
+        const error = await rejection(rln.generateProof(0, "no zkey", 1n, 0));
+        expect(error.message).to.match(/Circuit artifact not found/);
+        expect(error.message).to.match(/backend: 'mock'/);
+    });
+
+    it("Should tag mock proofs and verify them only with the mock backend", async function() {
+        const mock = new RLN({ backend: "mock" });
+        await mock.init();
+        await mock.registerIdentity(new RLNIdentity());
+
+        const proof = await mock.generateProof(0, "tagged", 1n, 0);
+        expect(proof.protocol).to.equal("mock");
+        expect(isMockProof(proof)).to.be.true;
+        expect(await mock.verifyProof(proof)).to.be.true;
+
+        const production = new RLN();
+        await production.init();
+        await production.registerIdentity(mock.identities[0].identity);
+
+        expect(await production.verifyProof(proof)).to.be.false;
+        const [result] = await production.verifyProofs([proof]);
+        expect(result.reason).to.equal("MOCK_PROOF");
+    });
+
+    it("Should not accept forged mock markers", async function() {
+        const rln = new RLN({ backend: "mock" });
+        await rln.init();
+        await rln.registerIdentity(new RLNIdentity());
+
+        const proof = await rln.generateProof(0, "forged", 1n, 0);
+        const forged = new RLNProof({ ...proof.proof, protocol: "groth16" }, proof.publicSignals, rln.layout);
+
+        // The mock backend only accepts its own tag, and the pairing check rejects the placeholder points
+        expect(await rln.verifyProof(forged)).to.be.false;
+
+        const production = new SnarkjsGroth16Backend({ vkeyPath: rln.vkeyPath });
+        expect((await production.verify(forged)).valid).to.be.false;
+    });
+
+    it("Should accept custom backends and reject unknown ones", async function() {
+        const calls = [];
+        const backend = {
+            name: "recording",
+            async prove(witness, options) {
+                calls.push(witness);
+                return new MockBackend({ layout: rln.layout }).prove(witness, options);
+            },
+            async verify(proof) {
+                return { valid: proof.publicSignals.length === 5, reason: "VALID" };
+            }
+        };
+
+        const rln = new RLN({ backend });
+        await rln.init();
+        await rln.registerIdentity(new RLNIdentity());
+
+        const proof = await rln.generateProof(0, "custom", 1n, 0);
+        expect(calls).to.have.length(1);
+        expect(await rln.verifyProof(proof)).to.be.true;
+
+        const unknown = new RLN({ backend: "plonk-someday" });
+        expect((await rejection(unknown.init())).message).to.match(/Unknown prover backend/);
+        expect((await rejection(new RLN({ backend: {} }).init())).message).to.match(/must implement/);
+    });
+});
@@ -0,0 +1,147 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { pathToFileURL } = require("url");
+const { webcrypto } = require("crypto");
+const { JSDOM } = require("jsdom");
+const webpack = require("webpack");
+const Worker = require("web-worker");
+const configs = require("../webpack.config.js");
+
+const BUILD_DIR = path.join(__dirname, "../build");
+const groth16 = require("./fixtures/multiplier-groth16.json");
+const { rejection } = require("./helpers");
+
+// Build both bundles the way npm run build:sdk does, unminified to keep the test quick
+function buildBundles(outputPath) {
+    const compiler = webpack(configs.map(config => ({
+        ...config,
+        mode: "development",
+        devtool: false,
+        output: { ...config.output, path: outputPath }
+    })));
+
+    return new Promise((resolve, reject) => {
+        compiler.run((error, stats) => {
+            compiler.close(() => {});
+            if (error) return reject(error);
+            if (stats.hasErrors()) return reject(new Error(stats.toString("errors-only")));
+            resolve();
+        });
+    });
+}
+
+describe("Browser Bundles", function () {
+    this.timeout(300000);
+
+    let dir;
+    let window;
+    let sdk;
+    let server;
+    let baseUrl;
+
+    before(async function() {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "rln-bundle-"));
+        await buildBundles(dir);
+
+        window = new JSDOM("<!doctype html><html><body></body></html>", {
+            runScripts: "outside-only",
+            url: "http://localhost/"
+        }).window;
+
+        // Web APIs every browser has but jsdom leaves out
+        for (const [name, value] of Object.entries({ TextEncoder, TextDecoder, fetch, Worker, crypto: webcrypto })) {
+            Object.defineProperty(window, name, { value, configurable: true, writable: true });
+        }
+        // jsdom has Blob but no URL.createObjectURL, and web-worker only starts data:
+        // URLs, which is what snarkjs hands its curve workers where there is no Blob
+        window.Blob = undefined;
+        window.eval(fs.readFileSync(path.join(dir, "rln-sdk.umd.js"), "utf8"));
+        sdk = window.RLNSDK;
+
+        // Serves the groth16 fixture key, and nothing else
+        server = http.createServer((request, response) => {
+            if (request.url === "/keys/verification_key.json") {
+                response.setHeader("Content-Type", "application/json");
+                response.end(JSON.stringify(groth16.vkey));
+            } else {
+                response.statusCode = 404;
+                response.end();
+            }
+        });
+        await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}/keys/`;
+    });
+
+    after(function() {
+        if (server) server.close();
+        if (window) window.close();
+        if (dir) fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("Should load the UMD bundle without any Node.js globals", function() {
+        expect(window.eval("typeof require")).to.equal("undefined");
+        expect(window.eval("typeof process")).to.equal("undefined");
+        expect(window.eval("typeof Buffer")).to.equal("undefined");
+
+        for (const name of ["RLN", "RLNIdentity", "RLNProof", "RLNVerifier", "UrlLoader", "MemoryLoader"]) {
+            expect(sdk[name], name).to.be.a("function");
+        }
+        expect(() => new sdk.FileLoader()).to.throw(/only available in Node\.js.*UrlLoader/);
+        expect(() => new sdk.RLN()).to.throw(/only available in Node\.js/);
+    });
+
+    it("Should prove and verify from artifacts in a MemoryLoader", async function() {
+        const read = file => new Uint8Array(fs.readFileSync(path.join(BUILD_DIR, file)));
+        const loader = new sdk.MemoryLoader({
+            "variants.json": read("variants.json"),
+            "rln_20_16/manifest.json": read("rln_20_16/manifest.json"),
+            "rln_20_16/public_signals.json": read("rln_20_16/public_signals.json"),
+            "rln_20_16/verification_key.json": read("rln_20_16/verification_key.json"),
+            "rln_20_16/rln_20_16_js/rln_20_16.wasm": read("rln_20_16/rln_20_16_js/rln_20_16.wasm")
+        });
+
+        // Variant lookup, manifest check and layout all go through the loader
+        const rln = new sdk.RLN({ loader, backend: "mock" });
+        await rln.init();
+        expect(rln.variant.name).to.equal("rln_20_16");
+
+        await rln.registerIdentity(new sdk.RLNIdentity());
+        const proof = await rln.generateProof(0, "hello from the browser", 1n, 0);
+        expect(await rln.verifyProof(sdk.RLNProof.fromBase64Url(proof.toBase64Url(), rln.layout))).to.be.true;
+
+        loader.set("rln_20_16/public_signals.json", "{}");
+        const error = await rejection(new sdk.RLN({ loader, backend: "mock" }).init());
+        expect(error).to.be.instanceOf(sdk.ArtifactMismatchError);
+        expect(error.artifact).to.equal("layout");
+    });
+
+    it("Should verify a Groth16 proof with a key fetched by a UrlLoader", async function() {
+        const loader = new sdk.UrlLoader(baseUrl);
+        const verifier = new sdk.RLNVerifier({ vkeyPath: "verification_key.json", loader });
+
+        expect(await verifier.verify(groth16)).to.deep.equal({ valid: true, reason: "VALID" });
+        expect((await verifier.verify({ ...groth16, publicSignals: ["78"] })).valid).to.be.false;
+
+        const missing = new sdk.RLNVerifier({ vkeyPath: "missing.json", loader });
+        expect((await rejection(missing.verify(groth16))).message).to.match(/Verification key not found at missing\.json/);
+    });
+
+    it("Should ship the same API as an ES module", async function() {
+        const modulePath = path.join(dir, "rln-sdk.mjs");
+        fs.copyFileSync(path.join(dir, "rln-sdk.esm.js"), modulePath);
+
+        // The browser build of snarkjs expects a Worker global as soon as it loads
+        globalThis.Worker = Worker;
+        let esm;
+        try {
+            esm = await import(pathToFileURL(modulePath).href);
+        } finally {
+            delete globalThis.Worker;
+        }
+        expect(esm.default.RLN).to.be.a("function");
+        expect(Object.keys(esm).filter(name => name !== "default").sort()).to.deep.equal(Object.keys(sdk).sort());
+    });
+});
@@ -0,0 +1,107 @@
+const { expect } = require("chai");
+const { RLN, RLNIdentity, RLNCircuit } = require("../packages/sdk");
+const { CircuitHarness } = require("../scripts/circuit-harness");
+const { rejection } = require("./helpers");
+
+describe("RLN Circuit Constraints", function () {
+    this.timeout(30000);
+
+    const EXTERNAL_NULLIFIER = 424242n;
+
+    let harness;
+    let circuit;
+    let rln;
+
+    before(async function() {
+        harness = await CircuitHarness.load();
+        circuit = await RLNCircuit.build();
+
+        rln = new RLN({ backend: "mock" });
+        await rln.init();
+        await rln.registerIdentity(new RLNIdentity(), { messageLimit: 3 });
+        await rln.registerIdentity(new RLNIdentity(), { messageLimit: 3 });
+    });
+
+    function inputs(index = 1, overrides = {}) {
+        const { identity, messageLimit } = rln.identities[index];
+        const { pathElements, pathIndices } = rln.tree.getProof(index);
+        return {
+            identitySecret: identity.secret,
+            userMessageLimit: messageLimit,
+            messageId: 0,
+            pathElements: pathElements.map(e => e.toString()),
+            identityPathIndex: pathIndices,
+            x: 1234,
+            externalNullifier: EXTERNAL_NULLIFIER,
+            ...overrides
+        };
+    }
+
+    it("Should satisfy every constraint for a registered member", async function() {
+        const input = inputs(1, { messageId: 2 });
+        const result = await harness.calculate(input, { root: rln.getRoot() });
+        const expected = circuit.calculateOutputs(input);
+
+        expect(result.satisfied, result.error).to.be.true;
+        expect(result.outputs).to.deep.equal({
+            y: expected.y,
+            root: expected.root,
+            nullifier: expected.nullifier
+        });
+    });
+
+    it("Should expose named signals through the sym file", async function() {
+        const result = await harness.calculate(inputs(1));
+
+        expect(result.signal("main.root")).to.equal(BigInt(rln.getRoot()));
+        expect(result.signal("identityPathIndex[0]")).to.equal(1n);
+        expect(result.signal("rateCommitment")).to.equal(rln.tree.leaves[1]);
+        expect(() => result.signal("nope")).to.throw(/Unknown signal/);
+        expect(() => result.signal("merkleProof.root")).to.throw(/optimized away/);
+    });
+
+    it("Should reject a non-binary path index", async function() {
+        const input = inputs(1);
+        input.identityPathIndex = [2, ...input.identityPathIndex.slice(1)];
+
+        const result = await harness.calculate(input);
+        expect(result.satisfied).to.be.false;
+        expect(result.error).to.match(/Assert Failed/);
+        expect(result.witness).to.be.null;
+    });
+
+    it("Should reject a messageId at or above the message limit", async function() {
+        for (const messageId of [3, 4, 2 ** 16]) {
+            const result = await harness.calculate(inputs(1, { messageId }));
+            expect(result.satisfied, `messageId ${messageId}`).to.be.false;
+        }
+        expect((await harness.calculate(inputs(1, { messageId: 2 }))).satisfied).to.be.true;
+    });
+
+    it("Should reject a wrong path element against the tree root", async function() {
+        const input = inputs(1);
+        input.pathElements = ["12345", ...input.pathElements.slice(1)];
+
+        const result = await harness.calculate(input, { root: rln.getRoot() });
+        expect(result.satisfied).to.be.false;
+        expect(result.error).to.match(/Signal root is \d+, expected/);
+        expect(result.outputs.root).to.not.equal(BigInt(rln.getRoot()));
+    });
+
+    it("Should find the constraint a tampered witness breaks", async function() {
+        const { witness } = await harness.calculate(inputs(0));
+        expect(harness.checkConstraints(witness)).to.equal(-1);
+
+        // Claim a different nullifier for the same secret and message
+        const tampered = [...witness];
+        tampered[3] += 1n;
+        expect(harness.checkConstraints(tampered)).to.be.at.least(0);
+    });
+
+    it("Should load the build listed for a depth and limit bit size", async function() {
+        const selected = await CircuitHarness.load({ depth: 20, limitBits: 16 });
+        expect(selected.outputNames).to.deep.equal(harness.outputNames);
+
+        expect((await rejection(CircuitHarness.load({ depth: 7 }))).message).to.match(/No circuit variant for depth 7/);
+    });
+});
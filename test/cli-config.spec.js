@@ -0,0 +1,76 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { resolveConfig, DEFAULTS } = require("../cli/config");
+
+describe("CLI Configuration", function () {
+    let cwd;
+
+    beforeEach(function() {
+        cwd = fs.mkdtempSync(path.join(os.tmpdir(), "rln-cli-"));
+    });
+
+    afterEach(function() {
+        fs.rmSync(cwd, { recursive: true, force: true });
+    });
+
+    function writeConfig(file, values) {
+        fs.mkdirSync(path.dirname(path.join(cwd, file)), { recursive: true });
+        fs.writeFileSync(path.join(cwd, file), JSON.stringify(values));
+    }
+
+    it("Should fall back to the defaults", function() {
+        const config = resolveConfig({ env: {}, cwd });
+
+        expect(config).to.include({ ...DEFAULTS, configFile: null });
+        expect(config.identitiesFile).to.equal(path.join(DEFAULTS.dataDir, "identities.json"));
+        expect(config.messagesFile).to.equal(path.join(DEFAULTS.dataDir, "messages.json"));
+        expect(Object.values(config.sources)).to.deep.equal(["default", "default", "default", "default", "default"]);
+    });
+
+    it("Should prefer flags, then the environment, then the config file", function() {
+        writeConfig("rln.config.json", { dataDir: "file-data", appId: "file-app", epochLength: 60, artifacts: "file-build" });
+        const env = { RLN_APP_ID: "env-app", RLN_EPOCH_LENGTH: "120", RLN_ARTIFACTS: "" };
+
+        const config = resolveConfig({ options: { appId: "flag-app" }, env, cwd });
+
+        expect(config.appId).to.equal("flag-app");
+        expect(config.epochLength).to.equal(120);
+        expect(config.dataDir).to.equal(path.join(cwd, "file-data"));
+        // Empty variables count as unset
+        expect(config.artifacts).to.equal(path.join(cwd, "file-build"));
+        expect(config.sources).to.deep.equal({
+            dataDir: path.join(cwd, "rln.config.json"),
+            appId: "--app-id",
+            epochLength: "RLN_EPOCH_LENGTH",
+            artifacts: path.join(cwd, "rln.config.json"),
+            rpcUrl: "default"
+        });
+    });
+
+    it("Should resolve paths against the file that set them", function() {
+        writeConfig("apps/testnet/rln.json", { dataDir: "data" });
+
+        const fromFile = resolveConfig({ env: { RLN_CONFIG: "apps/testnet/rln.json" }, cwd });
+        expect(fromFile.configFile).to.equal(path.join(cwd, "apps/testnet/rln.json"));
+        expect(fromFile.dataDir).to.equal(path.join(cwd, "apps/testnet/data"));
+        expect(fromFile.messagesFile).to.equal(path.join(cwd, "apps/testnet/data/messages.json"));
+
+        const fromFlag = resolveConfig({ options: { config: "apps/testnet/rln.json", dataDir: "mainnet" }, env: {}, cwd });
+        expect(fromFlag.dataDir).to.equal(path.join(cwd, "mainnet"));
+    });
+
+    it("Should reject bad values and name where they came from", function() {
+        expect(() => resolveConfig({ options: { epochLength: "hourly" }, env: {}, cwd }))
+            .to.throw('Invalid epoch-length "hourly" from --epoch-length');
+        expect(() => resolveConfig({ env: { RLN_EPOCH_LENGTH: "0" }, cwd })).to.throw(/from RLN_EPOCH_LENGTH/);
+        expect(() => resolveConfig({ options: { config: "missing.json" }, env: {}, cwd })).to.throw(/Config file not found/);
+
+        writeConfig("rln.config.json", { appId: 42 });
+        expect(() => resolveConfig({ env: {}, cwd })).to.throw(/Invalid app-id 42 from .*rln\.config\.json/);
+
+        writeConfig("rln.config.json", { epoch: 60 });
+        expect(() => resolveConfig({ env: {}, cwd })).to.throw(/Unknown setting "epoch"/);
+    });
+});
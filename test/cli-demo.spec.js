@@ -0,0 +1,113 @@
+const { expect } = require("chai");
+const { execFileSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const CLI = path.join(__dirname, "../cli/demo.js");
+
+describe("CLI Demo Commands", function () {
+    this.timeout(60000);
+
+    let dataDir;
+
+    // Run the CLI on the mock backend, returning its output
+    function run(...args) {
+        return execFileSync("node", [CLI, ...args], {
+            env: { ...process.env, RLN_BACKEND: "mock", RLN_PASSWORD: "test", RLN_DATA_DIR: dataDir },
+            encoding: "utf8",
+            stdio: ["ignore", "pipe", "pipe"]
+        });
+    }
+
+    beforeEach(function() {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "rln-cli-"));
+        for (const name of ["alice", "bob", "eve"]) {
+            run("identity", "create", "-n", name);
+        }
+        run("post-message", "-i", "eve", "-m", "first", "-e", "100");
+        run("post-message", "-i", "eve", "-m", "second", "-e", "100", "--message-id", "0", "--allow-double-signal");
+    });
+
+    afterEach(function() {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    // Run the CLI expecting it to fail, returning the error with its output
+    function failure(...args) {
+        try {
+            run(...args);
+        } catch (error) {
+            return error;
+        }
+        throw new Error(`rln-demo ${args.join(" ")} did not fail`);
+    }
+
+    it("Should refuse message IDs that are not non-negative integers", function() {
+        for (const value of ["1.5", "2abc", "-1"]) {
+            expect(failure("post-message", "-i", "bob", "-m", "slot", `--message-id=${value}`).stderr)
+                .to.include(`The message ID must be a non-negative integer: ${value}`);
+        }
+        expect(JSON.parse(fs.readFileSync(path.join(dataDir, "messages.json"), "utf8"))).to.have.length(2);
+    });
+
+    it("Should refuse to remove identities stored messages were proven after", function() {
+        const refused = failure("identity", "remove", "alice");
+        expect(refused.stderr).to.include("2 stored message(s) were proven after alice joined");
+        expect(run("list-identities")).to.include("alice");
+        expect(run("verify-message", "-i", "0")).to.include("Message proof is cryptographically valid");
+
+        expect(run("identity", "remove", "alice", "--force")).to.include("2 stored message(s) no longer pass verify-message");
+        expect(run("verify-message", "-i", "0")).to.not.include("Message proof is cryptographically valid");
+        expect(run("slash")).to.include("Matches registered identity [1] eve");
+
+        // Those messages are lost to verify-message already, so they no longer block removals
+        run("identity", "remove", "bob");
+    });
+
+    it("Should remove an identity that joined after every stored message", function() {
+        run("identity", "create", "-n", "zed");
+
+        // The roots the messages were proven against stay the same
+        expect(run("identity", "remove", "zed")).to.not.include("no longer pass");
+        expect(run("verify-message", "-i", "0")).to.include("Message proof is cryptographically valid");
+        expect(run("verify-message", "-i", "1")).to.include("Message proof is cryptographically valid");
+    });
+
+    it("Should only count messages proven after a removed identity joined", function() {
+        run("identity", "create", "-n", "dave");
+        run("post-message", "-i", "dave", "-m", "third", "-e", "101");
+        run("identity", "create", "-n", "frank");
+
+        expect(failure("identity", "remove", "dave").stderr).to.include("1 stored message(s) were proven after dave joined");
+
+        expect(run("identity", "remove", "dave", "--force")).to.include("1 stored message(s) no longer pass verify-message");
+        expect(run("verify-message", "-i", "0")).to.include("Message proof is cryptographically valid");
+        expect(run("verify-message", "-i", "1")).to.include("Message proof is cryptographically valid");
+        expect(run("verify-message", "-i", "2")).to.not.include("Message proof is cryptographically valid");
+    });
+
+    it("Should slash double signals from before the group changed", function() {
+        run("identity", "remove", "alice", "--force");
+
+        // The stored proofs are for a root the group no longer has
+        const output = run("slash");
+        expect(output).to.include("Matches registered identity [1] eve");
+
+        const files = fs.readdirSync(path.join(dataDir, "evidence"));
+        expect(files).to.have.length(1);
+        expect(run("verify-evidence", path.join(dataDir, "evidence", files[0]))).to.include("Evidence verified");
+    });
+
+    it("Should not report a clean log when proofs do not verify", function() {
+        const file = path.join(dataDir, "messages.json");
+        const messages = JSON.parse(fs.readFileSync(file, "utf8"));
+        messages[0].proof.protocol = "groth16";
+        fs.writeFileSync(file, JSON.stringify(messages));
+
+        const failed = failure("slash");
+        expect(failed.status).to.equal(1);
+        expect(failed.stdout).to.include("1 of 2 messages could not be verified");
+        expect(failed.stdout).to.not.include("No double signaling found");
+    });
+});
@@ -0,0 +1,106 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { RLNIdentity } = require("../packages/sdk");
+const { IdentityStore } = require("../cli/identities");
+const { rejection } = require("./helpers");
+
+describe("CLI Identity Store", function () {
+    this.timeout(30000);
+
+    const PASSWORD = "correct horse";
+    const getPassword = async () => PASSWORD;
+
+    let dir;
+    let file;
+
+    beforeEach(function() {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "rln-identities-"));
+        file = path.join(dir, "data", "identities.json");
+    });
+
+    afterEach(function() {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    async function storeWith(...names) {
+        const store = new IdentityStore(file);
+        for (const name of names) {
+            await store.add(name, RLNIdentity.fromSeed(name));
+        }
+        return store;
+    }
+
+    it("Should keep named identities with their own message limits", async function() {
+        const store = await storeWith("alice");
+        await store.add("bob", RLNIdentity.fromSeed("bob"), 4);
+        store.save(PASSWORD);
+
+        const loaded = await IdentityStore.load(file, getPassword);
+        expect(loaded.list().map(({ name, index, messageLimit }) => ({ name, index, messageLimit }))).to.deep.equal([
+            { name: "alice", index: 0, messageLimit: 1 },
+            { name: "bob", index: 1, messageLimit: 4 }
+        ]);
+        expect(loaded.get("bob").identity.secret).to.equal(RLNIdentity.fromSeed("bob").secret);
+        expect(() => loaded.get("carol")).to.throw('No identity named "carol"');
+
+        // Nothing to decrypt, no password needed
+        const empty = await IdentityStore.load(path.join(dir, "none.json"), () => { throw new Error("asked"); });
+        expect(empty.list()).to.deep.equal([]);
+    });
+
+    it("Should refuse duplicate names and secrets", async function() {
+        const store = await storeWith("alice");
+
+        expect((await rejection(store.add("alice", new RLNIdentity()))).message).to.match(/named "alice" already exists/);
+        expect((await rejection(store.add("alias", RLNIdentity.fromSeed("alice")))).message)
+            .to.match(/already stored as "alice"/);
+        expect((await rejection(store.add("", new RLNIdentity()))).message).to.match(/needs a name/);
+        expect((await rejection(store.add("zero", new RLNIdentity(), 0))).message).to.match(/positive integer/);
+    });
+
+    it("Should recompute tree indices after a removal", async function() {
+        const store = await storeWith("alice", "bob", "carol");
+
+        expect(store.remove("alice").name).to.equal("alice");
+        expect(store.list().map(item => [item.name, item.index])).to.deep.equal([["bob", 0], ["carol", 1]]);
+
+        store.save(PASSWORD);
+        const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+        expect(saved.map(item => item.index)).to.deep.equal([0, 1]);
+    });
+
+    it("Should export and import identities", async function() {
+        const store = await storeWith("alice");
+        const secret = store.get("alice").identity.secret;
+
+        const encrypted = await store.export("alice", PASSWORD);
+        expect(JSON.stringify(encrypted)).to.not.include(secret);
+        const imported = await IdentityStore.parseExport(JSON.parse(JSON.stringify(encrypted)), PASSWORD);
+        expect(imported.name).to.equal("alice");
+        expect(imported.messageLimit).to.equal(1);
+        expect(imported.identity.secret).to.equal(secret);
+
+        const plaintext = await store.export("alice", null);
+        expect(plaintext.secret).to.equal(secret);
+        expect((await IdentityStore.parseExport(plaintext)).identity.secret).to.equal(secret);
+
+        const forged = { ...plaintext, secret: RLNIdentity.fromSeed("mallory").secret };
+        expect((await rejection(IdentityStore.parseExport(forged))).message).to.match(/does not match its commitment/);
+        expect((await rejection(IdentityStore.parseExport({ type: "Other" }))).message).to.match(/Not an RLNIdentityExport/);
+    });
+
+    it("Should read identity files written before per-identity limits", async function() {
+        const legacy = new RLNIdentity();
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify([
+            { name: "Alice", index: 0, identity: { type: "RLNIdentity", version: "1.0", secret: legacy.secret } }
+        ]));
+
+        const store = await IdentityStore.load(file, getPassword);
+        expect(store.migrated).to.be.true;
+        expect(store.get("Alice")).to.include({ index: 0, messageLimit: 1 });
+        expect(store.get("Alice").identity.secret).to.equal(legacy.secret);
+    });
+});
@@ -0,0 +1,73 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { MessageSlots } = require("../cli/slots");
+
+describe("CLI Message Slots", function () {
+    let dir;
+    let file;
+
+    beforeEach(function() {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "rln-slots-"));
+        file = path.join(dir, "data", "slots.json");
+    });
+
+    afterEach(function() {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("Should hand out free slots until the limit is used up", function() {
+        const slots = MessageSlots.load(file);
+        const request = { externalNullifier: 111n, identity: "c0", messageLimit: 2 };
+
+        for (const expected of [0, 1]) {
+            const { messageId, doubleSignal } = slots.assign(request);
+            expect(messageId).to.equal(expected);
+            expect(doubleSignal).to.be.false;
+            slots.use(request.externalNullifier, request.identity, messageId, { epoch: 7, appId: "forum" });
+        }
+
+        expect(() => slots.assign(request)).to.throw(/All 2 message slot\(s\) of this identity are used/);
+
+        // Other identities and epochs have their own slots
+        expect(slots.assign({ ...request, identity: "c1" }).messageId).to.equal(0);
+        expect(slots.assign({ ...request, externalNullifier: 222n }).messageId).to.equal(0);
+    });
+
+    it("Should keep used slots across runs", function() {
+        const slots = MessageSlots.load(file);
+        slots.use("111", "c3", 1, { epoch: 7, appId: "forum" });
+        slots.save();
+
+        const reloaded = MessageSlots.load(file);
+        expect(reloaded.used(111n, "c3")).to.deep.equal([1]);
+        expect(reloaded.records["111"]).to.include({ epoch: 7, appId: "forum" });
+        expect(reloaded.assign({ externalNullifier: 111n, identity: "c3", messageLimit: 2 }).messageId).to.equal(0);
+    });
+
+    it("Should take an explicit message ID within the limit", function() {
+        const slots = MessageSlots.load(file);
+        const request = { externalNullifier: 111n, identity: "c0", messageLimit: 4 };
+
+        expect(slots.assign({ ...request, messageId: 3 })).to.deep.equal({ messageId: 3, doubleSignal: false });
+        expect(() => slots.assign({ ...request, messageId: 4 })).to.throw(/between 0 and 3/);
+        expect(() => slots.assign({ ...request, messageId: NaN })).to.throw(/between 0 and 3/);
+    });
+
+    it("Should double-signal only when allowed", function() {
+        const slots = MessageSlots.load(file);
+        const request = { externalNullifier: 111n, identity: "c0", messageLimit: 1 };
+        slots.use(111n, "c0", 0);
+
+        expect(() => slots.assign({ ...request, messageId: 0 })).to.throw(/slot 0 of this identity is already used/);
+        expect(slots.assign({ ...request, messageId: 0, allowDoubleSignal: true }))
+            .to.deep.equal({ messageId: 0, doubleSignal: true });
+        expect(slots.assign({ ...request, allowDoubleSignal: true }))
+            .to.deep.equal({ messageId: 0, doubleSignal: true });
+
+        // Recording the reused slot does not list it twice
+        slots.use(111n, "c0", 0);
+        expect(slots.used(111n, "c0")).to.deep.equal([0]);
+    });
+});
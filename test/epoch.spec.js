@@ -0,0 +1,100 @@
+const { expect } = require("chai");
+const { RLN, RLNIdentity, EpochManager } = require("../packages/sdk");
+
+const HOUR = 3600 * 1000;
+
+describe("RLN Epoch Manager", function () {
+    this.timeout(30000);
+
+    let now;
+    let epochs;
+
+    beforeEach(function() {
+        now = 1000 * HOUR + 10;
+        epochs = new EpochManager({ epochLength: 3600, clock: () => now });
+    });
+
+    it("Should map timestamps to epochs and back", function() {
+        expect(epochs.getCurrentEpoch()).to.equal(1000);
+        expect(epochs.getEpoch(1001 * HOUR - 1)).to.equal(1000);
+        expect(epochs.getEpochStart(1000)).to.equal(1000 * HOUR);
+        expect(epochs.getEpochEnd(1000)).to.equal(1001 * HOUR - 1);
+        expect(epochs.getEpoch(now, 60)).to.equal(60000);
+
+        now += HOUR;
+        expect(epochs.getCurrentEpoch()).to.equal(1001);
+    });
+
+    it("Should match the external nullifiers RLN has always used", async function() {
+        const rln = new RLN();
+        await rln.init();
+
+        const expected = rln.circuit.hash([
+            1000,
+            rln.circuit.hash([BigInt("0x" + Buffer.from("rln-demo").toString("hex"))])
+        ]).toString();
+
+        expect(await epochs.getExternalNullifier(1000, "rln-demo")).to.equal(expected);
+        expect(await rln.calculateExternalNullifier(1000, "rln-demo")).to.equal(expected);
+    });
+
+    it("Should cache external nullifiers per epoch and app", async function() {
+        const small = new EpochManager({ cacheSize: 2 });
+
+        const first = await small.getExternalNullifier(1, "app");
+        expect(small.cache.get("1:app")).to.equal(first);
+        expect(await small.getExternalNullifier(1, "other")).to.not.equal(first);
+
+        await small.getExternalNullifier(2, "app");
+        expect(small.cache.size).to.equal(2);
+        expect(small.cache.has("1:app")).to.be.false;
+    });
+
+    it("Should accept neighbouring epochs within the tolerance", async function() {
+        const previous = await epochs.getExternalNullifier(999, "app");
+        const next = await epochs.getExternalNullifier(1001, "app");
+        const old = await epochs.getExternalNullifier(998, "app");
+
+        expect(await epochs.checkExternalNullifier(previous, "app"))
+            .to.deep.equal({ valid: true, epoch: 999, offset: -1 });
+        expect((await epochs.checkExternalNullifier(next, "app")).offset).to.equal(1);
+        expect((await epochs.checkExternalNullifier(old, "app")).valid).to.be.false;
+        expect((await epochs.checkExternalNullifier(old, "app", 2)).valid).to.be.true;
+        expect((await epochs.checkExternalNullifier(previous, "other-app")).valid).to.be.false;
+
+        const strict = new EpochManager({ tolerance: 0, clock: () => now });
+        expect((await strict.checkExternalNullifier(previous, "app")).valid).to.be.false;
+    });
+
+    it("Should validate its options", function() {
+        expect(() => new EpochManager({ epochLength: 1.5 })).to.throw(/epochLength/);
+        expect(() => new EpochManager({ tolerance: -1 })).to.throw(/tolerance/);
+    });
+
+    it("Should reject replayed proofs from old epochs", async function() {
+        const rln = new RLN({ backend: "mock", appId: "app", epochLength: 3600, clock: () => now });
+        await rln.init();
+        await rln.registerIdentity(new RLNIdentity());
+
+        const externalNullifier = await rln.calculateExternalNullifier(rln.getCurrentEpoch(), "app");
+        const proof = await rln.generateProof(0, "hello", externalNullifier, 0);
+        expect(await rln.verifyProof(proof)).to.be.true;
+
+        // A relay whose clock runs a little ahead still accepts it
+        now += HOUR;
+        expect(await rln.verifyProof(proof)).to.be.true;
+
+        now += HOUR;
+        let error;
+        try {
+            await rln.verifyProof(proof);
+        } catch (e) {
+            error = e;
+        }
+        expect(error.code).to.equal("WRONG_EPOCH");
+
+        const [result] = await rln.verifyProofs([proof]);
+        expect(result.reason).to.equal("WRONG_EPOCH");
+        expect((await rln.checkExternalNullifier(externalNullifier)).offset).to.equal(null);
+    });
+});
@@ -0,0 +1,137 @@
+const { expect } = require("chai");
+const { RLN, RLNIdentity, MockBackend } = require("../packages/sdk");
+
+describe("RLN Events and Logging", function () {
+    this.timeout(30000);
+
+    // Every event an instance emits, in order
+    function record(rln) {
+        const events = [];
+        for (const name of ["artifacts", "mock", "init", "witness", "proof", "verify"]) {
+            rln.on(name, details => events.push({ name, details }));
+        }
+        return events;
+    }
+
+    it("Should print nothing without a logger", async function() {
+        const printed = [];
+        const originals = {};
+        for (const level of ["log", "info", "warn", "error", "debug"]) {
+            originals[level] = console[level];
+            console[level] = (...args) => printed.push(args);
+        }
+
+        try {
+            const rln = new RLN({ backend: "mock" });
+            await rln.init();
+            await rln.registerIdentity(new RLNIdentity());
+            await rln.verifyProof(await rln.generateProof(0, "quiet", 1n, 0));
+        } finally {
+            Object.assign(console, originals);
+        }
+
+        expect(printed).to.deep.equal([]);
+    });
+
+    it("Should emit timed lifecycle events with identifiers", async function() {
+        const rln = new RLN({ backend: "mock" });
+        const events = record(rln);
+
+        await rln.init();
+        expect(events.map(event => event.name)).to.deep.equal(["artifacts", "mock", "init"]);
+
+        const [artifacts, mock, init] = events.map(event => event.details);
+        expect(artifacts.variant).to.equal("rln_20_16");
+        expect(artifacts.verified).to.be.true;
+        expect(artifacts.layoutPath).to.equal(rln.layoutPath);
+        expect(mock).to.deep.equal({ backend: "mock" });
+        expect(init).to.include({ variant: "rln_20_16", backend: "mock", merkleTreeHeight: 20, limitBits: 16 });
+        expect(init.durationMs).to.be.at.least(artifacts.durationMs);
+
+        await rln.registerIdentity(new RLNIdentity());
+        events.length = 0;
+        const proof = await rln.generateProof(0, "timed", 7n, 0);
+        const named = proof.getPublicSignals();
+
+        expect(events.map(event => event.name)).to.deep.equal(["witness", "proof"]);
+        const [witness, proved] = events.map(event => event.details);
+        const ids = { identityIndex: 0, messageId: "0", externalNullifier: "7", nullifier: named.nullifier };
+        expect(witness).to.include(ids);
+        expect(proved).to.include({ ...ids, backend: "mock", protocol: "mock" });
+
+        events.length = 0;
+        await rln.verifyProof(proof);
+        await rln.verifyProofs([proof, { proof: proof.proof, publicSignals: ["1"] }]);
+
+        expect(events.map(event => event.name)).to.deep.equal(["verify", "verify", "verify"]);
+        // Batch results are reported as each proof finishes
+        const [single, ...batch] = events.map(event => event.details);
+        expect(single).to.include({ valid: true, reason: "VALID", nullifier: named.nullifier, externalNullifier: "7" });
+        expect(batch.map(result => result.reason).sort()).to.deep.equal(["MALFORMED", "VALID"]);
+        expect(batch.find(result => !result.valid).nullifier).to.be.undefined;
+
+        for (const details of [artifacts, init, witness, proved, single, ...batch]) {
+            expect(details.durationMs).to.be.a("number").and.at.least(0);
+        }
+    });
+
+    it("Should log through an injected logger", async function() {
+        const lines = [];
+        const logger = {
+            info: (message, details) => lines.push(["info", message, details.event]),
+            warn: (message, details) => lines.push(["warn", message, details.event])
+        };
+
+        const rln = new RLN({ backend: "mock", logger });
+        await rln.init();
+        await rln.registerIdentity(new RLNIdentity());
+        await rln.generateProof(0, "logged", 1n, 0);
+
+        // Levels the logger lacks are dropped; proofs are logged at debug
+        expect(lines).to.deep.equal([
+            ["warn", "Using the mock prover backend - proofs are placeholders, for testing only", "mock"],
+            ["info", "RLN initialized", "init"]
+        ]);
+    });
+
+    it("Should time the witness and proving stages the backend reports", async function() {
+        const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+        let stages = true;
+        let mock;
+        const backend = {
+            async prove(witness, { onProgress, expected }) {
+                if (stages) onProgress({ stage: "witness" });
+                await sleep(50);
+                if (stages) onProgress({ stage: "proving" });
+                await sleep(100);
+                if (stages) onProgress({ stage: "proving", message: "still proving" });
+                return mock.prove(witness, { expected });
+            },
+            verify: proof => mock.verify(proof)
+        };
+
+        const rln = new RLN({ backend });
+        await rln.init();
+        mock = new MockBackend({ layout: rln.layout });
+        await rln.registerIdentity(new RLNIdentity());
+        const events = record(rln);
+        const progress = [];
+
+        await rln.generateProof(0, "staged", 1n, 0, { onProgress: event => progress.push(event.stage) });
+
+        expect(progress).to.deep.equal(["witness", "proving", "proving"]);
+        expect(events.map(event => event.name)).to.deep.equal(["witness", "proof"]);
+        const [witness, proved] = events.map(event => event.details);
+        // Each event times its own stage only
+        expect(witness.durationMs).to.be.at.least(40).and.below(proved.durationMs);
+        expect(proved.durationMs).to.be.at.least(90);
+
+        // Without stages there is no witness timing, and the whole call counts as proving
+        stages = false;
+        events.length = 0;
+        await rln.generateProof(0, "unstaged", 2n, 0);
+
+        expect(events.map(event => event.name)).to.deep.equal(["proof"]);
+        expect(events[0].details.durationMs).to.be.at.least(140);
+    });
+});
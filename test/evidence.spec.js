@@ -0,0 +1,79 @@
+const { expect } = require("chai");
+const { RLN, RLNIdentity, RLNSpamDetector } = require("../packages/sdk");
+
+describe("RLN Slashing Evidence", function () {
+    this.timeout(30000);
+
+    let rln;
+    let spammer;
+    let spammerIndex;
+    let evidence;
+
+    const EXTERNAL_NULLIFIER = 4242n;
+
+    before(async function() {
+        rln = new RLN({ backend: "mock" });
+        await rln.init();
+
+        await rln.registerIdentity(new RLNIdentity());
+        spammer = new RLNIdentity();
+        spammerIndex = (await rln.registerIdentity(spammer, { messageLimit: 2 })).index;
+
+        const detector = new RLNSpamDetector(rln);
+        await detector.ingest(await rln.generateProof(spammerIndex, "first", EXTERNAL_NULLIFIER, 1));
+        ({ evidence } = await detector.ingest(await rln.generateProof(spammerIndex, "second", EXTERNAL_NULLIFIER, 1)));
+
+        // Evidence travels as a file
+        evidence = JSON.parse(JSON.stringify(evidence));
+    });
+
+    it("Should accept evidence produced by the spam detector", async function() {
+        expect(await rln.verifyEvidence(evidence)).to.deep.equal({
+            valid: true,
+            reason: "VALID",
+            identityCommitment: await spammer.getCommitment(),
+            rateCommitment: await spammer.getRateCommitment(2)
+        });
+
+        // The secret and registry fields are optional; the shares alone are enough
+        const { secret, rateCommitment, messageLimit, index, ...bare } = evidence;
+        expect((await rln.verifyEvidence(bare)).valid).to.be.true;
+    });
+
+    it("Should not depend on the verifier's tree or epochs", async function() {
+        const stranger = new RLN({ backend: "mock", appId: "elsewhere" });
+        await stranger.init();
+
+        expect((await stranger.verifyEvidence(evidence)).valid).to.be.true;
+    });
+
+    it("Should reject claims the shares do not support", async function() {
+        const check = async changes => rln.verifyEvidence({ ...evidence, ...changes });
+
+        expect(await check({ identityCommitment: await new RLNIdentity().getCommitment() }))
+            .to.include({ valid: false, reason: "COMMITMENT_MISMATCH" });
+        expect(await check({ messageLimit: 1 })).to.include({ valid: false, reason: "COMMITMENT_MISMATCH" });
+        expect(await check({ secret: "12345" })).to.include({ valid: false, reason: "SECRET_MISMATCH" });
+        expect(await check({ nullifier: "1" })).to.include({ valid: false, reason: "NOT_DOUBLE_SIGNAL" });
+        expect(await check({ proofs: [evidence.proofs[0], evidence.proofs[0]] }))
+            .to.include({ valid: false, reason: "NOT_DOUBLE_SIGNAL" });
+        expect(await check({ type: "Something" })).to.include({ valid: false, reason: "MALFORMED" });
+        expect(await check({ proofs: [evidence.proofs[0]] })).to.include({ valid: false, reason: "MALFORMED" });
+    });
+
+    it("Should reject proofs from different slots or epochs", async function() {
+        const other = await rln.generateProof(spammerIndex, "third", EXTERNAL_NULLIFIER, 0);
+        const mixed = { ...evidence, proofs: [evidence.proofs[0], { proof: other.proof, publicSignals: other.publicSignals }] };
+
+        expect(await rln.verifyEvidence(mixed)).to.include({ valid: false, reason: "NOT_DOUBLE_SIGNAL" });
+    });
+
+    it("Should reject proofs that do not verify", async function() {
+        const production = new RLN();
+        await production.init();
+
+        const result = await production.verifyEvidence(evidence);
+        expect(result).to.include({ valid: false, reason: "INVALID_PROOF" });
+        expect(result.message).to.match(/Proof 1 is MOCK_PROOF/);
+    });
+});
@@ -0,0 +1,15 @@
+// Shared helpers for the spec files
+
+// The error `promise` rejects with, failing when it resolves instead
+async function rejection(promise) {
+    try {
+        await promise;
+    } catch (error) {
+        return error;
+    }
+    throw new Error("Expected the promise to reject");
+}
+
+module.exports = {
+    rejection
+};
@@ -0,0 +1,113 @@
+const { expect } = require("chai");
+const { RLNIdentity } = require("../packages/sdk");
+
+const FIELD_SIZE = 21888242871839275222246405745257275088548364400416034343698204186575808495617n;
+
+// Cheap KDF settings so the suite stays fast
+const FAST_SCRYPT = { kdfparams: { n: 2 ** 10 } };
+const FAST_PBKDF2 = { kdf: "pbkdf2", kdfparams: { c: 1000 } };
+
+describe("RLN Identity", function () {
+    describe("Secret Generation", function() {
+        it("Should generate distinct secrets inside the scalar field", function() {
+            const secrets = new Set();
+            for (let i = 0; i < 50; i++) {
+                const secret = BigInt(new RLNIdentity().secret);
+                expect(secret > 0n && secret < FIELD_SIZE).to.be.true;
+                secrets.add(secret);
+            }
+            expect(secrets.size).to.equal(50);
+        });
+
+        it("Should use more than 53 bits of entropy", function() {
+            const large = Array.from({ length: 20 }, () => BigInt(new RLNIdentity().secret))
+                .filter(secret => secret > 2n ** 200n);
+            expect(large.length).to.be.greaterThan(15);
+        });
+
+        it("Should reject secrets outside the scalar field", function() {
+            expect(() => new RLNIdentity("0")).to.throw(/scalar field/);
+            expect(() => new RLNIdentity(FIELD_SIZE.toString())).to.throw(/scalar field/);
+        });
+    });
+
+    describe("Deterministic Derivation", function() {
+        it("Should derive the same identity from the same seed phrase", async function() {
+            const phrase = "correct horse battery staple";
+            const a = RLNIdentity.fromSeed(phrase);
+            const b = RLNIdentity.fromSeed(phrase);
+
+            expect(a.secret).to.equal(b.secret);
+            expect(await a.getCommitment()).to.equal(await b.getCommitment());
+            expect(RLNIdentity.fromSeed(phrase + "!").secret).to.not.equal(a.secret);
+        });
+
+        it("Should derive identities from signed messages", function() {
+            const signature = "0x" + "ab".repeat(65);
+            const a = RLNIdentity.fromSignature(signature);
+
+            expect(a.secret).to.equal(RLNIdentity.fromSignature(signature.slice(2)).secret);
+            expect(BigInt(a.secret) < FIELD_SIZE).to.be.true;
+        });
+
+        it("Should keep seed and signature derivations apart", function() {
+            const bytes = new Uint8Array(32).fill(7);
+            expect(RLNIdentity.fromSeed(bytes).secret)
+                .to.not.equal(RLNIdentity.fromSignature(bytes).secret);
+        });
+    });
+
+    describe("Encrypted Keystore", function() {
+        it("Should round-trip through a scrypt keystore", function() {
+            const identity = new RLNIdentity();
+            const keystore = identity.serialize("hunter2", FAST_SCRYPT);
+
+            expect(keystore.version).to.equal("2.0");
+            expect(keystore.crypto.kdf).to.equal("scrypt");
+            expect(JSON.stringify(keystore)).to.not.include(identity.secret);
+            expect(RLNIdentity.deserialize(keystore, "hunter2").secret).to.equal(identity.secret);
+        });
+
+        it("Should round-trip through a PBKDF2 keystore", function() {
+            const identity = new RLNIdentity();
+            const keystore = identity.serialize("hunter2", FAST_PBKDF2);
+
+            expect(keystore.crypto.kdf).to.equal("pbkdf2");
+            expect(RLNIdentity.deserialize(keystore, "hunter2").secret).to.equal(identity.secret);
+        });
+
+        it("Should reject a wrong password or tampered keystore", function() {
+            const keystore = new RLNIdentity().serialize("hunter2", FAST_SCRYPT);
+
+            expect(() => RLNIdentity.deserialize(keystore, "hunter3")).to.throw(/Invalid keystore password/);
+            expect(() => RLNIdentity.deserialize(keystore)).to.throw(/password is required/);
+
+            const tampered = JSON.parse(JSON.stringify(keystore));
+            tampered.crypto.ciphertext = tampered.crypto.ciphertext.replace(/^./, c => c === "0" ? "1" : "0");
+            expect(() => RLNIdentity.deserialize(tampered, "hunter2")).to.throw(/Invalid keystore password/);
+        });
+
+        it("Should refuse to serialize without a password", function() {
+            expect(() => new RLNIdentity().serialize()).to.throw(/password is required/);
+        });
+
+        it("Should read and migrate legacy plaintext identities", function() {
+            const legacy = { secret: "123456789", type: "RLNIdentity", version: "1.0" };
+
+            expect(RLNIdentity.isLegacy(legacy)).to.be.true;
+            expect(RLNIdentity.deserialize(legacy).secret).to.equal("123456789");
+
+            const migrated = RLNIdentity.migrate(legacy, "hunter2", FAST_SCRYPT);
+            expect(RLNIdentity.isLegacy(migrated)).to.be.false;
+            expect(migrated).to.not.have.property("secret");
+            expect(RLNIdentity.deserialize(migrated, "hunter2").secret).to.equal("123456789");
+        });
+
+        it("Should reject unknown identity formats", function() {
+            expect(() => RLNIdentity.deserialize({ type: "RLNIdentity", version: "9.9" }))
+                .to.throw(/Unsupported identity version/);
+            expect(() => RLNIdentity.deserialize({ type: "Other", version: "1.0" }))
+                .to.throw(/Invalid identity data/);
+        });
+    });
+});
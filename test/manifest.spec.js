@@ -0,0 +1,174 @@
+const { expect } = require("chai");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { RLN, ArtifactMismatchError } = require("../packages/sdk");
+const { loadManifest, verifyArtifacts } = require("../packages/sdk/manifest");
+const { createManifest, sha256File } = require("../packages/sdk/platform");
+const { rejection } = require("./helpers");
+
+const BUILD_DIR = path.join(__dirname, "../build");
+
+describe("Artifact Manifest", function () {
+    this.timeout(30000);
+
+    let artifactsDir;
+    let variantDir;
+
+    // One variant with a manifest; the wasm and zkey stand in as small files since
+    // mock proofs never load them
+    beforeEach(async function() {
+        artifactsDir = fs.mkdtempSync(path.join(os.tmpdir(), "rln-manifest-"));
+        variantDir = path.join(artifactsDir, "rln_10_16");
+        fs.mkdirSync(variantDir);
+
+        const files = {
+            wasm: path.join(variantDir, "rln_10_16.wasm"),
+            zkey: path.join(variantDir, "rln_10_16.zkey"),
+            vkey: path.join(variantDir, "verification_key.json"),
+            layout: path.join(variantDir, "public_signals.json")
+        };
+        fs.writeFileSync(files.wasm, "wasm bytes");
+        fs.writeFileSync(files.zkey, "zkey bytes");
+        fs.copyFileSync(path.join(BUILD_DIR, "rln_20_16/verification_key.json"), files.vkey);
+        fs.copyFileSync(path.join(BUILD_DIR, "rln_20_16/public_signals.json"), files.layout);
+
+        await createManifest(path.join(variantDir, "manifest.json"), {
+            circuit: "rln_10_16",
+            parameters: { depth: 10, limitBits: 16 },
+            protocol: "groth16",
+            constraints: 1234,
+            artifacts: files
+        });
+
+        fs.writeFileSync(path.join(artifactsDir, "variants.json"), JSON.stringify({
+            variants: [{
+                name: "rln_10_16",
+                depth: 10,
+                limitBits: 16,
+                wasm: "rln_10_16/rln_10_16.wasm",
+                zkey: "rln_10_16/rln_10_16.zkey",
+                vkey: "rln_10_16/verification_key.json",
+                layout: "rln_10_16/public_signals.json",
+                manifest: "rln_10_16/manifest.json"
+            }]
+        }));
+    });
+
+    afterEach(function() {
+        if (artifactsDir) fs.rmSync(artifactsDir, { recursive: true, force: true });
+    });
+
+    it("Should record the build and the hash of every artifact", async function() {
+        const manifest = await loadManifest(path.join(variantDir, "manifest.json"));
+
+        expect(manifest.circuit).to.equal("rln_10_16");
+        expect(manifest.parameters).to.deep.equal({ depth: 10, limitBits: 16 });
+        expect(manifest.protocol).to.equal("groth16");
+        expect(manifest.constraints).to.equal(1234);
+        expect(manifest.artifacts.wasm).to.deep.equal({
+            path: "rln_10_16.wasm",
+            sha256: crypto.createHash("sha256").update("wasm bytes").digest("hex")
+        });
+        expect(Object.keys(manifest.artifacts)).to.deep.equal(["wasm", "zkey", "vkey", "layout"]);
+    });
+
+    it("Should accept the artifacts it was built with", async function() {
+        const rln = new RLN({ merkleTreeHeight: 10, artifactsDir, backend: "mock" });
+        expect(rln.manifestPath).to.equal(path.join(variantDir, "manifest.json"));
+
+        await rln.init();
+        expect(rln.layout).to.not.be.null;
+    });
+
+    it("Should throw a typed error when an artifact was swapped", async function() {
+        const zkeyPath = path.join(variantDir, "rln_10_16.zkey");
+        fs.writeFileSync(zkeyPath, "zkey bytes from another build");
+
+        const rln = new RLN({ merkleTreeHeight: 10, artifactsDir, backend: "mock" });
+        const error = await rejection(rln.init());
+
+        expect(error).to.be.instanceOf(ArtifactMismatchError);
+        expect(error.code).to.equal("ARTIFACT_MISMATCH");
+        expect(error.circuit).to.equal("rln_10_16");
+        expect(error.artifact).to.equal("zkey");
+        expect(error.path).to.equal(zkeyPath);
+        expect(error.actual).to.equal(await sha256File(zkeyPath));
+        expect(error.expected).to.not.equal(error.actual);
+        expect(error.message).to.match(/zkey .* is not the one built for rln_10_16/);
+    });
+
+    it("Should check explicit paths against a given manifest", async function() {
+        const otherLayout = path.join(artifactsDir, "other_signals.json");
+        fs.writeFileSync(otherLayout, JSON.stringify({
+            ...JSON.parse(fs.readFileSync(path.join(variantDir, "public_signals.json"), "utf8")),
+            circuit: "other"
+        }));
+        const options = {
+            wasmPath: path.join(variantDir, "rln_10_16.wasm"),
+            zkeyPath: path.join(variantDir, "rln_10_16.zkey"),
+            vkeyPath: path.join(variantDir, "verification_key.json"),
+            layoutPath: otherLayout,
+            merkleTreeHeight: 10,
+            backend: "mock"
+        };
+
+        // Nothing to compare against without a manifest
+        await new RLN(options).init();
+
+        const manifestPath = path.join(variantDir, "manifest.json");
+        const error = await rejection(new RLN({ ...options, manifestPath }).init());
+        expect(error.artifact).to.equal("layout");
+
+        await new RLN({ ...options, manifestPath, verifyArtifacts: false }).init();
+    });
+
+    it("Should refuse artifacts the manifest does not list", async function() {
+        const manifestPath = path.join(variantDir, "manifest.json");
+        const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+        delete manifest.artifacts.zkey;
+        fs.writeFileSync(manifestPath, JSON.stringify(manifest));
+
+        const error = await rejection(new RLN({ merkleTreeHeight: 10, artifactsDir, backend: "mock" }).init());
+        expect(error).to.be.instanceOf(ArtifactMismatchError);
+        expect(error.artifact).to.equal("zkey");
+        expect(error.message).to.match(/zkey .* is not listed in the manifest of rln_10_16/);
+    });
+
+    it("Should refuse a build for other parameters", async function() {
+        const manifestPath = path.join(variantDir, "manifest.json");
+        const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+        const init = async changes => {
+            fs.writeFileSync(manifestPath, JSON.stringify({ ...manifest, ...changes }));
+            return rejection(new RLN({ merkleTreeHeight: 10, artifactsDir, backend: "mock" }).init());
+        };
+
+        const depth = await init({ parameters: { depth: 16, limitBits: 16 } });
+        expect(depth).to.be.instanceOf(ArtifactMismatchError);
+        expect(depth).to.include({ parameter: "depth", expected: 16, actual: 10 });
+
+        expect(await init({ parameters: { depth: 10, limitBits: 8 } })).to.include({ parameter: "limitBits", expected: 8, actual: 16 });
+
+        // The verification key is a Groth16 one
+        const protocol = await init({ protocol: "plonk" });
+        expect(protocol).to.include({ parameter: "protocol", expected: "plonk", actual: "groth16" });
+        expect(protocol.message).to.match(/rln_10_16 was built with protocol plonk, but groth16 is in use/);
+    });
+
+    it("Should leave missing artifacts to the backend that needs them", async function() {
+        fs.rmSync(path.join(variantDir, "rln_10_16.zkey"));
+        const manifest = await loadManifest(path.join(variantDir, "manifest.json"));
+
+        await verifyArtifacts(manifest, {
+            wasm: path.join(variantDir, "rln_10_16.wasm"),
+            zkey: path.join(variantDir, "rln_10_16.zkey")
+        });
+    });
+
+    it("Should match the committed default build", async function() {
+        const rln = new RLN({ backend: "mock" });
+        expect(rln.manifestPath).to.equal(path.join(BUILD_DIR, "rln_20_16/manifest.json"));
+        await rln.init();
+    });
+});
@@ -0,0 +1,133 @@
+const { expect } = require("chai");
+const { MerkleTree, RLN, RLNIdentity, RLNCircuit } = require("../packages/sdk");
+
+// Straightforward full rebuild, used as the reference for the incremental tree
+function naiveTree(levels, zeroValue, leaves, hasher) {
+    const zeros = [zeroValue];
+    for (let i = 1; i < levels; i++) {
+        zeros[i] = hasher([zeros[i - 1], zeros[i - 1]]);
+    }
+
+    const layers = [leaves.slice()];
+    for (let level = 0; level < levels - 1; level++) {
+        const current = layers[level];
+        const next = [];
+        for (let i = 0; i < current.length; i += 2) {
+            next.push(hasher([current[i], i + 1 < current.length ? current[i + 1] : zeros[level]]));
+        }
+        layers.push(next);
+    }
+
+    const root = layers[levels - 1].length > 0 ? layers[levels - 1][0] : zeros[levels - 1];
+    const proof = (index) => {
+        const pathElements = [];
+        const pathIndices = [];
+        for (let level = 0; level < levels - 1; level++) {
+            const sibling = index % 2 === 0 ? index + 1 : index - 1;
+            pathElements.push(sibling < layers[level].length ? layers[level][sibling] : zeros[level]);
+            pathIndices.push(index % 2);
+            index = Math.floor(index / 2);
+        }
+        return { pathElements, pathIndices };
+    };
+
+    return { root, proof };
+}
+
+describe("Incremental Merkle Tree", function () {
+    const LEVELS = 6;
+    let hasher;
+    let hashCount;
+
+    before(async function() {
+        this.timeout(10000);
+        const circuit = await RLNCircuit.build();
+        hasher = (inputs) => {
+            hashCount++;
+            return circuit.hash(inputs);
+        };
+    });
+
+    function randomLeaves(count) {
+        return Array.from({ length: count }, (_, i) => BigInt(i * 7919 + 13));
+    }
+
+    it("Should match a full rebuild for every tree size", function() {
+        const leaves = randomLeaves(2 ** (LEVELS - 1));
+        const tree = new MerkleTree(LEVELS, 0n, [], hasher);
+
+        expect(tree.getRoot()).to.equal(naiveTree(LEVELS, 0n, [], hasher).root);
+
+        for (let n = 1; n <= leaves.length; n++) {
+            tree.insert(leaves[n - 1]);
+            const reference = naiveTree(LEVELS, 0n, leaves.slice(0, n), hasher);
+
+            expect(tree.getRoot()).to.equal(reference.root);
+            for (const index of [0, Math.floor(n / 2), n - 1]) {
+                expect(tree.getProof(index)).to.deep.equal(reference.proof(index));
+            }
+        }
+    });
+
+    it("Should only rehash the leaf path on insert", function() {
+        const tree = new MerkleTree(21, 0n, [], hasher);
+
+        hashCount = 0;
+        tree.insert(1n);
+        tree.insert(2n);
+        expect(hashCount).to.equal(2 * 20);
+    });
+
+    it("Should bulk insert into a partially filled tree", function() {
+        const leaves = randomLeaves(21);
+        const tree = new MerkleTree(LEVELS, 0n, leaves.slice(0, 5), hasher);
+        tree.bulkInsert(leaves.slice(5));
+
+        const reference = naiveTree(LEVELS, 0n, leaves, hasher);
+        expect(tree.getRoot()).to.equal(reference.root);
+        expect(tree.getProof(20)).to.deep.equal(reference.proof(20));
+        expect(tree.leaves).to.deep.equal(leaves);
+    });
+
+    it("Should update a leaf in place", function() {
+        const leaves = randomLeaves(11);
+        const tree = new MerkleTree(LEVELS, 0n, leaves, hasher);
+
+        hashCount = 0;
+        tree.update(4, 99n);
+        expect(hashCount).to.equal(LEVELS - 1);
+
+        leaves[4] = 99n;
+        const reference = naiveTree(LEVELS, 0n, leaves, hasher);
+        expect(tree.getRoot()).to.equal(reference.root);
+        expect(tree.getProof(5)).to.deep.equal(reference.proof(5));
+
+        expect(() => tree.update(11, 1n)).to.throw(/out of range/);
+    });
+
+    it("Should refuse leaves beyond its capacity", function() {
+        const tree = new MerkleTree(3, 0n, randomLeaves(4), hasher);
+
+        expect(() => tree.insert(5n)).to.throw(/full/);
+        expect(() => tree.bulkInsert([5n])).to.throw(/full/);
+    });
+
+    it("Should register identities in bulk with the same root", async function() {
+        this.timeout(20000);
+
+        const identities = [new RLNIdentity(), new RLNIdentity(), new RLNIdentity()];
+        const one = new RLN();
+        const bulk = new RLN();
+        await one.init();
+        await bulk.init();
+
+        for (const identity of identities) {
+            await one.registerIdentity(identity, { messageLimit: 2 });
+        }
+        const registration = await bulk.registerIdentities(identities, { messageLimit: 2 });
+
+        expect(registration.indices).to.deep.equal([0, 1, 2]);
+        expect(registration.root).to.equal(one.getRoot());
+        expect(bulk.identities[2].messageLimit).to.equal(2);
+    });
+});
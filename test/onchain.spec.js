@@ -0,0 +1,160 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { RLN, RLNIdentity } = require("../packages/sdk");
+const {
+    deployContracts,
+    saveDeployment,
+    loadDeployment,
+    attach,
+    registerOnchain,
+    postMessageOnchain,
+    slashOnchain
+} = require("../cli/onchain");
+const { rejection } = require("./helpers");
+
+describe("CLI On-chain Commands", function () {
+    this.timeout(60000);
+
+    const EXTERNAL_NULLIFIER = 777n;
+    const DEPOSIT = ethers.parseEther("1.0");
+
+    let signer;
+    let slasher;
+    let rln;
+    let emptyRoot;
+    let deployment;
+    let contract;
+    let spammer;
+    let spamProofs;
+
+    before(async function() {
+        [signer, slasher] = await ethers.getSigners();
+
+        rln = new RLN({ backend: "mock" });
+        await rln.init();
+        emptyRoot = rln.getRoot();
+
+        deployment = await deployContracts(signer, {
+            verifier: "mock",
+            membershipDeposit: DEPOSIT,
+            epochLength: 3600,
+            initialRoot: emptyRoot
+        });
+        contract = await attach(deployment, signer);
+
+        spammer = new RLNIdentity();
+        await rln.registerIdentity(spammer);
+        spamProofs = [
+            await rln.generateProof(0, "first", EXTERNAL_NULLIFIER, 0),
+            await rln.generateProof(0, "second", EXTERNAL_NULLIFIER, 0)
+        ];
+    });
+
+    it("Should record the deployment for later runs", async function() {
+        expect(deployment).to.include({ type: "RLNDeployment", chainId: "31337", membershipDeposit: DEPOSIT.toString() });
+        expect(deployment.verifier.contract).to.equal("MockVerifier");
+        expect(await contract.hasher()).to.equal(deployment.hasher);
+        expect((await contract.merkleRoot()).toString()).to.equal(emptyRoot);
+
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rln-onchain-"));
+        try {
+            const file = path.join(dir, "data", "deployment.json");
+            saveDeployment(file, deployment);
+            expect(loadDeployment(file)).to.deep.equal(deployment);
+            expect(() => loadDeployment(path.join(dir, "none.json"))).to.throw(/run the deploy command first/);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+
+        // An address without the contract, as after restarting the node
+        const gone = { ...deployment, rln: await slasher.getAddress() };
+        expect((await rejection(attach(gone, signer))).message).to.match(/No RLN contract/);
+    });
+
+    it("Should register with the deposit and move the root along", async function() {
+        const commitment = await spammer.getCommitment();
+        const registered = await registerOnchain(contract, commitment, rln.getRoot());
+
+        expect(registered.deposit).to.equal(DEPOSIT.toString());
+        expect(registered.rootTxHash).to.be.a("string");
+        expect((await contract.merkleRoot()).toString()).to.equal(rln.getRoot());
+        expect((await contract.identities(commitment)).deposit).to.equal(DEPOSIT);
+
+        expect((await rejection(registerOnchain(contract, commitment, rln.getRoot()))).code).to.equal("ALREADY_REGISTERED");
+    });
+
+    it("Should post a message once per nullifier", async function() {
+        const posted = await postMessageOnchain(contract, spamProofs[0]);
+
+        expect(posted.messageId).to.equal("0");
+        expect(await contract.isNullifierUsed(spamProofs[0].getPublicSignals().nullifier)).to.be.true;
+
+        // The double signal shares the nullifier, so the contract turns it away
+        expect((await rejection(postMessageOnchain(contract, spamProofs[1]))).code).to.equal("NullifierAlreadyUsed");
+    });
+
+    it("Should refuse proofs for a root the contract does not hold", async function() {
+        const other = new RLN({ backend: "mock" });
+        await other.init();
+        await other.registerIdentity(new RLNIdentity());
+        const proof = await other.generateProof(0, "elsewhere", EXTERNAL_NULLIFIER, 0);
+
+        expect((await rejection(postMessageOnchain(contract, proof))).code).to.equal("ROOT_MISMATCH");
+
+        // The contract checks the root itself too
+        const solidity = proof.toSolidityProof();
+        const { x, nullifier, y, externalNullifier, root } = proof.getPublicSignals();
+        await expect(contract.postMessage(x, nullifier, y, externalNullifier, root, solidity.a, solidity.b, solidity.c))
+            .to.be.revertedWithCustomError(contract, "UnknownRoot");
+    });
+
+    it("Should slash a double signal with the second message's proof", async function() {
+        const commitment = await spammer.getCommitment();
+        const asSlasher = contract.connect(slasher);
+
+        // Resending the posted message is not an offense, and only registered identities hold deposits
+        expect((await rejection(slashOnchain(asSlasher, commitment, spamProofs[0]))).code).to.equal("NoSlashableOffense");
+        expect((await rejection(slashOnchain(asSlasher, await new RLNIdentity().getCommitment(), spamProofs[1]))).code)
+            .to.equal("IdentityNotRegistered");
+
+        // The group grows between the spam and the slash; the spam's root stays in the history
+        const bystanderIdentity = new RLNIdentity();
+        await rln.registerIdentity(bystanderIdentity);
+        const bystander = await bystanderIdentity.getCommitment();
+        await registerOnchain(contract, bystander, rln.getRoot());
+        expect((await contract.merkleRoot()).toString()).to.not.equal(spamProofs[1].getPublicSignals().root);
+
+        // The recovered secret must open the commitment, so a double signal cannot cost anyone else their deposit
+        expect((await rejection(slashOnchain(asSlasher, bystander, spamProofs[1]))).code).to.equal("SecretMismatch");
+
+        const before = await ethers.provider.getBalance(slasher.address);
+        const slashed = await slashOnchain(asSlasher, commitment, spamProofs[1]);
+
+        // The contract recovers the secret in the scalar field, like the SDK
+        expect(slashed.recoveredSecret).to.equal(BigInt(spammer.secret).toString());
+        expect(slashed.recoveredSecret).to.equal(rln.recoverSecret(...spamProofs.map(proof => proof.getPublicSignals())));
+        expect(slashed.reward).to.equal(DEPOSIT.toString());
+        expect(await ethers.provider.getBalance(slasher.address)).to.be.above(before);
+
+        expect((await rejection(slashOnchain(asSlasher, commitment, spamProofs[1]))).code).to.equal("IdentityAlreadySlashed");
+        expect((await rejection(registerOnchain(contract, commitment, rln.getRoot()))).code).to.equal("SLASHED");
+
+        // Registering again straight through the contract does not make the pair usable twice
+        await (await contract.registerIdentity(commitment, { value: DEPOSIT })).wait();
+        expect((await rejection(slashOnchain(asSlasher, commitment, spamProofs[1]))).code).to.equal("NullifierAlreadySlashed");
+    });
+
+    it("Should forget roots beyond the history", async function() {
+        const proof = await rln.generateProof(0, "late", EXTERNAL_NULLIFIER + 1n, 0);
+        const size = Number(await contract.ROOT_HISTORY_SIZE());
+        for (let i = 1; i <= size; i++) {
+            await (await contract.updateRoot(BigInt(i))).wait();
+        }
+
+        expect(await contract.isKnownRoot(proof.getPublicSignals().root)).to.be.false;
+        expect((await rejection(postMessageOnchain(contract, proof))).code).to.equal("ROOT_MISMATCH");
+    });
+});
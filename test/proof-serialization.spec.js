@@ -0,0 +1,110 @@
+const { expect } = require("chai");
+const { RLN, RLNIdentity, RLNProof } = require("../packages/sdk");
+
+const BASE_FIELD = 21888242871839275222246405745257275088696311157297823662689037894645226208583n;
+const SCALAR_FIELD = 21888242871839275222246405745257275088548364400416034343698204186575808495617n;
+
+describe("RLN Proof Serialization", function () {
+    let rln;
+    let proof;
+
+    // Coordinates that use the full 254 bits, like real Groth16 proofs
+    function coordinate(seed) {
+        return ((BASE_FIELD - 1n) / BigInt(seed + 2)).toString();
+    }
+
+    before(async function() {
+        this.timeout(30000);
+
+        rln = new RLN({ backend: "mock" });
+        await rln.init();
+        await rln.registerIdentity(new RLNIdentity());
+
+        const generated = await rln.generateProof(0, "serialize me", 99n, 0);
+        proof = new RLNProof({
+            pi_a: [coordinate(0), coordinate(1), "1"],
+            pi_b: [[coordinate(2), coordinate(3)], [coordinate(4), coordinate(5)], ["1", "0"]],
+            pi_c: [coordinate(6), coordinate(7), "1"],
+            protocol: "groth16",
+            curve: "bn128"
+        }, generated.publicSignals, rln.layout);
+    });
+
+    it("Should round-trip through versioned JSON", function() {
+        const json = JSON.parse(JSON.stringify(proof));
+
+        expect(json.type).to.equal("RLNProof");
+        expect(json.version).to.equal(1);
+        expect(json.circuit).to.equal("rln_20_16");
+        expect(json.proof.pi_a).to.have.length(2);
+
+        const decoded = RLNProof.fromJSON(json, rln.layout);
+        expect(decoded.proof).to.deep.equal(proof.proof);
+        expect(decoded.publicSignals).to.deep.equal(proof.publicSignals);
+        expect(decoded.toSolidityProof()).to.deep.equal(proof.toSolidityProof());
+    });
+
+    it("Should round-trip through the binary encoding", function() {
+        const bytes = proof.toBytes();
+
+        expect(bytes[0]).to.equal(1);
+        expect(bytes.length).to.equal(4 + "rln_20_16".length + (8 + 5) * 32);
+
+        const decoded = RLNProof.fromBytes(bytes, rln.layout);
+        expect(decoded.proof).to.deep.equal(proof.proof);
+        expect(decoded.getPublicSignals()).to.deep.equal(proof.getPublicSignals());
+    });
+
+    it("Should round-trip through base64url", function() {
+        const encoded = proof.toBase64Url();
+
+        expect(encoded).to.match(/^[A-Za-z0-9_-]+$/);
+        expect(RLNProof.fromBase64Url(encoded, rln.layout).publicSignals).to.deep.equal(proof.publicSignals);
+    });
+
+    it("Should be a fraction of the raw snarkjs JSON size", function() {
+        const raw = JSON.stringify({ proof: proof.proof, publicSignals: proof.publicSignals }, null, 2);
+
+        expect(proof.toBytes().length).to.be.below(raw.length / 2);
+        expect(proof.toBase64Url().length).to.be.below(raw.length / 2);
+    });
+
+    it("Should reject values outside their field", function() {
+        const json = proof.toJSON();
+        json.proof.pi_c[1] = BASE_FIELD.toString();
+        expect(() => RLNProof.fromJSON(json)).to.throw(/pi_c\[1\] is not a field element/);
+
+        const signals = proof.toJSON();
+        signals.publicSignals[0] = SCALAR_FIELD.toString();
+        expect(() => RLNProof.fromJSON(signals)).to.throw(/publicSignals\[0\] is not a field element/);
+
+        const bytes = proof.toBytes();
+        bytes.fill(0xff, bytes.length - 32);
+        expect(() => RLNProof.fromBytes(bytes)).to.throw(/not a field element/);
+    });
+
+    it("Should reject points with the wrong shape", function() {
+        const json = proof.toJSON();
+        json.proof.pi_b = [json.proof.pi_b[0]];
+        expect(() => RLNProof.fromJSON(json)).to.throw(/pi_b must be a G2 point/);
+
+        const projective = new RLNProof({ ...proof.proof, pi_a: [coordinate(0), coordinate(1), "2"] },
+            proof.publicSignals, rln.layout);
+        expect(() => projective.toBytes()).to.throw(/affine/);
+    });
+
+    it("Should reject unknown versions, truncated input and mismatched circuits", function() {
+        const bytes = proof.toBytes();
+
+        const future = bytes.slice();
+        future[0] = 2;
+        expect(() => RLNProof.fromBytes(future)).to.throw(/Unsupported proof format version/);
+        expect(() => RLNProof.fromBytes(bytes.slice(0, bytes.length - 1))).to.throw(/unexpected length/);
+        expect(() => RLNProof.fromBase64Url("not base64!")).to.throw(/Invalid base64url/);
+
+        const other = new RLNProof(proof.proof, proof.publicSignals, { ...rln.layout, circuit: "rln_10_8", name: rln.layout.name.bind(rln.layout) });
+        expect(() => RLNProof.fromBytes(other.toBytes(), rln.layout)).to.throw(/circuit rln_10_8/);
+        expect(() => RLNProof.fromJSON({ ...proof.toJSON(), publicSignals: ["1", "2"] }, rln.layout))
+            .to.throw(/Expected 5 public signals/);
+    });
+});
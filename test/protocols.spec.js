@@ -0,0 +1,87 @@
+const { expect } = require("chai");
+const snarkjs = require("snarkjs");
+const { RLN, RLNProof, RLNVerifier, SnarkjsBackend } = require("../packages/sdk");
+const { rejection } = require("./helpers");
+
+// Real proofs of out = a * b (a = 7, b = 11) with their verification keys, one per protocol
+const fixtures = Object.fromEntries(["groth16", "plonk", "fflonk"].map(protocol =>
+    [protocol, require(`./fixtures/multiplier-${protocol}.json`)]));
+
+// snarkjs calldata as a flat list of hex values
+function hexValues(calldata) {
+    return calldata.match(/0x[0-9a-fA-F]+/g).map(value => BigInt(value));
+}
+
+describe("RLN Proving Protocols", function () {
+    this.timeout(60000);
+
+    for (const [protocol, fixture] of Object.entries(fixtures)) {
+        describe(protocol, function () {
+            it("Should survive every encoding and still verify", async function() {
+                const proof = new RLNProof(fixture.proof, fixture.publicSignals);
+
+                const decoded = [
+                    RLNProof.fromJSON(JSON.parse(JSON.stringify(proof.toJSON()))),
+                    RLNProof.fromBase64Url(proof.toBase64Url())
+                ];
+                for (const copy of decoded) {
+                    expect(copy.protocol).to.equal(protocol);
+                    expect(copy.toSolidityProof()).to.deep.equal(proof.toSolidityProof());
+                    expect(await snarkjs[protocol].verify(fixture.vkey, copy.publicSignals, copy.proof)).to.be.true;
+                }
+            });
+
+            it("Should produce the calldata of the snarkjs Solidity verifier", async function() {
+                const proof = new RLNProof(fixture.proof, fixture.publicSignals);
+                const expected = protocol === "fflonk"
+                    ? await snarkjs.fflonk.exportSolidityCallData(fixture.publicSignals, fixture.proof)
+                    : await snarkjs[protocol].exportSolidityCallData(fixture.proof, fixture.publicSignals);
+
+                const calldata = proof.toSolidityCalldata();
+                expect(calldata).to.have.length(protocol === "groth16" ? 4 : 2);
+                expect(calldata.flat(2).map(value => BigInt(value))).to.deep.equal(hexValues(expected));
+            });
+
+            it("Should detect the protocol from the verification key", async function() {
+                const verifier = new RLNVerifier({ vkey: fixture.vkey });
+
+                expect(await verifier.backend.getProtocol()).to.equal(protocol);
+                expect(await verifier.verify(fixture)).to.deep.equal({ valid: true, reason: "VALID" });
+
+                const tampered = { proof: fixture.proof, publicSignals: ["78"] };
+                expect((await verifier.verify(tampered)).valid).to.be.false;
+            });
+        });
+    }
+
+    it("Should encode PLONK and FFLONK proofs with all 24 elements", function() {
+        for (const protocol of ["plonk", "fflonk"]) {
+            const { proof } = new RLNProof(fixtures[protocol].proof, ["77"]).toSolidityProof();
+            expect(proof).to.have.length(24);
+        }
+        expect(new RLNProof(fixtures.plonk.proof, ["77"]).toBytes()).to.have.length(4 + "unknown".length + 25 * 32);
+    });
+
+    it("Should reject proofs and keys of another protocol", async function() {
+        const plonk = new SnarkjsBackend({ vkey: fixtures.plonk.vkey });
+        const result = await plonk.verify(new RLNProof(fixtures.groth16.proof, fixtures.groth16.publicSignals));
+        expect(result.reason).to.equal("MALFORMED");
+
+        const pinned = new SnarkjsBackend({ vkey: fixtures.fflonk.vkey, protocol: "groth16" });
+        let error;
+        try {
+            await pinned.verify(new RLNProof(fixtures.fflonk.proof, fixtures.fflonk.publicSignals));
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.match(/given a fflonk verification key/);
+
+        // The fixture key is not from the default build, whose manifest says groth16
+        expect((await rejection(new RLN({ backend: "snarkjs-plonk", vkey: fixtures.plonk.vkey }).init())).parameter)
+            .to.equal("protocol");
+        const rln = new RLN({ backend: "snarkjs-plonk", vkey: fixtures.plonk.vkey, verifyArtifacts: false });
+        await rln.init();
+        expect(rln.backend.name).to.equal("snarkjs-plonk");
+        expect(() => new SnarkjsBackend({ vkey: fixtures.plonk.vkey, protocol: "marlin" })).to.throw(/Unsupported proving protocol/);
+    });
+});
@@ -0,0 +1,119 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const snarkjs = require("snarkjs");
+const { RLN, RLNIdentity, ProverPool } = require("../packages/sdk");
+const { rejection } = require("./helpers");
+
+// Small Groth16 circuit with a real zkey, shipped with circom_runtime's own tests
+const FIXTURE = path.join(__dirname, "../node_modules/circom_runtime/test/circuit");
+const WASM_PATH = path.join(FIXTURE, "circuit_js/circuit.wasm");
+const ZKEY_PATH = path.join(FIXTURE, "circuit.zkey");
+
+describe("RLN Prover Pool", function () {
+    this.timeout(120000);
+
+    let pool;
+    let vKey;
+
+    before(function() {
+        if (!fs.existsSync(ZKEY_PATH)) this.skip();
+        vKey = JSON.parse(fs.readFileSync(path.join(FIXTURE, "verification_key.json"), "utf8"));
+    });
+
+    afterEach(async function() {
+        if (pool) await pool.terminate();
+        pool = null;
+    });
+
+    it("Should generate valid proofs on worker threads", async function() {
+        pool = new ProverPool({ wasmPath: WASM_PATH, zkeyPath: ZKEY_PATH, concurrency: 1 });
+
+        const { proof, publicSignals } = await pool.prove({ a: 1, b: 2, c: 3 });
+
+        expect(publicSignals.slice(1)).to.deep.equal(["1", "2", "3"]);
+        expect(await snarkjs.groth16.verify(vKey, publicSignals, proof)).to.be.true;
+    });
+
+    it("Should queue requests beyond the concurrency limit", async function() {
+        pool = new ProverPool({ wasmPath: WASM_PATH, zkeyPath: ZKEY_PATH, concurrency: 1 });
+
+        const jobs = [1, 2, 3].map(a => pool.prove({ a, b: 2, c: 3 }));
+        expect(pool.running).to.equal(1);
+        expect(pool.pending).to.equal(2);
+
+        const results = await Promise.all(jobs);
+        expect(results.map(result => result.publicSignals[1])).to.deep.equal(["1", "2", "3"]);
+        expect(pool.workers).to.have.length(1);
+    });
+
+    it("Should report progress through each stage", async function() {
+        pool = new ProverPool({ wasmPath: WASM_PATH, zkeyPath: ZKEY_PATH, concurrency: 1 });
+
+        const events = [];
+        await pool.prove({ a: 1, b: 2, c: 3 }, { onProgress: event => events.push(event) });
+
+        const stages = events.map(event => event.stage).filter((stage, i, all) => stage !== all[i - 1]);
+        expect(stages).to.deep.equal(["queued", "witness", "proving", "done"]);
+        expect(events.some(event => event.message)).to.be.true;
+    });
+
+    it("Should cancel queued and running proofs", async function() {
+        pool = new ProverPool({ wasmPath: WASM_PATH, zkeyPath: ZKEY_PATH, concurrency: 1 });
+
+        const running = new AbortController();
+        const queued = new AbortController();
+
+        const first = pool.prove({ a: 1, b: 2, c: 3 }, { signal: running.signal });
+        const second = pool.prove({ a: 2, b: 2, c: 3 }, { signal: queued.signal });
+        const third = pool.prove({ a: 3, b: 2, c: 3 });
+
+        queued.abort();
+        expect((await rejection(second)).message).to.match(/aborted/);
+        expect(pool.pending).to.equal(1);
+
+        running.abort();
+        expect((await rejection(first)).message).to.match(/aborted/);
+
+        // The stopped worker is replaced and the queue keeps draining
+        expect((await third).publicSignals[1]).to.equal("3");
+
+        const aborted = new AbortController();
+        aborted.abort();
+        expect((await rejection(pool.prove({ a: 1, b: 2, c: 3 }, { signal: aborted.signal }))).message).to.match(/aborted/);
+    });
+
+    it("Should surface missing artifacts with their path", async function() {
+        pool = new ProverPool({ wasmPath: WASM_PATH, zkeyPath: path.join(FIXTURE, "missing.zkey") });
+
+        const error = await rejection(pool.prove({ a: 1, b: 2, c: 3 }));
+        expect(error.code).to.equal("ENOENT");
+        expect(error.path).to.include("missing.zkey");
+    });
+
+    it("Should reject work after termination", async function() {
+        pool = new ProverPool({ wasmPath: WASM_PATH, zkeyPath: ZKEY_PATH, concurrency: 1 });
+
+        const pending = rejection(pool.prove({ a: 1, b: 2, c: 3 }));
+        await pool.terminate();
+
+        expect((await pending).message).to.match(/terminated/);
+        expect((await rejection(pool.prove({ a: 1, b: 2, c: 3 }))).message).to.match(/terminated/);
+    });
+
+    it("Should let RLN prove through the pool", async function() {
+        const rln = new RLN({ proverConcurrency: 1 });
+        await rln.init();
+        await rln.registerIdentity(new RLNIdentity());
+
+        try {
+            // No RLN zkey is built here, so the pooled worker reports the missing artifact
+            const error = await rejection(rln.generateProof(0, "pooled", 1n, 0));
+            expect(rln.backend.pool).to.be.instanceOf(ProverPool);
+            expect(error.code).to.equal("ENOENT");
+            expect(error.message).to.match(/Circuit artifact not found: .*rln_20_16\.zkey/);
+        } finally {
+            await rln.close();
+        }
+    });
+});
@@ -19,9 +19,10 @@ describe("RLN Circuit Compilation Demo", function () {
     describe("Circuit Compilation", function() {
         it("Should have compiled the RLN circuit successfully", function() {
             // Check if circuit compilation artifacts exist
-            const wasmPath = path.join(__dirname, '../build/rln_js/rln.wasm');
-            const r1csPath = path.join(__dirname, '../build/rln.r1cs');
-            const symPath = path.join(__dirname, '../build/rln.sym');
+            const variantDir = path.join(__dirname, '../build/rln_20_16');
+            const wasmPath = path.join(variantDir, 'rln_20_16_js/rln_20_16.wasm');
+            const r1csPath = path.join(variantDir, 'rln_20_16.r1cs');
+            const symPath = path.join(variantDir, 'rln_20_16.sym');
             
             expect(fs.existsSync(wasmPath)).to.be.true;
             expect(fs.existsSync(r1csPath)).to.be.true;
@@ -57,10 +58,11 @@ describe("RLN Circuit Compilation Demo", function () {
         it("Should generate rate-limited shares", async function() {
             const identitySecret = F.e(12345);
             const externalNullifier = F.e(67890);
+            const messageId = F.e(0);
             const signalHash = F.e(98765);
             
-            // Calculate a1 = Hash(identitySecret, externalNullifier)
-            const a1 = F.toObject(poseidon([identitySecret, externalNullifier]));
+            // Calculate a1 = Hash(identitySecret, externalNullifier, messageId)
+            const a1 = F.toObject(poseidon([identitySecret, externalNullifier, messageId]));
             
             // For demonstration, skip the complex multiplication
             expect(a1.toString()).to.be.a('string');
@@ -73,11 +75,11 @@ describe("RLN Circuit Compilation Demo", function () {
             const externalNullifier = F.e(67890);
             const messageId = F.e(11111);
             
-            // Calculate a1 = Hash(identitySecret, externalNullifier)
-            const a1 = F.toObject(poseidon([identitySecret, externalNullifier]));
+            // Calculate a1 = Hash(identitySecret, externalNullifier, messageId)
+            const a1 = F.toObject(poseidon([identitySecret, externalNullifier, messageId]));
             
-            // Calculate nullifier = Hash(a1, messageId)
-            const nullifier = F.toObject(poseidon([F.e(a1), messageId]));
+            // Calculate nullifier = Hash(a1)
+            const nullifier = F.toObject(poseidon([F.e(a1)]));
             
             expect(nullifier.toString()).to.be.a('string');
             expect(nullifier.toString()).to.not.equal(a1.toString());
@@ -92,8 +94,8 @@ describe("RLN Circuit Compilation Demo", function () {
             const signalHash1 = F.e(111);
             const signalHash2 = F.e(222);
             
-            // Calculate a1 = Hash(identitySecret, externalNullifier)
-            const a1 = F.toObject(poseidon([identitySecret, externalNullifier]));
+            // Calculate a1 = Hash(identitySecret, externalNullifier, messageId)
+            const a1 = F.toObject(poseidon([identitySecret, externalNullifier, F.e(0)]));
             
             // Demonstrate the mathematical principle without complex field operations
             expect(a1.toString()).to.be.a('string');
@@ -110,9 +112,9 @@ describe("RLN Circuit Compilation Demo", function () {
             const messageId = F.random();
             
             // Same identity posting twice in same epoch
-            const a1 = F.toObject(poseidon([identitySecret, externalNullifier]));
-            const nullifier1 = F.toObject(poseidon([a1, messageId]));
-            const nullifier2 = F.toObject(poseidon([a1, messageId]));
+            const a1 = F.toObject(poseidon([identitySecret, externalNullifier, messageId]));
+            const nullifier1 = F.toObject(poseidon([a1]));
+            const nullifier2 = F.toObject(poseidon([a1]));
             
             // Nullifiers should be identical (spam detection)
             expect(nullifier1).to.equal(nullifier2);
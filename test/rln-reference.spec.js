@@ -0,0 +1,195 @@
+const { expect } = require("chai");
+const { RLN, RLNIdentity, RLNCircuit, RLNProof, PublicSignalLayout } = require("../packages/sdk");
+const snarkjs = require("snarkjs");
+const path = require("path");
+const fs = require("fs");
+
+const VARIANT_DIR = path.join(__dirname, "../build/rln_20_16");
+const buildWitnessCalculator = require("../build/rln_20_16/rln_20_16_js/witness_calculator.js");
+
+describe("RLN Circuit Reference Implementation", function () {
+    let circuit;
+    let witnessCalculator;
+    let rln;
+    let identity;
+
+    const EXTERNAL_NULLIFIER = 424242n;
+
+    before(async function() {
+        this.timeout(30000);
+
+        circuit = await RLNCircuit.build();
+
+        const wasm = fs.readFileSync(path.join(VARIANT_DIR, 'rln_20_16_js/rln_20_16.wasm'));
+        witnessCalculator = await buildWitnessCalculator(wasm);
+
+        rln = new RLN({ backend: "mock" });
+        await rln.init();
+
+        identity = new RLNIdentity();
+        await rln.registerIdentity(new RLNIdentity());
+        await rln.registerIdentity(identity);
+        await rln.registerIdentity(new RLNIdentity());
+    });
+
+    function buildWitness(identityIndex, x, messageId) {
+        const merkleProof = rln.tree.getProof(identityIndex);
+        return {
+            identitySecret: rln.identities[identityIndex].identity.secret,
+            userMessageLimit: rln.identities[identityIndex].messageLimit.toString(),
+            messageId: messageId.toString(),
+            pathElements: merkleProof.pathElements.map(e => e.toString()),
+            identityPathIndex: merkleProof.pathIndices.map(i => i.toString()),
+            x: x.toString(),
+            externalNullifier: EXTERNAL_NULLIFIER.toString()
+        };
+    }
+
+    it("Should match the outputs of the compiled circuit", async function() {
+        const witness = buildWitness(1, 987654321n, 0);
+        const expected = circuit.calculateOutputs(witness);
+
+        // Signal 0 is the constant 1, outputs follow in declaration order
+        const w = await witnessCalculator.calculateWitness(witness, true);
+        expect(w[1]).to.equal(expected.y);
+        expect(w[2]).to.equal(expected.root);
+        expect(w[3]).to.equal(expected.nullifier);
+    });
+
+    it("Should use the tree root as the circuit root", function() {
+        const expected = circuit.calculateOutputs(buildWitness(2, 1n, 0));
+        expect(expected.root.toString()).to.equal(rln.getRoot());
+    });
+
+    it("Should derive identity shares the same way as the circuit", async function() {
+        const x = 31337n;
+        const share = await identity.generateShare(EXTERNAL_NULLIFIER, x, 0);
+        const expected = circuit.calculateOutputs(buildWitness(1, x, 0));
+
+        expect(share.y).to.equal(expected.y.toString());
+        expect(share.nullifier).to.equal(expected.nullifier.toString());
+    });
+
+    it("Should register the rate commitment as the merkle leaf", async function() {
+        const rateCommitment = await identity.getRateCommitment(1);
+        const commitment = await identity.getCommitment();
+
+        expect(rln.tree.leaves[1].toString()).to.equal(rateCommitment);
+        expect(rateCommitment).to.equal(circuit.hash([commitment, 1]).toString());
+    });
+
+    it("Should return public signals that match the reference outputs", async function() {
+        this.timeout(30000);
+
+        const proof = await rln.generateProof(1, "reference check", EXTERNAL_NULLIFIER, 0);
+        const { y, root, nullifier, x, externalNullifier } = proof.getPublicSignals();
+        const expected = circuit.calculateOutputs(buildWitness(1, x, 0));
+
+        expect(y).to.equal(expected.y.toString());
+        expect(root).to.equal(rln.getRoot());
+        expect(nullifier).to.equal(expected.nullifier.toString());
+        expect(externalNullifier).to.equal(EXTERNAL_NULLIFIER.toString());
+    });
+
+    it("Should reject public signals that disagree with the prediction", function() {
+        const expected = circuit.calculateOutputs(buildWitness(0, 5n, 0));
+        const signals = rln.layout.order({ ...expected, nullifier: 1n });
+
+        expect(() => circuit.checkPublicSignals(signals, expected, rln.layout))
+            .to.throw(/Public signal mismatch for nullifier/);
+        expect(() => circuit.checkPublicSignals(signals.slice(1), expected, rln.layout))
+            .to.throw(/Expected 5 public signals/);
+    });
+
+    describe("Message Limits", function() {
+        let tieredIndex;
+
+        before(async function() {
+            const registration = await rln.registerIdentity(new RLNIdentity(), { messageLimit: 3 });
+            tieredIndex = registration.index;
+            expect(registration.messageLimit).to.equal(3);
+        });
+
+        it("Should insert the rate commitment for the stored limit", async function() {
+            const { identity: tiered } = rln.identities[tieredIndex];
+            expect(rln.tree.leaves[tieredIndex].toString())
+                .to.equal(await tiered.getRateCommitment(3));
+        });
+
+        it("Should prove with the stored limit", async function() {
+            this.timeout(30000);
+
+            const proof = await rln.generateProof(tieredIndex, "third slot", EXTERNAL_NULLIFIER, 2);
+            const witness = buildWitness(tieredIndex, proof.getPublicSignals().x, 2);
+            const w = await witnessCalculator.calculateWitness(witness, true);
+
+            expect(proof.getPublicSignals().nullifier).to.equal(w[3].toString());
+        });
+
+        it("Should reject a messageId outside [0, limit) before proving", async function() {
+            for (const messageId of [3, -1, 70000]) {
+                let error;
+                try {
+                    await rln.generateProof(tieredIndex, "over quota", EXTERNAL_NULLIFIER, messageId);
+                } catch (e) {
+                    error = e;
+                }
+                expect(error, `messageId ${messageId}`).to.be.instanceOf(Error);
+                expect(error.message).to.match(/outside the allowed range \[0, 3\)/);
+            }
+        });
+
+        it("Should agree with the circuit range check", async function() {
+            let error;
+            try {
+                await witnessCalculator.calculateWitness({
+                    ...buildWitness(tieredIndex, 1n, 0),
+                    messageId: "3"
+                }, true);
+            } catch (e) {
+                error = e;
+            }
+            expect(error).to.be.instanceOf(Error);
+        });
+
+        it("Should reject invalid message limits", async function() {
+            for (const messageLimit of [0, 1.5, 2 ** 16 + 1]) {
+                let error;
+                try {
+                    await rln.registerIdentity(new RLNIdentity(), { messageLimit });
+                } catch (e) {
+                    error = e;
+                }
+                expect(error, `messageLimit ${messageLimit}`).to.be.instanceOf(Error);
+            }
+        });
+    });
+
+    describe("Public Signal Layout", function() {
+        it("Should match the layout derived from the compiled circuit", async function() {
+            const r1cs = await snarkjs.r1cs.info(path.join(VARIANT_DIR, 'rln_20_16.r1cs'));
+            const layout = PublicSignalLayout.fromSym(
+                fs.readFileSync(path.join(VARIANT_DIR, 'rln_20_16.sym'), 'utf8'),
+                { circuit: 'rln_20_16', nOutputs: r1cs.nOutputs, nPublicInputs: r1cs.nPubInputs }
+            );
+
+            expect(layout.signals).to.deep.equal(['y', 'root', 'nullifier', 'x', 'externalNullifier']);
+            expect(layout.toJSON()).to.deep.equal(rln.layout.toJSON());
+        });
+
+        it("Should name the public signals of a proof", async function() {
+            const proof = await rln.generateProof(0, "named signals", EXTERNAL_NULLIFIER, 0);
+            const named = proof.getPublicSignals();
+
+            expect(named.root).to.equal(rln.getRoot());
+            expect(named.externalNullifier).to.equal(EXTERNAL_NULLIFIER.toString());
+            expect(named.signalHash).to.equal(named.x);
+        });
+
+        it("Should reject proofs with the wrong number of public signals", function() {
+            const proof = new RLNProof({}, ["1", "2", "3", "4"], rln.layout);
+
+            expect(() => proof.getPublicSignals()).to.throw(/Expected 5 public signals/);
+        });
+    });
+});
@@ -1,6 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { RLN, RLNIdentity } = require("../packages/sdk");
+const { deployPoseidon } = require("../cli/onchain");
 const path = require("path");
 const fs = require("fs");
 
@@ -17,11 +18,14 @@ describe("RLN Anti-Spam System", function () {
     before(async function() {
         this.timeout(120000); // 2 minutes for compilation
         
-        // Initialize RLN SDK
+        // Initialize RLN SDK, with placeholder proofs until the circuit has a zkey
+        const variantDir = path.join(__dirname, '../build/rln_20_16');
+        const zkeyPath = path.join(variantDir, 'rln_20_16.zkey');
         rln = new RLN({
-            wasmPath: path.join(__dirname, '../build/rln_js/rln.wasm'),
-            zkeyPath: path.join(__dirname, '../build/rln.zkey'),
-            vkeyPath: path.join(__dirname, '../build/verification_key.json')
+            wasmPath: path.join(variantDir, 'rln_20_16_js/rln_20_16.wasm'),
+            zkeyPath,
+            vkeyPath: path.join(variantDir, 'verification_key.json'),
+            backend: fs.existsSync(zkeyPath) ? 'snarkjs-groth16' : 'mock'
         });
         
         await rln.init();
@@ -41,9 +45,13 @@ describe("RLN Anti-Spam System", function () {
         verifier = await MockVerifier.deploy();
         await verifier.waitForDeployment();
         
+        const [signer] = await ethers.getSigners();
+        const hasher = await deployPoseidon(signer);
+        
         const RLNContract = await ethers.getContractFactory("RLN");
         rlnContract = await RLNContract.deploy(
             await verifier.getAddress(),
+            await hasher.getAddress(),
             MEMBERSHIP_DEPOSIT,
             EPOCH_LENGTH,
             rln.getRoot()
@@ -154,6 +162,7 @@ describe("RLN Anti-Spam System", function () {
                 publicSignals.nullifier,
                 publicSignals.y,
                 publicSignals.externalNullifier,
+                publicSignals.root,
                 solidityProof.a,
                 solidityProof.b,
                 solidityProof.c
@@ -172,10 +181,16 @@ describe("RLN Anti-Spam System", function () {
             const signal = "Duplicate test";
             const messageId = 0;
             
+            // Fresh external nullifier so the first post below is not already a duplicate
+            const duplicateExternalNullifier = await rln.calculateExternalNullifier(
+                currentEpoch,
+                `${APP_ID}-duplicate`
+            );
+            
             const proof = await rln.generateProof(
                 0, // identity1 index
                 signal,
-                externalNullifier,
+                duplicateExternalNullifier,
                 messageId
             );
             
@@ -188,6 +203,7 @@ describe("RLN Anti-Spam System", function () {
                 publicSignals.nullifier,
                 publicSignals.y,
                 publicSignals.externalNullifier,
+                publicSignals.root,
                 solidityProof.a,
                 solidityProof.b,
                 solidityProof.c
@@ -200,6 +216,7 @@ describe("RLN Anti-Spam System", function () {
                     publicSignals.nullifier,
                     publicSignals.y,
                     publicSignals.externalNullifier,
+                    publicSignals.root,
                     solidityProof.a,
                     solidityProof.b,
                     solidityProof.c
@@ -231,6 +248,7 @@ describe("RLN Anti-Spam System", function () {
                 publicSignals1.nullifier,
                 publicSignals1.y,
                 publicSignals1.externalNullifier,
+                publicSignals1.root,
                 solidityProof1.a,
                 solidityProof1.b,
                 solidityProof1.c
@@ -260,6 +278,7 @@ describe("RLN Anti-Spam System", function () {
                 publicSignals.nullifier,
                 publicSignals.y,
                 publicSignals.externalNullifier,
+                publicSignals.root,
                 solidityProof.a,
                 solidityProof.b,
                 solidityProof.c
@@ -307,7 +326,7 @@ describe("RLN Anti-Spam System", function () {
             this.timeout(30000);
             
             const currentEpoch = rln.getCurrentEpoch(EPOCH_LENGTH);
-            const externalNullifier = await rln.calculateExternalNullifier(currentEpoch, APP_ID);
+            const externalNullifier = await rln.calculateExternalNullifier(currentEpoch, `${APP_ID}-gas`);
             
             const proof = await rln.generateProof(
                 0, // identity1 index
@@ -324,6 +343,7 @@ describe("RLN Anti-Spam System", function () {
                 publicSignals.nullifier,
                 publicSignals.y,
                 publicSignals.externalNullifier,
+                publicSignals.root,
                 solidityProof.a,
                 solidityProof.b,
                 solidityProof.c
@@ -372,7 +392,7 @@ describe("RLN Anti-Spam System", function () {
             this.timeout(30000);
             
             const currentEpoch = rln.getCurrentEpoch(EPOCH_LENGTH);
-            const externalNullifier = await rln.calculateExternalNullifier(currentEpoch, APP_ID);
+            const externalNullifier = await rln.calculateExternalNullifier(currentEpoch, `${APP_ID}-security`);
             
             const proof = await rln.generateProof(
                 0, // identity1 index
@@ -393,6 +413,7 @@ describe("RLN Anti-Spam System", function () {
                     publicSignals.nullifier,
                     publicSignals.y,
                     publicSignals.externalNullifier,
+                    publicSignals.root,
                     solidityProof.a,
                     solidityProof.b,
                     solidityProof.c
@@ -404,8 +425,8 @@ describe("RLN Anti-Spam System", function () {
             this.timeout(30000);
             
             const currentEpoch = rln.getCurrentEpoch(EPOCH_LENGTH);
-            const externalNullifier = await rln.calculateExternalNullifier(currentEpoch, APP_ID);
-            const wrongExternalNullifier = await rln.calculateExternalNullifier(currentEpoch + 1, APP_ID);
+            const externalNullifier = await rln.calculateExternalNullifier(currentEpoch, `${APP_ID}-security`);
+            const wrongExternalNullifier = await rln.calculateExternalNullifier(currentEpoch + 1, `${APP_ID}-security`);
             
             const proof = await rln.generateProof(
                 0, // identity1 index
@@ -423,6 +444,7 @@ describe("RLN Anti-Spam System", function () {
                     publicSignals.nullifier,
                     publicSignals.y,
                     wrongExternalNullifier, // Wrong external nullifier
+                    publicSignals.root,
                     solidityProof.a,
                     solidityProof.b,
                     solidityProof.c
@@ -0,0 +1,67 @@
+const { expect } = require("chai");
+const { RLN, RLNIdentity, VERIFICATION_REASONS } = require("../packages/sdk");
+
+describe("RLN Root History", function () {
+    this.timeout(30000);
+
+    let rln;
+
+    beforeEach(async function() {
+        rln = new RLN({ backend: "mock", rootHistorySize: 3 });
+        await rln.init();
+        await rln.registerIdentity(new RLNIdentity());
+    });
+
+    it("Should record a root for every tree change", async function() {
+        const history = rln.getRootHistory();
+        expect(history).to.have.length(2);
+        expect(history[1]).to.equal(rln.getRoot());
+
+        await rln.registerIdentities([new RLNIdentity(), new RLNIdentity()]);
+        expect(rln.getRootHistory()).to.deep.equal([...history, rln.getRoot()]);
+    });
+
+    it("Should keep only the configured number of roots", async function() {
+        for (let i = 0; i < 4; i++) {
+            await rln.registerIdentity(new RLNIdentity());
+        }
+
+        const history = rln.getRootHistory();
+        expect(history).to.have.length(3);
+        expect(history[2]).to.equal(rln.getRoot());
+    });
+
+    it("Should accept proofs against recent roots after new registrations", async function() {
+        const proof = await rln.generateProof(0, "in flight", 11n, 0);
+
+        await rln.registerIdentity(new RLNIdentity());
+        expect(rln.getRoot()).to.not.equal(proof.getPublicSignals().root);
+        expect(await rln.verifyProof(proof)).to.be.true;
+    });
+
+    it("Should reject proofs whose root left the window as stale", async function() {
+        const proof = await rln.generateProof(0, "too late", 11n, 0);
+
+        for (let i = 0; i < 3; i++) {
+            await rln.registerIdentity(new RLNIdentity());
+        }
+        expect(rln.isKnownRoot(proof.getPublicSignals().root)).to.be.false;
+
+        let error;
+        try {
+            await rln.verifyProof(proof);
+        } catch (e) {
+            error = e;
+        }
+        expect(error.code).to.equal("STALE_ROOT");
+        expect(error.message).to.match(/Stale root/);
+
+        const [result] = await rln.verifyProofs([proof]);
+        expect(result.reason).to.equal(VERIFICATION_REASONS.STALE_ROOT);
+    });
+
+    it("Should validate the history size", function() {
+        expect(() => new RLN({ rootHistorySize: 0 })).to.throw(/rootHistorySize/);
+        expect(new RLN().rootHistorySize).to.equal(30);
+    });
+});
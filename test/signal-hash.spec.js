@@ -0,0 +1,86 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { RLN, RLNIdentity, hashSignal } = require("../packages/sdk");
+
+const FIELD_SIZE = 21888242871839275222246405745257275088548364400416034343698204186575808495617n;
+
+describe("Signal Hashing", function () {
+    const prefix = "x".repeat(31);
+
+    it("Should match what Solidity computes with keccak256", async function() {
+        const message = "Hello from the relay";
+        const expected = BigInt(ethers.solidityPackedKeccak256(["string"], [message])) >> 8n;
+
+        expect(await hashSignal(message, "keccak256")).to.equal(expected);
+    });
+
+    it("Should encode bigint signals like abi.encodePacked(uint256)", async function() {
+        const value = 123456789n;
+        const expected = BigInt(ethers.solidityPackedKeccak256(["uint256"], [value])) >> 8n;
+
+        expect(await hashSignal(value)).to.equal(expected);
+    });
+
+    it("Should hash raw bytes as given", async function() {
+        const bytes = new Uint8Array([0, 1, 2, 254, 255]);
+        const expected = BigInt(ethers.keccak256(bytes)) >> 8n;
+
+        expect(await hashSignal(bytes)).to.equal(expected);
+    });
+
+    for (const mode of ["keccak256", "poseidon"]) {
+        it(`Should cover the whole input in ${mode} mode`, async function() {
+            const a = await hashSignal(`${prefix}first message`, mode);
+            const b = await hashSignal(`${prefix}second message`, mode);
+
+            expect(a).to.not.equal(b);
+            expect(a < FIELD_SIZE).to.be.true;
+            expect(b < FIELD_SIZE).to.be.true;
+        });
+    }
+
+    it("Should hash JSON payloads independently of key order", async function() {
+        const a = await hashSignal({ text: "hi", meta: { room: 1, tags: ["a"] } });
+        const b = await hashSignal({ meta: { tags: ["a"], room: 1 }, text: "hi" });
+        const c = await hashSignal({ meta: { tags: ["b"], room: 1 }, text: "hi" });
+
+        expect(a).to.equal(b);
+        expect(a).to.not.equal(c);
+    });
+
+    it("Should absorb long inputs over several Poseidon permutations", async function() {
+        const long = "y".repeat(31 * 40);
+        const a = await hashSignal(long, "poseidon");
+        const b = await hashSignal(long + "z", "poseidon");
+
+        expect(a).to.not.equal(b);
+        // Trailing zero bytes change the length, so they must change the hash too
+        expect(await hashSignal(new Uint8Array([1]), "poseidon"))
+            .to.not.equal(await hashSignal(new Uint8Array([1, 0]), "poseidon"));
+    });
+
+    it("Should reject unknown modes", async function() {
+        let error;
+        try {
+            await hashSignal("hi", "sha1");
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.match(/Unknown signal hash mode/);
+        expect(() => new RLN({ signalHashMode: "sha1" })).to.throw(/Unknown signal hash mode/);
+    });
+
+    it("Should give messages with a shared prefix different x values in proofs", async function() {
+        this.timeout(30000);
+
+        const rln = new RLN({ merkleTreeHeight: 20, backend: "mock" });
+        await rln.init();
+        await rln.registerIdentity(new RLNIdentity());
+
+        const proof1 = await rln.generateProof(0, `${prefix}one`, 1n, 0);
+        const proof2 = await rln.generateProof(0, `${prefix}two`, 1n, 0);
+
+        expect(proof1.getPublicSignals().x).to.equal((await rln.hashSignal(`${prefix}one`)).toString());
+        expect(proof1.getPublicSignals().x).to.not.equal(proof2.getPublicSignals().x);
+    });
+});
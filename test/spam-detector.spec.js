@@ -0,0 +1,143 @@
+const { expect } = require("chai");
+const { RLN, RLNIdentity, RLNSpamDetector, RLNVerifier } = require("../packages/sdk");
+
+describe("RLN Spam Detector", function () {
+    let rln;
+    let spammer;
+    let spammerIndex;
+    let tieredIndex;
+    let detector;
+
+    const EXTERNAL_NULLIFIER = 777n;
+
+    before(async function() {
+        this.timeout(30000);
+
+        rln = new RLN({ backend: "mock" });
+        await rln.init();
+
+        await rln.registerIdentity(new RLNIdentity());
+        spammer = new RLNIdentity();
+        spammerIndex = (await rln.registerIdentity(spammer)).index;
+        tieredIndex = (await rln.registerIdentity(new RLNIdentity(), { messageLimit: 2 })).index;
+    });
+
+    beforeEach(function() {
+        detector = new RLNSpamDetector(rln);
+    });
+
+    it("Should store the first share of each nullifier", async function() {
+        const shares = [];
+        detector.on("share", share => shares.push(share));
+
+        const proof = await rln.generateProof(spammerIndex, "hello", EXTERNAL_NULLIFIER, 0);
+        const result = await detector.ingest(proof);
+
+        expect(result.status).to.equal("new");
+        expect(shares).to.have.length(1);
+        expect(shares[0].nullifier).to.equal(proof.getPublicSignals().nullifier);
+    });
+
+    it("Should ignore the same message twice", async function() {
+        const proof = await rln.generateProof(spammerIndex, "same", EXTERNAL_NULLIFIER, 0);
+
+        await detector.ingest(proof);
+        expect((await detector.ingest(proof)).status).to.equal("duplicate");
+    });
+
+    it("Should recover and attribute the secret of a double signaler", async function() {
+        this.timeout(30000);
+
+        const emitted = [];
+        detector.on("spam", evidence => emitted.push(evidence));
+
+        const first = await rln.generateProof(spammerIndex, "first", EXTERNAL_NULLIFIER, 0);
+        const second = await rln.generateProof(spammerIndex, "second", EXTERNAL_NULLIFIER, 0);
+
+        await detector.ingest(first);
+        const result = await detector.ingest(second);
+
+        expect(result.status).to.equal("spam");
+        expect(emitted).to.have.length(1);
+
+        const evidence = result.evidence;
+        expect(evidence.type).to.equal("RLNSlashingEvidence");
+        expect(evidence.secret).to.equal(spammer.secret);
+        expect(evidence.identityCommitment).to.equal(await spammer.getCommitment());
+        expect(evidence.rateCommitment).to.equal(await spammer.getRateCommitment(1));
+        expect(evidence.index).to.equal(spammerIndex);
+        expect(evidence.nullifier).to.equal(first.getPublicSignals().nullifier);
+        expect(evidence.proofs.map(p => p.publicSignals))
+            .to.deep.equal([first.publicSignals, second.publicSignals]);
+
+        // Further shares for the same nullifier return the same evidence without re-emitting
+        const third = await rln.generateProof(spammerIndex, "third", EXTERNAL_NULLIFIER, 0);
+        expect((await detector.ingest(third)).evidence).to.equal(evidence);
+        expect(emitted).to.have.length(1);
+        expect(detector.getEvidence()).to.deep.equal([evidence]);
+    });
+
+    it("Should allow different message slots and epochs", async function() {
+        this.timeout(30000);
+
+        const results = [
+            await detector.ingest(await rln.generateProof(tieredIndex, "slot 0", EXTERNAL_NULLIFIER, 0)),
+            await detector.ingest(await rln.generateProof(tieredIndex, "slot 1", EXTERNAL_NULLIFIER, 1)),
+            await detector.ingest(await rln.generateProof(tieredIndex, "next epoch", EXTERNAL_NULLIFIER + 1n, 0))
+        ];
+
+        expect(results.map(result => result.status)).to.deep.equal(["new", "new", "new"]);
+    });
+
+    it("Should report unregistered secrets without an index", async function() {
+        this.timeout(30000);
+
+        const other = new RLN({ backend: "mock" });
+        await other.init();
+        const stranger = new RLNIdentity();
+        await other.registerIdentity(stranger);
+
+        const first = await other.generateProof(0, "a", EXTERNAL_NULLIFIER, 0);
+        const second = await other.generateProof(0, "b", EXTERNAL_NULLIFIER, 0);
+
+        // Proofs from another group are made against roots this group never had
+        expect((await detector.ingest(first)).status).to.equal("invalid");
+
+        const unverified = new RLNSpamDetector(rln, { verifyProofs: false });
+        await unverified.ingest(first);
+        const { evidence } = await unverified.ingest(second);
+
+        expect(evidence.secret).to.equal(stranger.secret);
+        expect(evidence.index).to.equal(null);
+        expect(evidence.rateCommitment).to.equal(null);
+    });
+
+    it("Should skip proofs that fail verification", async function() {
+        const failing = new RLNSpamDetector({ ...rln, verifyProof: async () => false });
+        const proof = await rln.generateProof(spammerIndex, "forged", EXTERNAL_NULLIFIER, 0);
+
+        expect((await failing.ingest(proof)).status).to.equal("invalid");
+    });
+
+    it("Should judge proofs with a given verifier", async function() {
+        const other = new RLN({ backend: "mock" });
+        await other.init();
+        await other.registerIdentity(new RLNIdentity());
+        const foreign = await other.generateProof(0, "a", EXTERNAL_NULLIFIER, 0);
+
+        // No root history: proofs only have to verify against the key
+        const keyOnly = new RLNSpamDetector(rln, { verifier: new RLNVerifier({ backend: rln.backend, layout: rln.layout }) });
+        expect((await keyOnly.ingest(foreign)).status).to.equal("new");
+
+        const rejecting = new RLNSpamDetector(rln, { verifier: { verify: async () => ({ valid: false }) } });
+        expect((await rejecting.ingest(foreign)).status).to.equal("invalid");
+    });
+
+    it("Should forget shares of finished epochs", async function() {
+        await detector.ingest(await rln.generateProof(spammerIndex, "old", EXTERNAL_NULLIFIER, 0));
+        detector.forget(EXTERNAL_NULLIFIER);
+
+        const result = await detector.ingest(await rln.generateProof(spammerIndex, "new", EXTERNAL_NULLIFIER, 0));
+        expect(result.status).to.equal("new");
+    });
+});
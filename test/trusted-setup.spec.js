@@ -0,0 +1,88 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const snarkjs = require("snarkjs");
+const { requiredPtauPower, generatePtau, runPhase2Ceremony } = require("../scripts/trusted-setup");
+const { rejection } = require("./helpers");
+
+// out = a * b in one constraint, with the witness for a = 7, b = 11
+const R1CS_PATH = path.join(__dirname, "fixtures/multiplier.r1cs");
+const WTNS_PATH = path.join(__dirname, "fixtures/multiplier.wtns");
+const BEACON = "0102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f20";
+
+describe("Trusted Setup", function () {
+    this.timeout(120000);
+
+    let dir;
+    let ptauPath;
+
+    before(async function() {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "rln-setup-"));
+        ptauPath = path.join(dir, "pot.ptau");
+        await generatePtau(ptauPath, await requiredPtauPower(R1CS_PATH, "groth16"));
+    });
+
+    after(function() {
+        if (dir) fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("Should size the Powers of Tau for each protocol", async function() {
+        expect(await requiredPtauPower(R1CS_PATH, "groth16")).to.equal(2);
+        expect(await requiredPtauPower(R1CS_PATH, "plonk")).to.equal(3);
+        expect(await requiredPtauPower(R1CS_PATH, "fflonk")).to.equal(6);
+
+        // Only the prepared ptau is kept
+        expect(fs.readdirSync(dir)).to.deep.equal(["pot.ptau"]);
+    });
+
+    it("Should run a multi-party ceremony and record every contribution", async function() {
+        const zkeyPath = path.join(dir, "multiplier.zkey");
+        const transcriptPath = path.join(dir, "transcript.json");
+        const asked = [];
+
+        const transcript = await runPhase2Ceremony({
+            r1csPath: R1CS_PATH,
+            ptauPath,
+            zkeyPath,
+            transcriptPath,
+            contributors: [
+                { name: "alice", entropy: "alice's dice rolls" },
+                { name: "bob", entropy: async () => { asked.push("bob"); return ""; } },
+                { name: "carol" }
+            ],
+            beacon: BEACON
+        });
+
+        expect(asked).to.deep.equal(["bob"]);
+        expect(transcript.verified).to.be.true;
+        expect(transcript.contributions.map(c => c.name)).to.deep.equal(["alice", "bob", "carol"]);
+        expect(new Set(transcript.contributions.map(c => c.hash)).size).to.equal(3);
+        expect(transcript.beacon.hash).to.match(/^[0-9a-f]{128}$/);
+        expect(JSON.parse(fs.readFileSync(transcriptPath, "utf8"))).to.deep.equal(transcript);
+
+        // Intermediate keys stay behind for auditors
+        expect(fs.readdirSync(path.join(dir, "ceremony"))).to.have.length(4);
+        expect(await snarkjs.zKey.verifyFromR1cs(R1CS_PATH, ptauPath, zkeyPath)).to.be.true;
+
+        const vkey = await snarkjs.zKey.exportVerificationKey(zkeyPath);
+        const { proof, publicSignals } = await snarkjs.groth16.prove(zkeyPath, WTNS_PATH);
+        expect(publicSignals).to.deep.equal(["77"]);
+        expect(await snarkjs.groth16.verify(vkey, publicSignals, proof)).to.be.true;
+    });
+
+    it("Should refuse ceremonies without contributors or a valid beacon", async function() {
+        const options = {
+            r1csPath: R1CS_PATH,
+            ptauPath,
+            zkeyPath: path.join(dir, "refused.zkey"),
+            transcriptPath: path.join(dir, "refused.json")
+        };
+
+        expect((await rejection(runPhase2Ceremony({ ...options, beacon: BEACON }))).message)
+            .to.match(/at least one contributor/);
+        expect((await rejection(runPhase2Ceremony({ ...options, contributors: [{ name: "x" }], beacon: "xyz" }))).message)
+            .to.match(/hex string/);
+        expect(fs.existsSync(options.transcriptPath)).to.be.false;
+    });
+});
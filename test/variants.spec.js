@@ -0,0 +1,90 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { RLN, RLNIdentity, loadVariants, selectVariant } = require("../packages/sdk");
+
+const BUILD_DIR = path.join(__dirname, "../build");
+
+describe("RLN Circuit Variants", function () {
+    this.timeout(30000);
+
+    let artifactsDir;
+
+    // Variant list as compile.js writes it; only the layouts need to exist for mock proofs
+    before(function() {
+        artifactsDir = fs.mkdtempSync(path.join(os.tmpdir(), "rln-variants-"));
+        const layout = JSON.parse(fs.readFileSync(path.join(BUILD_DIR, "rln_20_16/public_signals.json"), "utf8"));
+
+        const variants = [[10, 8], [10, 16], [20, 16]].map(([depth, limitBits]) => {
+            const name = `rln_${depth}_${limitBits}`;
+            fs.mkdirSync(path.join(artifactsDir, name));
+            fs.writeFileSync(path.join(artifactsDir, name, "public_signals.json"),
+                JSON.stringify({ ...layout, circuit: name }));
+
+            return {
+                name,
+                depth,
+                limitBits,
+                wasm: `${name}/${name}_js/${name}.wasm`,
+                zkey: `${name}/${name}.zkey`,
+                vkey: `${name}/verification_key.json`,
+                layout: `${name}/public_signals.json`
+            };
+        });
+        fs.writeFileSync(path.join(artifactsDir, "variants.json"), JSON.stringify({ variants }));
+    });
+
+    after(function() {
+        if (artifactsDir) fs.rmSync(artifactsDir, { recursive: true, force: true });
+    });
+
+    it("Should pick the artifacts built for the tree depth", function() {
+        const rln = new RLN({ merkleTreeHeight: 10, artifactsDir, backend: "mock" });
+
+        expect(rln.variant.name).to.equal("rln_10_16");
+        expect(rln.wasmPath).to.equal(path.join(artifactsDir, "rln_10_16/rln_10_16_js/rln_10_16.wasm"));
+        expect(rln.zkeyPath).to.equal(path.join(artifactsDir, "rln_10_16/rln_10_16.zkey"));
+        expect(rln.vkeyPath).to.equal(path.join(artifactsDir, "rln_10_16/verification_key.json"));
+        expect(rln.layoutPath).to.equal(path.join(artifactsDir, "rln_10_16/public_signals.json"));
+    });
+
+    it("Should fail early when no variant fits", function() {
+        expect(() => new RLN({ merkleTreeHeight: 16, artifactsDir }))
+            .to.throw(/No circuit variant for depth 16 .*10\/8, 10\/16, 20\/16.*--depths 16/);
+        expect(() => new RLN({ merkleTreeHeight: 20, limitBits: 8, artifactsDir }))
+            .to.throw(/depth 20 and 8 limit bits/);
+        expect(() => new RLN({ artifactsDir: path.join(artifactsDir, "missing") }))
+            .to.throw(/No circuit variants found/);
+    });
+
+    it("Should prove against a tree of the variant's depth", async function() {
+        const rln = new RLN({ merkleTreeHeight: 10, artifactsDir, backend: "mock" });
+        await rln.init();
+        await rln.registerIdentity(new RLNIdentity(), { messageLimit: 3 });
+
+        const proof = await rln.generateProof(0, "small group", 1n, 2);
+        expect(proof.circuit).to.equal("rln_10_16");
+        expect(proof.getPublicSignals().root).to.equal(rln.getRoot().toString());
+        expect(await rln.verifyProof(proof)).to.be.true;
+    });
+
+    it("Should bound message limits by the variant's limit bits", async function() {
+        const rln = new RLN({ merkleTreeHeight: 10, limitBits: 8, artifactsDir, backend: "mock" });
+        await rln.init();
+
+        expect(rln.maxMessageLimit).to.equal(256);
+        await rln.registerIdentity(new RLNIdentity(), { messageLimit: 256 });
+        const error = await rln.registerIdentity(new RLNIdentity(), { messageLimit: 257 }).catch(e => e);
+        expect(error.message).to.match(/between 1 and 256/);
+    });
+
+    it("Should list the variants of the default build", function() {
+        const variants = loadVariants();
+        const variant = selectVariant(variants, 20);
+
+        expect(variant.limitBits).to.equal(16);
+        expect(fs.existsSync(variant.layoutPath)).to.be.true;
+        expect(new RLN().layoutPath).to.equal(variant.layoutPath);
+    });
+});
@@ -0,0 +1,112 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const snarkjs = require("snarkjs");
+const { RLN, RLNIdentity, RLNProof, RLNVerifier, VERIFICATION_REASONS } = require("../packages/sdk");
+
+// Small Groth16 circuit with a real zkey, shipped with circom_runtime's own tests
+const FIXTURE = path.join(__dirname, "../node_modules/circom_runtime/test/circuit");
+const VKEY_PATH = path.join(FIXTURE, "verification_key.json");
+
+describe("RLN Verifier", function () {
+    this.timeout(60000);
+
+    let valid;
+
+    before(async function() {
+        if (!fs.existsSync(VKEY_PATH)) this.skip();
+
+        valid = await snarkjs.groth16.fullProve(
+            { a: 1, b: 2, c: 3 },
+            path.join(FIXTURE, "circuit_js/circuit.wasm"),
+            path.join(FIXTURE, "circuit.zkey")
+        );
+    });
+
+    it("Should read the verification key only once", async function() {
+        const verifier = new RLNVerifier({ vkeyPath: VKEY_PATH });
+        const readFile = fs.promises.readFile;
+        let reads = 0;
+        fs.promises.readFile = (...args) => { reads++; return readFile(...args); };
+
+        try {
+            await verifier.verify(valid);
+            await verifier.verify(valid);
+        } finally {
+            fs.promises.readFile = readFile;
+        }
+        expect(reads).to.equal(1);
+    });
+
+    it("Should accept the verification key as a value", async function() {
+        const vkey = JSON.parse(fs.readFileSync(VKEY_PATH, "utf8"));
+        const verifier = new RLNVerifier({ vkey });
+
+        expect(await verifier.verify(valid)).to.deep.equal({ valid: true, reason: "VALID" });
+    });
+
+    it("Should report a reason for every proof in a batch", async function() {
+        const verifier = new RLNVerifier({ vkeyPath: VKEY_PATH, concurrency: 2 });
+
+        const tampered = { proof: valid.proof, publicSignals: [valid.publicSignals[0], "2", "2", "3"] };
+        const offCurve = { proof: { ...valid.proof, pi_a: ["1", "3", "1"] }, publicSignals: valid.publicSignals };
+        const outOfField = { proof: valid.proof, publicSignals: [...valid.publicSignals.slice(1), (2n ** 254n).toString()] };
+        const mock = { proof: { ...valid.proof, protocol: "mock" }, publicSignals: valid.publicSignals };
+
+        const results = await verifier.verifyBatch([valid, tampered, offCurve, outOfField, mock, valid]);
+
+        expect(results.map(result => result.reason)).to.deep.equal([
+            VERIFICATION_REASONS.VALID,
+            VERIFICATION_REASONS.INVALID_PROOF,
+            VERIFICATION_REASONS.MALFORMED,
+            VERIFICATION_REASONS.MALFORMED,
+            VERIFICATION_REASONS.MOCK_PROOF,
+            VERIFICATION_REASONS.VALID
+        ]);
+        expect(results.map(result => result.valid)).to.deep.equal([true, false, false, false, false, true]);
+        expect(results[3].message).to.match(/not a field element/);
+    });
+
+    it("Should check the signal count against the layout", async function() {
+        const rln = new RLN();
+        await rln.init();
+
+        const verifier = new RLNVerifier({ vkeyPath: VKEY_PATH, layout: rln.layout });
+        const result = await verifier.verify(valid);
+
+        expect(result.reason).to.equal(VERIFICATION_REASONS.MALFORMED);
+        expect(result.message).to.match(/Expected 5 public signals/);
+    });
+
+    it("Should fail loudly without a verification key", async function() {
+        const verifier = new RLNVerifier({ vkeyPath: path.join(FIXTURE, "missing.json") });
+
+        let error;
+        try {
+            await verifier.verifyBatch([valid]);
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.match(/Verification key not found/);
+    });
+
+    it("Should reject mock proofs unless the mock backend is chosen", async function() {
+        const rln = new RLN({ backend: "mock" });
+        await rln.init();
+        await rln.registerIdentity(new RLNIdentity());
+
+        const proof = await rln.generateProof(0, "mock", 5n, 0);
+        expect(await rln.verifyProof(proof)).to.be.true;
+
+        // The tag survives serialization, so a production verifier always sees it
+        const strict = new RLNVerifier({ vkeyPath: rln.vkeyPath, layout: rln.layout });
+        const results = await strict.verifyBatch([
+            RLNProof.fromJSON(proof.toJSON(), rln.layout),
+            RLNProof.fromBase64Url(proof.toBase64Url(), rln.layout)
+        ]);
+        expect(results.map(result => result.reason)).to.deep.equal(["MOCK_PROOF", "MOCK_PROOF"]);
+
+        const batch = await rln.verifyProofs([proof, { proof: proof.proof, publicSignals: ["1"] }]);
+        expect(batch.map(result => result.reason)).to.deep.equal(["VALID", "MALFORMED"]);
+    });
+});
@@ -0,0 +1,56 @@
+const path = require('path');
+
+// Browser bundles of the SDK (npm run build:sdk):
+//   dist/rln-sdk.esm.js  ES module
+//   dist/rln-sdk.umd.js  UMD, the global RLNSDK when loaded from a <script> tag
+// The "browser" field of package.json swaps packages/sdk/platform.js for its browser
+// stand-in, so no Node.js module reaches the bundles; artifacts come through a
+// UrlLoader or MemoryLoader.
+function sdkBundle({ entry, filename, library, experiments }) {
+    return {
+        name: library.type,
+        target: 'web',
+        entry: path.join(__dirname, 'packages/sdk', entry),
+        output: {
+            path: path.join(__dirname, 'dist'),
+            filename,
+            library,
+            globalObject: 'globalThis'
+        },
+        experiments,
+        resolve: {
+            alias: {
+                // Only Poseidon is used; the package entry also pulls in blake-hash
+                // and the other hashes, which need Node's Buffer and streams
+                circomlibjs$: path.join(__dirname, 'node_modules/circomlibjs/src/poseidon_wasm.js')
+            },
+            // Node-only branches inside snarkjs and ffjavascript, never taken in browsers
+            fallback: {
+                crypto: false,
+                fs: false,
+                os: false,
+                path: false,
+                readline: false,
+                worker_threads: false
+            }
+        },
+        performance: {
+            // snarkjs and its curve wasm dominate the size
+            hints: false
+        }
+    };
+}
+
+module.exports = [
+    sdkBundle({
+        entry: 'index.mjs',
+        filename: 'rln-sdk.esm.js',
+        library: { type: 'module' },
+        experiments: { outputModule: true }
+    }),
+    sdkBundle({
+        entry: 'index.js',
+        filename: 'rln-sdk.umd.js',
+        library: { name: 'RLNSDK', type: 'umd' }
+    })
+];